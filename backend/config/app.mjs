@@ -13,6 +13,14 @@ import { logger } from '../utils/logger.mjs';
 import authRoutes from '../routes/authRoutes.mjs';
 import musicRoutes from '../routes/musicRoutes.mjs';
 import searchRoutes from '../routes/searchRoutes.mjs';
+import syncRoutes from '../routes/syncRoutes.mjs';
+import analyticsRoutes from '../routes/analyticsRoutes.mjs';
+import adminRoutes from '../routes/adminRoutes.mjs';
+import categoryRoutes from '../routes/categoryRoutes.mjs';
+import collectionRoutes from '../routes/collectionRoutes.mjs';
+import quickAccessRoutes from '../routes/quickAccessRoutes.mjs';
+import setlistRoutes from '../routes/setlistRoutes.mjs';
+import groupRoutes from '../routes/groupRoutes.mjs';
 
 /**
  * Configura aplicação Express
@@ -35,13 +43,15 @@ export function createApp() {
     origin: config.CORS_ORIGIN,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'Idempotency-Key'],
+    exposedHeaders: ['ETag', 'Idempotent-Replayed'],
   }));
 
   // Compression
   app.use(compression());
 
-  // Body parsing
+  // Body parsing (sync aceita batches maiores; deve vir antes do parser global)
+  app.use('/api/sync', express.json({ limit: config.SYNC_MAX_BODY_SIZE }));
   app.use(express.json({ limit: '10mb' }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -64,7 +74,15 @@ export function createApp() {
   // API Routes
   app.use('/api/auth', authRoutes);
   app.use('/api/music', musicRoutes);
+  app.use('/api/categories', categoryRoutes);
+  app.use('/api/collections', collectionRoutes);
   app.use('/api/search', searchRoutes);
+  app.use('/api/quick-access', quickAccessRoutes);
+  app.use('/api/setlists', setlistRoutes);
+  app.use('/api/groups', groupRoutes);
+  app.use('/api/sync', syncRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/admin', adminRoutes);
 
   // 404 Handler
   app.use((req, res) => {
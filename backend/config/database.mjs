@@ -5,11 +5,15 @@ import { dirname, join } from 'path';
 import fs from 'fs/promises';
 import { config } from './env.mjs';
 import { logger } from '../utils/logger.mjs';
+import { splitLyrics } from '../utils/lyricsUtils.mjs';
+import { stemText } from '../utils/stemmerUtils.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 let db = null;
+// Conexão só para withTransaction (ver abaixo)
+let transactionDb = null;
 
 // ============================================================================
 // DATABASE CONNECTION
@@ -41,6 +45,7 @@ export async function initDatabase() {
       PRAGMA page_size = 4096;             -- Tamanho de página otimizado
       PRAGMA cache_size = -64000;          -- 64MB de cache
     `);
+    await db.exec(`PRAGMA busy_timeout = ${config.DATABASE_BUSY_TIMEOUT_MS}`);
     
     logger.info('✅ Database initialized successfully', {
       path: config.DATABASE_PATH,
@@ -51,6 +56,17 @@ export async function initDatabase() {
     // Executa migrations
     await runMigrations();
     
+    transactionDb = await open({
+      filename: config.DATABASE_PATH,
+      driver: sqlite3.Database,
+    });
+    await transactionDb.exec(`
+      PRAGMA foreign_keys = ON;
+      PRAGMA synchronous = NORMAL;
+      PRAGMA temp_store = MEMORY;
+      PRAGMA busy_timeout = ${config.DATABASE_BUSY_TIMEOUT_MS};
+    `);
+    
     return db;
   } catch (error) {
     logger.error('❌ Failed to initialize database', { error: error.message });
@@ -74,6 +90,10 @@ export function getDatabase() {
  * Fecha conexão com o banco de dados
  */
 export async function closeDatabase() {
+  if (transactionDb) {
+    await transactionDb.close();
+    transactionDb = null;
+  }
   if (db) {
     await db.close();
     db = null;
@@ -81,6 +101,45 @@ export async function closeDatabase() {
   }
 }
 
+let transactionQueue = Promise.resolve();
+
+/**
+ * Executa callback dentro de uma transação (BEGIN/COMMIT/ROLLBACK)
+ *
+ * Transações rodam numa conexão própria: na conexão compartilhada, escritas
+ * de outras requisições (contagem de acessos, histórico de busca) entrariam
+ * na transação aberta e seriam desfeitas junto com um ROLLBACK. Com duas
+ * conexões, essas escritas esperam o COMMIT (até DATABASE_BUSY_TIMEOUT_MS,
+ * com o que estiver na fila da conexão principal atrás delas); leituras
+ * veem o último estado confirmado (WAL).
+ *
+ * Só a conexão passada ao callback participa da transação — use `db`,
+ * nunca getDatabase(), dentro dele. Transações são enfileiradas entre si.
+ * @param {(db: Database) => Promise<T>} callback
+ * @returns {Promise<T>} Valor retornado pelo callback
+ */
+export function withTransaction(callback) {
+  const run = async () => {
+    if (!transactionDb) {
+      throw new Error('Database not initialized. Call initDatabase() first.');
+    }
+    const database = transactionDb;
+    await database.exec('BEGIN IMMEDIATE');
+    try {
+      const result = await callback(database);
+      await database.exec('COMMIT');
+      return result;
+    } catch (error) {
+      await database.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
 // ============================================================================
 // MIGRATION SYSTEM
 // ============================================================================
@@ -103,6 +162,23 @@ async function runMigrations() {
       { name: '003_create_search_history', version: '003', fn: migration003CreateSearchHistory },
       { name: '004_create_sessions', version: '004', fn: migration004CreateSessions },
       { name: '005_create_analytics_tables', version: '005', fn: migration005CreateAnalyticsTables },
+      { name: '006_create_sync_tables', version: '006', fn: migration006CreateSyncTables },
+      { name: '007_create_change_journal', version: '007', fn: migration007CreateChangeJournal },
+      { name: '008_add_music_version', version: '008', fn: migration008AddMusicVersion },
+      { name: '009_create_idempotency_keys', version: '009', fn: migration009CreateIdempotencyKeys },
+      { name: '010_add_user_roles', version: '010', fn: migration010AddUserRoles },
+      { name: '011_create_categories', version: '011', fn: migration011CreateCategories },
+      { name: '012_add_quick_access_expiry', version: '012', fn: migration012AddQuickAccessExpiry },
+      { name: '013_create_setlists', version: '013', fn: migration013CreateSetlists },
+      { name: '014_add_music_sections', version: '014', fn: migration014AddMusicSections },
+      { name: '015_create_music_revisions', version: '015', fn: migration015CreateMusicRevisions },
+      { name: '016_add_music_soft_delete', version: '016', fn: migration016AddMusicSoftDelete },
+      { name: '017_create_collections', version: '017', fn: migration017CreateCollections },
+      { name: '018_rebuild_music_fts_portuguese', version: '018', fn: migration018RebuildMusicFtsPortuguese },
+      { name: '019_create_music_fuzzy_index', version: '019', fn: migration019CreateMusicFuzzyIndex },
+      { name: '020_add_keyset_pagination_indexes', version: '020', fn: migration020AddKeysetPaginationIndexes },
+      { name: '021_ignore_trash_in_category_usage', version: '021', fn: migration021IgnoreTrashInCategoryUsage },
+      { name: '022_stable_music_list_index', version: '022', fn: migration022StableMusicListIndex },
     ];
     
     // Executa migrations pendentes
@@ -524,6 +600,761 @@ async function migration005CreateAnalyticsTables(db) {
   `);
 }
 
+/**
+ * Migration 006: Tabelas de sincronização (acesso rápido e configurações)
+ */
+async function migration006CreateSyncTables(db) {
+  await db.exec(`
+    -- ========================================
+    -- Tabela: quick_access
+    -- Músicas fixadas no acesso rápido de cada usuário
+    -- ========================================
+    CREATE TABLE IF NOT EXISTS quick_access (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      music_id TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (music_id) REFERENCES music(id) ON DELETE CASCADE,
+      UNIQUE(user_id, music_id)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_quick_access_user ON quick_access(user_id, position);
+    CREATE INDEX IF NOT EXISTS idx_quick_access_updated ON quick_access(user_id, updated_at);
+    
+    -- ========================================
+    -- Tabela: user_settings
+    -- Configurações do app sincronizadas por usuário (valor em JSON)
+    -- ========================================
+    CREATE TABLE IF NOT EXISTS user_settings (
+      user_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, key),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_user_settings_updated ON user_settings(user_id, updated_at);
+    
+    -- ========================================
+    -- Triggers para manutenção automática
+    -- ========================================
+    
+    CREATE TRIGGER IF NOT EXISTS quick_access_updated_at 
+    AFTER UPDATE ON quick_access
+    BEGIN
+      UPDATE quick_access SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+  `);
+}
+
+/**
+ * Migration 007: Change journal com sequência monotônica
+ */
+async function migration007CreateChangeJournal(db) {
+  await db.exec(`
+    -- ========================================
+    -- Tabela: change_journal
+    -- Toda inserção/alteração/remoção de entidade sincronizável.
+    -- AUTOINCREMENT garante que seq nunca é reutilizado.
+    -- ========================================
+    CREATE TABLE IF NOT EXISTS change_journal (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      user_id TEXT,  -- NULL para entidades globais (music)
+      operation TEXT CHECK(operation IN ('insert', 'update', 'delete')) NOT NULL,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_change_journal_user_seq ON change_journal(user_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_change_journal_entity ON change_journal(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_change_journal_changed ON change_journal(changed_at);
+    
+    -- ========================================
+    -- Carga inicial: registros existentes
+    -- ========================================
+    INSERT INTO change_journal (entity_type, entity_id, user_id, operation, changed_at)
+    SELECT 'music', id, NULL, 'insert', updated_at FROM music;
+    
+    INSERT INTO change_journal (entity_type, entity_id, user_id, operation, changed_at)
+    SELECT 'quick_access', id, user_id, 'insert', updated_at FROM quick_access;
+    
+    INSERT INTO change_journal (entity_type, entity_id, user_id, operation, changed_at)
+    SELECT 'settings', key, user_id, 'insert', updated_at FROM user_settings;
+    
+    INSERT INTO change_journal (entity_type, entity_id, user_id, operation, changed_at)
+    SELECT 'search_history', CAST(id AS TEXT), user_id, 'insert', searched_at FROM search_history;
+    
+    -- ========================================
+    -- Triggers: music (global)
+    -- UPDATE OF lista só colunas de conteúdo, para que acessos
+    -- (access_count/last_accessed) e o próprio updated_at não gerem entradas
+    -- ========================================
+    CREATE TRIGGER IF NOT EXISTS trg_journal_music_insert
+    AFTER INSERT ON music
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('music', new.id, NULL, 'insert');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_music_update
+    AFTER UPDATE OF title, artist, lyrics, chords, category_id, genre, key, tempo,
+                    duration, sheet_music_url, audio_url, tags ON music
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('music', new.id, NULL, 'update');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_music_delete
+    AFTER DELETE ON music
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('music', old.id, NULL, 'delete');
+    END;
+    
+    -- ========================================
+    -- Triggers: quick_access (por usuário)
+    -- ========================================
+    CREATE TRIGGER IF NOT EXISTS trg_journal_quick_access_insert
+    AFTER INSERT ON quick_access
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('quick_access', new.id, new.user_id, 'insert');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_quick_access_update
+    AFTER UPDATE OF music_id, position ON quick_access
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('quick_access', new.id, new.user_id, 'update');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_quick_access_delete
+    AFTER DELETE ON quick_access
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('quick_access', old.id, old.user_id, 'delete');
+    END;
+    
+    -- ========================================
+    -- Triggers: user_settings (por usuário, entity_id = key)
+    -- ========================================
+    CREATE TRIGGER IF NOT EXISTS trg_journal_user_settings_insert
+    AFTER INSERT ON user_settings
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('settings', new.key, new.user_id, 'insert');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_user_settings_update
+    AFTER UPDATE OF value ON user_settings
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('settings', new.key, new.user_id, 'update');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_user_settings_delete
+    AFTER DELETE ON user_settings
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('settings', old.key, old.user_id, 'delete');
+    END;
+    
+    -- ========================================
+    -- Triggers: search_history (append-only)
+    -- ========================================
+    CREATE TRIGGER IF NOT EXISTS trg_journal_search_history_insert
+    AFTER INSERT ON search_history
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('search_history', CAST(new.id AS TEXT), new.user_id, 'insert');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_search_history_delete
+    AFTER DELETE ON search_history
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('search_history', CAST(old.id AS TEXT), old.user_id, 'delete');
+    END;
+  `);
+}
+
+/**
+ * Migration 008: Versão de linha em music (concorrência otimista)
+ */
+async function migration008AddMusicVersion(db) {
+  await db.exec(`
+    ALTER TABLE music ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+  `);
+}
+
+/**
+ * Migration 009: Chaves de idempotência para requisições mutáveis
+ */
+async function migration009CreateIdempotencyKeys(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      key TEXT NOT NULL,
+      scope TEXT NOT NULL,  -- user_id ou 'anonymous'
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status TEXT CHECK(status IN ('in_progress', 'completed')) NOT NULL DEFAULT 'in_progress',
+      response_status INTEGER,
+      response_body TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      PRIMARY KEY (scope, key)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+  `);
+}
+
+/**
+ * Migration 010: Papéis de usuário (RBAC)
+ */
+async function migration010AddUserRoles(db) {
+  await db.exec(`
+    ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'member' 
+      CHECK(role IN ('admin', 'editor', 'member'));
+    
+    CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+  `);
+  
+  // Usuários já existentes entram como 'member'; os de ADMIN_EMAILS viram
+  // admin aqui (senão ninguém alcançaria as rotas de admin após o upgrade)
+  if (config.ADMIN_EMAILS.length > 0) {
+    await db.run(
+      `UPDATE users SET role = 'admin' 
+       WHERE LOWER(email) IN (${config.ADMIN_EMAILS.map(() => '?').join(', ')})`,
+      config.ADMIN_EMAILS
+    );
+  }
+}
+
+/**
+ * Migration 011: Categorias (com aninhamento) e integridade de music.category_id
+ */
+async function migration011CreateCategories(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      slug TEXT NOT NULL UNIQUE,
+      color TEXT,
+      icon TEXT,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      parent_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE RESTRICT
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id, sort_order);
+    
+    CREATE TRIGGER IF NOT EXISTS categories_updated_at 
+    AFTER UPDATE ON categories
+    BEGIN
+      UPDATE categories SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+    
+    -- Preserva category_id já usados em music como categorias reais
+    INSERT OR IGNORE INTO categories (id, name, slug)
+    SELECT DISTINCT category_id, category_id, lower(category_id)
+    FROM music
+    WHERE category_id IS NOT NULL;
+    
+    -- ========================================
+    -- Integridade referencial de music.category_id
+    -- (ALTER TABLE não adiciona FOREIGN KEY no SQLite)
+    -- ========================================
+    CREATE TRIGGER IF NOT EXISTS trg_music_category_insert
+    BEFORE INSERT ON music
+    WHEN new.category_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM categories WHERE id = new.category_id)
+    BEGIN
+      SELECT RAISE(ABORT, 'Category not found');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_music_category_update
+    BEFORE UPDATE OF category_id ON music
+    WHEN new.category_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM categories WHERE id = new.category_id)
+    BEGIN
+      SELECT RAISE(ABORT, 'Category not found');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_categories_delete_in_use
+    BEFORE DELETE ON categories
+    WHEN EXISTS (SELECT 1 FROM music WHERE category_id = old.id)
+    BEGIN
+      SELECT RAISE(ABORT, 'Category in use');
+    END;
+  `);
+}
+
+/**
+ * Migration 012: Expiração de itens do acesso rápido
+ */
+async function migration012AddQuickAccessExpiry(db) {
+  await db.exec(`
+    ALTER TABLE quick_access ADD COLUMN expires_at DATETIME;
+    
+    CREATE INDEX IF NOT EXISTS idx_quick_access_expires 
+      ON quick_access(expires_at) WHERE expires_at IS NOT NULL;
+    
+    -- Mudança de expiração também precisa chegar aos outros dispositivos
+    DROP TRIGGER IF EXISTS trg_journal_quick_access_update;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_quick_access_update
+    AFTER UPDATE OF music_id, position, expires_at ON quick_access
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('quick_access', new.id, new.user_id, 'update');
+    END;
+  `);
+}
+
+/**
+ * Migration 013: Grupos (equipes de louvor) e repertórios
+ */
+async function migration013CreateSetlists(db) {
+  await db.exec(`
+    -- ========================================
+    -- Tabela: groups
+    -- Equipes que compartilham repertórios
+    -- ========================================
+    CREATE TABLE IF NOT EXISTS groups (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+    
+    CREATE TABLE IF NOT EXISTS group_members (
+      group_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT CHECK(role IN ('owner', 'member')) NOT NULL DEFAULT 'member',
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (group_id, user_id),
+      FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+    
+    -- ========================================
+    -- Tabela: setlists
+    -- Repertório de um culto/evento (dono: usuário OU grupo)
+    -- ========================================
+    CREATE TABLE IF NOT EXISTS setlists (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT,
+      scheduled_at DATETIME,
+      owner_user_id TEXT,
+      group_id TEXT,
+      is_template INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      CHECK ((owner_user_id IS NULL) <> (group_id IS NULL))
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_setlists_owner ON setlists(owner_user_id, scheduled_at);
+    CREATE INDEX IF NOT EXISTS idx_setlists_group ON setlists(group_id, scheduled_at);
+    
+    -- ========================================
+    -- Tabela: setlist_items
+    -- Músicas do repertório, com tom de execução e observações
+    -- ========================================
+    CREATE TABLE IF NOT EXISTS setlist_items (
+      id TEXT PRIMARY KEY,
+      setlist_id TEXT NOT NULL,
+      music_id TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      performance_key TEXT,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (setlist_id) REFERENCES setlists(id) ON DELETE CASCADE,
+      FOREIGN KEY (music_id) REFERENCES music(id) ON DELETE CASCADE
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_setlist_items_setlist ON setlist_items(setlist_id, position);
+    CREATE INDEX IF NOT EXISTS idx_setlist_items_music ON setlist_items(music_id);
+    
+    -- ========================================
+    -- Triggers: updated_at
+    -- ========================================
+    CREATE TRIGGER IF NOT EXISTS groups_updated_at 
+    AFTER UPDATE ON groups
+    BEGIN
+      UPDATE groups SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS setlists_updated_at 
+    AFTER UPDATE ON setlists
+    BEGIN
+      UPDATE setlists SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS setlist_items_updated_at 
+    AFTER UPDATE ON setlist_items
+    BEGIN
+      UPDATE setlist_items SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+  `);
+}
+
+/**
+ * Migration 014: Letra estruturada em seções + ordem de execução
+ *
+ * Músicas existentes são divididas heuristicamente (linhas em branco e
+ * marcadores "Refrão"/"Coro"); a coluna lyrics continua sendo a fonte da FTS.
+ */
+async function migration014AddMusicSections(db) {
+  await db.exec(`
+    ALTER TABLE music ADD COLUMN sections TEXT;
+    ALTER TABLE music ADD COLUMN verse_order TEXT;
+    
+    -- Preenchimento não deve alterar updated_at das músicas
+    DROP TRIGGER IF EXISTS music_updated_at;
+  `);
+
+  const rows = await db.all('SELECT id, lyrics FROM music');
+  for (const row of rows) {
+    const { sections, verseOrder } = splitLyrics(row.lyrics);
+    if (sections.length === 0) continue;
+
+    await db.run(
+      'UPDATE music SET sections = ?, verse_order = ? WHERE id = ?',
+      [JSON.stringify(sections), verseOrder, row.id]
+    );
+  }
+
+  await db.exec(`
+    CREATE TRIGGER IF NOT EXISTS music_updated_at 
+    AFTER UPDATE ON music
+    BEGIN
+      UPDATE music SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+    
+    -- Alterações de seções/ordem também precisam chegar aos outros dispositivos
+    DROP TRIGGER IF EXISTS trg_journal_music_update;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_music_update
+    AFTER UPDATE OF title, artist, lyrics, chords, category_id, genre, key, tempo,
+                    duration, sheet_music_url, audio_url, tags, sections, verse_order ON music
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('music', new.id, NULL, 'update');
+    END;
+  `);
+}
+
+/**
+ * Migration 015: Histórico de revisões de músicas
+ *
+ * Cada alteração de conteúdo grava o estado completo da música (snapshot)
+ * com autor e campos alterados; `revision` acompanha music.version.
+ */
+async function migration015CreateMusicRevisions(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS music_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      music_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      user_id TEXT,
+      changed_fields TEXT NOT NULL DEFAULT '[]',
+      snapshot TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (music_id) REFERENCES music(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      UNIQUE (music_id, revision)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_music_revisions_music 
+      ON music_revisions(music_id, revision DESC);
+    
+    -- Revisão base com o estado atual das músicas existentes
+    INSERT OR IGNORE INTO music_revisions (music_id, revision, snapshot, created_at)
+    SELECT id, version, json_object(
+      'title', title,
+      'artist', artist,
+      'lyrics', lyrics,
+      'sections', json(sections),
+      'verse_order', verse_order,
+      'chords', chords,
+      'category_id', category_id,
+      'genre', genre,
+      'key', key,
+      'tempo', tempo,
+      'duration', duration,
+      'sheet_music_url', sheet_music_url,
+      'audio_url', audio_url,
+      'tags', json(tags)
+    ), COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+    FROM music;
+  `);
+}
+
+/**
+ * Migration 016: Exclusão lógica de músicas (lixeira)
+ *
+ * Para os apps, mover para a lixeira equivale a excluir e restaurar
+ * equivale a inserir; a remoção definitiva continua gerando 'delete'.
+ */
+async function migration016AddMusicSoftDelete(db) {
+  await db.exec(`
+    ALTER TABLE music ADD COLUMN deleted_at DATETIME;
+    ALTER TABLE music ADD COLUMN deleted_by TEXT;
+    
+    CREATE INDEX IF NOT EXISTS idx_music_deleted_at 
+      ON music(deleted_at) WHERE deleted_at IS NOT NULL;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_music_trash
+    AFTER UPDATE OF deleted_at ON music
+    WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('music', new.id, NULL, 'delete');
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS trg_journal_music_restore
+    AFTER UPDATE OF deleted_at ON music
+    WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+    BEGIN
+      INSERT INTO change_journal (entity_type, entity_id, user_id, operation)
+      VALUES ('music', new.id, NULL, 'insert');
+    END;
+  `);
+}
+
+/**
+ * Migration 017: Hinários (coleções numeradas, ex: Harpa Cristã)
+ */
+async function migration017CreateCollections(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS collections (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      abbreviation TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    
+    -- Número do hino dentro da coleção
+    CREATE TABLE IF NOT EXISTS collection_songs (
+      collection_id TEXT NOT NULL,
+      number INTEGER NOT NULL CHECK(number > 0),
+      music_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (collection_id, number),
+      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+      FOREIGN KEY (music_id) REFERENCES music(id) ON DELETE CASCADE
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_collection_songs_music ON collection_songs(music_id);
+    CREATE INDEX IF NOT EXISTS idx_collection_songs_number ON collection_songs(number);
+    
+    CREATE TRIGGER IF NOT EXISTS collections_updated_at 
+    AFTER UPDATE ON collections
+    BEGIN
+      UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+  `);
+}
+
+/**
+ * Migration 018: Busca sem acentos e com radicais em português
+ *
+ * O índice antigo usava o stemmer porter (inglês) e mantinha acentos:
+ * "coracao" não achava "coração". O novo ignora diacríticos e indexa
+ * também music.search_stems — radicais de título e letra calculados pela
+ * aplicação (utils/stemmerUtils.mjs), já que o SQLite não tem stemmer
+ * em português. Os triggers passam a usar o comando 'delete' do FTS5,
+ * exigido por tabelas com content externo.
+ */
+async function migration018RebuildMusicFtsPortuguese(db) {
+  await db.exec(`
+    ALTER TABLE music ADD COLUMN search_stems TEXT;
+    
+    DROP TRIGGER IF EXISTS music_fts_insert;
+    DROP TRIGGER IF EXISTS music_fts_update;
+    DROP TRIGGER IF EXISTS music_fts_delete;
+    DROP TABLE IF EXISTS music_fts;
+    
+    -- Preenchimento não deve alterar updated_at das músicas
+    DROP TRIGGER IF EXISTS music_updated_at;
+  `);
+
+  const rows = await db.all('SELECT id, title, lyrics FROM music');
+  for (const row of rows) {
+    await db.run(
+      'UPDATE music SET search_stems = ? WHERE id = ?',
+      [stemText(row.title, row.lyrics), row.id]
+    );
+  }
+
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS music_fts USING fts5(
+      id UNINDEXED,
+      title,
+      artist,
+      lyrics,
+      search_stems,
+      content=music,
+      content_rowid=rowid,
+      tokenize='unicode61 remove_diacritics 2'
+    );
+    
+    -- Reindexa as músicas existentes
+    INSERT INTO music_fts(music_fts) VALUES ('rebuild');
+    
+    CREATE TRIGGER IF NOT EXISTS music_fts_insert 
+    AFTER INSERT ON music 
+    BEGIN
+      INSERT INTO music_fts(rowid, id, title, artist, lyrics, search_stems)
+      VALUES (new.rowid, new.id, new.title, new.artist, new.lyrics, new.search_stems);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS music_fts_update 
+    AFTER UPDATE OF title, artist, lyrics, search_stems ON music 
+    BEGIN
+      INSERT INTO music_fts(music_fts, rowid, id, title, artist, lyrics, search_stems)
+      VALUES ('delete', old.rowid, old.id, old.title, old.artist, old.lyrics, old.search_stems);
+      INSERT INTO music_fts(rowid, id, title, artist, lyrics, search_stems)
+      VALUES (new.rowid, new.id, new.title, new.artist, new.lyrics, new.search_stems);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS music_fts_delete 
+    AFTER DELETE ON music 
+    BEGIN
+      INSERT INTO music_fts(music_fts, rowid, id, title, artist, lyrics, search_stems)
+      VALUES ('delete', old.rowid, old.id, old.title, old.artist, old.lyrics, old.search_stems);
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS music_updated_at 
+    AFTER UPDATE ON music
+    BEGIN
+      UPDATE music SET updated_at = CURRENT_TIMESTAMP WHERE id = old.id;
+    END;
+  `);
+}
+
+/**
+ * Migration 019: Índice de trigramas para busca tolerante a erros
+ *
+ * Título e primeira linha da letra (da primeira seção, sem rótulos) em
+ * um FTS5 com tokenizer trigram: consultas com erro de digitação ainda
+ * compartilham trigramas com o texto certo e viram candidatas para a
+ * comparação por similaridade feita na aplicação.
+ */
+async function migration019CreateMusicFuzzyIndex(db) {
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS music_fuzzy USING fts5(
+      title,
+      first_line,
+      tokenize='trigram'
+    );
+    
+    INSERT INTO music_fuzzy(rowid, title, first_line)
+    SELECT rowid, title, ${firstLineSql('music')} FROM music;
+    
+    CREATE TRIGGER IF NOT EXISTS music_fuzzy_insert 
+    AFTER INSERT ON music 
+    BEGIN
+      INSERT INTO music_fuzzy(rowid, title, first_line)
+      VALUES (new.rowid, new.title, ${firstLineSql('new')});
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS music_fuzzy_update 
+    AFTER UPDATE OF title, lyrics, sections ON music 
+    BEGIN
+      DELETE FROM music_fuzzy WHERE rowid = old.rowid;
+      INSERT INTO music_fuzzy(rowid, title, first_line)
+      VALUES (new.rowid, new.title, ${firstLineSql('new')});
+    END;
+    
+    CREATE TRIGGER IF NOT EXISTS music_fuzzy_delete 
+    AFTER DELETE ON music 
+    BEGIN
+      DELETE FROM music_fuzzy WHERE rowid = old.rowid;
+    END;
+  `);
+}
+
+/**
+ * Migration 020: Índices na ordem exata das listagens paginadas por cursor
+ *
+ * Com o desempate por id, cada página começa direto na posição do cursor
+ * em vez de percorrer as linhas anteriores (como fazia o OFFSET).
+ */
+async function migration020AddKeysetPaginationIndexes(db) {
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_music_list 
+      ON music(access_count DESC, last_accessed DESC, id) WHERE deleted_at IS NULL;
+    
+    CREATE INDEX IF NOT EXISTS idx_search_history_user_keyset 
+      ON search_history(user_id, searched_at DESC, id DESC);
+  `);
+}
+
+/**
+ * Migration 021: Músicas na lixeira não impedem remover a categoria
+ *
+ * CategoryModel.delete tira a categoria das músicas na lixeira antes do
+ * DELETE; o trigger barra só músicas visíveis.
+ */
+async function migration021IgnoreTrashInCategoryUsage(db) {
+  await db.exec(`
+    DROP TRIGGER IF EXISTS trg_categories_delete_in_use;
+    
+    CREATE TRIGGER trg_categories_delete_in_use
+    BEFORE DELETE ON categories
+    WHEN EXISTS (SELECT 1 FROM music WHERE category_id = old.id AND deleted_at IS NULL)
+    BEGIN
+      SELECT RAISE(ABORT, 'Category in use');
+    END;
+  `);
+}
+
+/**
+ * Migration 022: Índice da listagem na nova ordem (mais recentes primeiro)
+ *
+ * A ordem por acessos mudava a cada acesso e o cursor pulava ou repetia
+ * músicas; a listagem passou a usar created_at e id.
+ */
+async function migration022StableMusicListIndex(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_music_list;
+    
+    CREATE INDEX IF NOT EXISTS idx_music_list_created 
+      ON music(created_at DESC, id) WHERE deleted_at IS NULL;
+  `);
+}
+
+/**
+ * Primeira linha do texto da primeira seção (ou da letra, sem seções)
+ */
+function firstLineSql(row) {
+  const text = `COALESCE(json_extract(${row}.sections, '$[0].text'), ${row}.lyrics, '')`;
+  return `substr(${text}, 1, instr(${text} || char(10), char(10)) - 1)`;
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -606,6 +1437,7 @@ export default {
   initDatabase,
   getDatabase,
   closeDatabase,
+  withTransaction,
   checkDatabaseIntegrity,
   optimizeDatabase,
   getDatabaseStats,
@@ -16,12 +16,21 @@ export const config = {
   // Database
   DATABASE_PATH: process.env.DATABASE_PATH || './data/cantico_novo.db',
   DATABASE_BACKUP_PATH: process.env.DATABASE_BACKUP_PATH || './data/backups',
+  // Espera por lock de escrita (ex: durante uma importação em transação)
+  DATABASE_BUSY_TIMEOUT_MS: parseInt(process.env.DATABASE_BUSY_TIMEOUT_MS || '10000', 10),
   
   // JWT
   JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
   JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
   
+  // Roles
+  // Emails promovidos a admin no primeiro login (bootstrap do RBAC)
+  ADMIN_EMAILS: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean),
+  
   // OAuth
   GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
@@ -50,6 +59,38 @@ export const config = {
   SEARCH_MIN_QUERY_LENGTH: parseInt(process.env.SEARCH_MIN_QUERY_LENGTH || '2', 10),
   SEARCH_MAX_RESULTS: parseInt(process.env.SEARCH_MAX_RESULTS || '100', 10),
   SEARCH_SUGGESTIONS_LIMIT: parseInt(process.env.SEARCH_SUGGESTIONS_LIMIT || '5', 10),
+  SEARCH_FUZZY_MIN_RESULTS: parseInt(process.env.SEARCH_FUZZY_MIN_RESULTS || '3', 10), // busca aproximada abaixo disso
+  SEARCH_FUZZY_THRESHOLD: parseFloat(process.env.SEARCH_FUZZY_THRESHOLD || '0.65'),
+  
+  // Ranking da busca
+  // Pesos do bm25 por coluna: título, artista, letra, radicais
+  SEARCH_BM25_WEIGHTS: (process.env.SEARCH_BM25_WEIGHTS || '10,5,1,2')
+    .split(',')
+    .map(weight => parseFloat(weight)),
+  // Pesos no score final: texto (bm25), acessos, acessos recentes, histórico do usuário
+  SEARCH_SCORE_TEXT_WEIGHT: parseFloat(process.env.SEARCH_SCORE_TEXT_WEIGHT || '1'),
+  SEARCH_SCORE_POPULARITY_WEIGHT: parseFloat(process.env.SEARCH_SCORE_POPULARITY_WEIGHT || '0.2'),
+  SEARCH_SCORE_RECENT_WEIGHT: parseFloat(process.env.SEARCH_SCORE_RECENT_WEIGHT || '0.2'),
+  SEARCH_SCORE_HISTORY_WEIGHT: parseFloat(process.env.SEARCH_SCORE_HISTORY_WEIGHT || '0.3'),
+  SEARCH_RECENT_DAYS: parseInt(process.env.SEARCH_RECENT_DAYS || '30', 10),
+  
+  // Sync
+  SYNC_MAX_BATCH_SIZE: parseInt(process.env.SYNC_MAX_BATCH_SIZE || '500', 10),
+  SYNC_PULL_LIMIT: parseInt(process.env.SYNC_PULL_LIMIT || '1000', 10),
+  SYNC_MAX_BODY_SIZE: process.env.SYNC_MAX_BODY_SIZE || '25mb',
+  SYNC_MAX_DECOMPRESSED_BYTES: parseInt(process.env.SYNC_MAX_DECOMPRESSED_BYTES || '52428800', 10), // 50MB
+  SYNC_COMPRESSION_THRESHOLD: parseInt(process.env.SYNC_COMPRESSION_THRESHOLD || '65536', 10), // 64KB
+  
+  // Idempotency
+  IDEMPOTENCY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10),
+  
+  // Import/Export
+  IMPORT_MAX_BODY_SIZE: process.env.IMPORT_MAX_BODY_SIZE || '10mb',
+  IMPORT_MAX_DECOMPRESSED_BYTES: parseInt(process.env.IMPORT_MAX_DECOMPRESSED_BYTES || '52428800', 10), // 50MB
+  IMPORT_MAX_ROWS: parseInt(process.env.IMPORT_MAX_ROWS || '5000', 10),
+  
+  // Lixeira (músicas excluídas são removidas de vez após o período de retenção)
+  MUSIC_TRASH_RETENTION_DAYS: parseInt(process.env.MUSIC_TRASH_RETENTION_DAYS || '30', 10),
   
   // Logs
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
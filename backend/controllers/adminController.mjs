@@ -0,0 +1,78 @@
+import { AdminService } from '../services/adminService.mjs';
+import { USER_ROLES } from '../models/userModel.mjs';
+import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
+
+/**
+ * Converte erros conhecidos do AdminService em respostas HTTP
+ */
+function handleRoleError(error, res, next) {
+  if (error.message === 'User not found') {
+    return res.status(404).json(formatError('NOT_FOUND', 'User not found'));
+  }
+  if (error.message === 'Invalid role') {
+    return res.status(400).json(
+      formatError('INVALID_ROLE', 'Invalid role', { allowed: USER_ROLES })
+    );
+  }
+  if (error.message === 'Cannot change own role') {
+    return res.status(409).json(
+      formatError('CANNOT_CHANGE_OWN_ROLE', 'Admins cannot change their own role')
+    );
+  }
+  next(error);
+}
+
+export class AdminController {
+  /**
+   * GET /api/admin/users
+   * Lista usuários e papéis
+   */
+  static async listUsers(req, res, next) {
+    try {
+      const { role, limit, offset } = req.query;
+
+      const users = await AdminService.listUsers({
+        role,
+        limit: limit ? parseInt(limit, 10) : undefined,
+        offset: offset ? parseInt(offset, 10) : undefined,
+      });
+
+      res.json(formatSuccess({ users }));
+    } catch (error) {
+      handleRoleError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/admin/users/:id/role
+   * Concede papel (admin, editor, member)
+   */
+  static async grantRole(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      const user = await AdminService.grantRole(req.user.userId, id, role);
+
+      res.json(formatSuccess({ user }, 'Role granted successfully'));
+    } catch (error) {
+      handleRoleError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/admin/users/:id/role
+   * Revoga papel elevado (volta a member)
+   */
+  static async revokeRole(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await AdminService.revokeRole(req.user.userId, id);
+
+      res.json(formatSuccess({ user }, 'Role revoked successfully'));
+    } catch (error) {
+      handleRoleError(error, res, next);
+    }
+  }
+}
@@ -22,10 +22,10 @@ export class AnalyticsController {
    */
   static async getMostPopularMusic(req, res, next) {
     try {
-      const { limit = 10, timeframe = '30days' } = req.query;
+      const { limit, timeframe = '30days' } = req.query;
       
       const results = await AnalyticsService.getMostPopularMusic(
-        parseInt(limit, 10),
+        limit ? parseInt(limit, 10) : undefined,
         timeframe
       );
 
@@ -41,10 +41,10 @@ export class AnalyticsController {
    */
   static async getTrendingMusic(req, res, next) {
     try {
-      const { limit = 10 } = req.query;
+      const { limit } = req.query;
       
       const results = await AnalyticsService.getTrendingMusic(
-        parseInt(limit, 10)
+        limit ? parseInt(limit, 10) : undefined
       );
 
       res.json(formatSuccess({ results }));
@@ -59,10 +59,10 @@ export class AnalyticsController {
    */
   static async getTopSearchTerms(req, res, next) {
     try {
-      const { limit = 20, timeframe = '30days' } = req.query;
+      const { limit, timeframe = '30days' } = req.query;
       
       const results = await AnalyticsService.getTopSearchTerms(
-        parseInt(limit, 10),
+        limit ? parseInt(limit, 10) : undefined,
         timeframe
       );
 
@@ -0,0 +1,111 @@
+import { CategoryService } from '../services/categoryService.mjs';
+import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
+
+// Erros de validação do CategoryService → [status, código]
+const KNOWN_ERRORS = {
+  'Category not found': [404, 'NOT_FOUND'],
+  'Category name is required': [400, 'INVALID_CATEGORY'],
+  'Invalid color': [400, 'INVALID_COLOR'],
+  'Invalid slug': [400, 'INVALID_SLUG'],
+  'sortOrder must be an integer': [400, 'INVALID_CATEGORY'],
+  'Parent category not found': [400, 'PARENT_NOT_FOUND'],
+  'Target category not found': [400, 'TARGET_NOT_FOUND'],
+  'Category cannot be nested under itself': [400, 'INVALID_PARENT'],
+  'Cannot reassign music to the category being deleted': [400, 'INVALID_TARGET'],
+  'Slug already in use': [409, 'SLUG_IN_USE'],
+};
+
+function handleCategoryError(error, res, next) {
+  if (error.message === 'Category in use') {
+    return res.status(409).json(
+      formatError(
+        'CATEGORY_IN_USE',
+        'Category has music; pass reassignTo to move it before deleting',
+        { musicCount: error.musicCount }
+      )
+    );
+  }
+
+  const known = KNOWN_ERRORS[error.message];
+  if (known) {
+    return res.status(known[0]).json(formatError(known[1], error.message));
+  }
+
+  next(error);
+}
+
+export class CategoryController {
+  /**
+   * GET /api/categories
+   * Lista categorias com contagem de músicas (?tree=true para aninhadas)
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { tree, parentId } = req.query;
+
+      const categories = await CategoryService.listCategories({
+        tree: tree === 'true',
+        parentId: parentId === 'root' ? null : parentId,
+      });
+
+      res.json(formatSuccess({ categories }));
+    } catch (error) {
+      handleCategoryError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/categories/:id
+   * Busca categoria por ID
+   */
+  static async getById(req, res, next) {
+    try {
+      const category = await CategoryService.getCategoryById(req.params.id);
+      res.json(formatSuccess(category));
+    } catch (error) {
+      handleCategoryError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/categories
+   * Cria categoria
+   */
+  static async create(req, res, next) {
+    try {
+      const category = await CategoryService.createCategory(req.body);
+      res.status(201).json(formatSuccess(category));
+    } catch (error) {
+      handleCategoryError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/categories/:id
+   * Atualiza categoria
+   */
+  static async update(req, res, next) {
+    try {
+      const category = await CategoryService.updateCategory(req.params.id, req.body);
+      res.json(formatSuccess(category));
+    } catch (error) {
+      handleCategoryError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/categories/:id?reassignTo=
+   * Remove categoria (músicas vão para reassignTo)
+   */
+  static async delete(req, res, next) {
+    try {
+      const result = await CategoryService.deleteCategory(
+        req.params.id,
+        req.query.reassignTo
+      );
+      res.json(formatSuccess(result, 'Category deleted successfully'));
+    } catch (error) {
+      handleCategoryError(error, res, next);
+    }
+  }
+}
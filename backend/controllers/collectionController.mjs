@@ -0,0 +1,135 @@
+import { CollectionService } from '../services/collectionService.mjs';
+import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
+
+// Erros de validação do CollectionService → [status, código]
+const KNOWN_ERRORS = {
+  'Collection not found': [404, 'NOT_FOUND'],
+  'Hymn not found': [404, 'NOT_FOUND'],
+  'Music not found': [400, 'MUSIC_NOT_FOUND'],
+  'Collection name is required': [400, 'INVALID_COLLECTION'],
+  'Collection name must be a string': [400, 'INVALID_COLLECTION'],
+  'Collection description must be a string': [400, 'INVALID_COLLECTION'],
+  'Invalid abbreviation': [400, 'INVALID_ABBREVIATION'],
+  'Invalid hymn number': [400, 'INVALID_NUMBER'],
+  'Abbreviation already in use': [409, 'ABBREVIATION_IN_USE'],
+};
+
+function handleCollectionError(error, res, next) {
+  const known = KNOWN_ERRORS[error.message];
+  if (known) {
+    return res.status(known[0]).json(formatError(known[1], error.message));
+  }
+
+  next(error);
+}
+
+export class CollectionController {
+  /**
+   * GET /api/collections
+   * Lista hinários com contagem de hinos
+   */
+  static async getAll(req, res, next) {
+    try {
+      const collections = await CollectionService.listCollections();
+      res.json(formatSuccess({ collections }));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/collections/:id
+   * Busca hinário por ID ou sigla, com a lista de hinos
+   */
+  static async getById(req, res, next) {
+    try {
+      const collection = await CollectionService.getCollectionWithSongs(req.params.id);
+      res.json(formatSuccess(collection));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/collections
+   * Cria hinário
+   */
+  static async create(req, res, next) {
+    try {
+      const collection = await CollectionService.createCollection(req.body);
+      res.status(201).json(formatSuccess(collection));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/collections/:id
+   * Atualiza hinário
+   */
+  static async update(req, res, next) {
+    try {
+      const collection = await CollectionService.updateCollection(req.params.id, req.body);
+      res.json(formatSuccess(collection));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/collections/:id
+   * Remove hinário (as músicas continuam no catálogo)
+   */
+  static async delete(req, res, next) {
+    try {
+      await CollectionService.deleteCollection(req.params.id);
+      res.json(formatSuccess({ message: 'Collection deleted successfully' }));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/collections/:id/songs/:number
+   * Música pelo número no hinário (ex: /api/collections/HC/songs/15)
+   */
+  static async getSong(req, res, next) {
+    try {
+      const music = await CollectionService.getSong(req.params.id, req.params.number);
+      res.set('ETag', `"${music.version}"`);
+      res.json(formatSuccess(music));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/collections/:id/songs/:number
+   * Atribui o número a uma música ({ musicId })
+   */
+  static async setSong(req, res, next) {
+    try {
+      const music = await CollectionService.setSong(
+        req.params.id,
+        req.params.number,
+        req.body.musicId
+      );
+      res.json(formatSuccess(music));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/collections/:id/songs/:number
+   * Libera o número no hinário
+   */
+  static async removeSong(req, res, next) {
+    try {
+      await CollectionService.removeSong(req.params.id, req.params.number);
+      res.json(formatSuccess({ message: 'Hymn number removed' }));
+    } catch (error) {
+      handleCollectionError(error, res, next);
+    }
+  }
+}
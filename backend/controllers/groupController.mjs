@@ -0,0 +1,88 @@
+import { GroupService } from '../services/groupService.mjs';
+import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
+
+/**
+ * Converte erros conhecidos do GroupService em respostas HTTP
+ */
+function handleGroupError(error, res, next) {
+  if (['Group not found', 'User not found', 'Member not found'].includes(error.message)) {
+    return res.status(404).json(formatError('NOT_FOUND', error.message));
+  }
+  if (error.message === 'Only group owners can manage members') {
+    return res.status(403).json(formatError('FORBIDDEN', error.message));
+  }
+  if (error.message === 'Cannot remove last group owner') {
+    return res.status(409).json(formatError('LAST_OWNER', error.message));
+  }
+  if (['Group name is required', 'Invalid group role'].includes(error.message)) {
+    return res.status(400).json(formatError('VALIDATION_ERROR', error.message));
+  }
+  next(error);
+}
+
+export class GroupController {
+  /**
+   * GET /api/groups
+   * Lista grupos do usuário
+   */
+  static async getAll(req, res, next) {
+    try {
+      const groups = await GroupService.listGroups(req.user.userId);
+      res.json(formatSuccess({ groups }));
+    } catch (error) {
+      handleGroupError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/groups/:id
+   * Busca grupo com membros
+   */
+  static async getById(req, res, next) {
+    try {
+      const group = await GroupService.getGroup(req.user.userId, req.params.id);
+      res.json(formatSuccess(group));
+    } catch (error) {
+      handleGroupError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/groups
+   * Cria grupo
+   */
+  static async create(req, res, next) {
+    try {
+      const group = await GroupService.createGroup(req.user.userId, req.body);
+      res.status(201).json(formatSuccess(group));
+    } catch (error) {
+      handleGroupError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/groups/:id/members
+   * Adiciona membro ({ userId | email, role? })
+   */
+  static async addMember(req, res, next) {
+    try {
+      const membership = await GroupService.addMember(req.user.userId, req.params.id, req.body);
+      res.status(201).json(formatSuccess(membership));
+    } catch (error) {
+      handleGroupError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/groups/:id/members/:userId
+   * Remove membro (ou sai do grupo)
+   */
+  static async removeMember(req, res, next) {
+    try {
+      await GroupService.removeMember(req.user.userId, req.params.id, req.params.userId);
+      res.json(formatSuccess({ message: 'Member removed successfully' }));
+    } catch (error) {
+      handleGroupError(error, res, next);
+    }
+  }
+}
@@ -1,6 +1,46 @@
 import { MusicService } from '../services/musicService.mjs';
+import { readZip } from '../utils/zipUtils.mjs';
+import { parseCsv } from '../utils/csvUtils.mjs';
+import { config } from '../config/env.mjs';
 import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
 
+/**
+ * Extrai versão esperada do header If-Match ("3", W/"3") ou do body
+ */
+function parseExpectedVersion(req) {
+  const ifMatch = req.headers['if-match'];
+  const raw = ifMatch !== undefined
+    ? ifMatch.replace(/^W\//, '').replace(/"/g, '').trim()
+    : req.body?.version;
+
+  if (raw === undefined || raw === null || raw === '') {
+    return undefined;
+  }
+
+  const version = Number(raw);
+  return Number.isInteger(version) && version > 0 ? version : NaN;
+}
+
+// Erros de validação de seções/ordem de execução (lyricsUtils)
+const SECTION_ERRORS = [
+  'sections must be a non-empty array',
+  'Invalid section name',
+  'Duplicate section name',
+  'Invalid section type',
+  'Section text is required',
+  'Invalid section label',
+  'Invalid verse order',
+  'Verse order references unknown sections',
+];
+
+/**
+ * Número de revisão válido (inteiro positivo) ou NaN
+ */
+function parseRevision(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : NaN;
+}
+
 export class MusicController {
   /**
    * GET /api/music/:id
@@ -9,8 +49,19 @@ export class MusicController {
   static async getById(req, res, next) {
     try {
       const { id } = req.params;
+      const { transposeTo, capo, accidentals } = req.query;
+
+      let music = await MusicService.getMusicById(id);
 
-      const music = await MusicService.getMusicById(id);
+      res.set('ETag', `"${music.version}"`);
+
+      if (transposeTo !== undefined || capo !== undefined || accidentals !== undefined) {
+        music = MusicService.transposeMusic(music, {
+          transposeTo,
+          capo: capo !== undefined ? Number(capo) : undefined,
+          accidentals,
+        });
+      }
 
       res.json(formatSuccess(music));
     } catch (error) {
@@ -19,27 +70,49 @@ export class MusicController {
           formatError('NOT_FOUND', 'Music not found')
         );
       }
+      if (['Invalid key', 'Invalid capo', 'Invalid accidentals'].includes(error.message)) {
+        return res.status(400).json(
+          formatError('INVALID_TRANSPOSITION', error.message)
+        );
+      }
+      if (error.message === 'Music key unknown') {
+        return res.status(422).json(
+          formatError(
+            'MUSIC_KEY_UNKNOWN',
+            'Music has no key and no chords to infer it from'
+          )
+        );
+      }
       next(error);
     }
   }
 
   /**
    * GET /api/music
-   * Lista todas as músicas
+   * Lista todas as músicas, mais recentes primeiro
+   * (?includeLyrics=false omite letra e acordes)
+   * ?cursor= recebe nextCursor/prevCursor da página anterior
    */
   static async getAll(req, res, next) {
     try {
-      const { limit, offset, genre, categoryId } = req.query;
+      const { limit, offset, cursor, genre, categoryId, includeLyrics } = req.query;
 
-      const results = await MusicService.getAllMusic({
+      const result = await MusicService.getAllMusic({
         limit: limit ? parseInt(limit, 10) : undefined,
         offset: offset ? parseInt(offset, 10) : undefined,
+        cursor,
         genre,
         categoryId,
+        includeLyrics: includeLyrics !== 'false',
       });
 
-      res.json(formatSuccess({ results, total: results.length }));
+      res.json(formatSuccess(result));
     } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json(
+          formatError('INVALID_CURSOR', 'Invalid cursor')
+        );
+      }
       next(error);
     }
   }
@@ -50,42 +123,550 @@ export class MusicController {
    */
   static async create(req, res, next) {
     try {
-      const music = await MusicService.createMusic(req.body);
+      const music = await MusicService.createMusic(req.body, { userId: req.user.userId });
 
       res.status(201).json(formatSuccess(music));
     } catch (error) {
+      if (error.message === 'Category not found') {
+        return res.status(400).json(
+          formatError('CATEGORY_NOT_FOUND', 'Category not found')
+        );
+      }
+      if (SECTION_ERRORS.includes(error.message)) {
+        return res.status(400).json(
+          formatError(
+            'INVALID_SECTIONS',
+            error.message,
+            error.unknown ? { unknown: error.unknown } : null
+          )
+        );
+      }
       next(error);
     }
   }
 
   /**
    * PUT /api/music/:id
-   * Atualiza música
+   * Atualiza música (requer If-Match ou `version` no body)
    */
   static async update(req, res, next) {
     try {
       const { id } = req.params;
+      const expectedVersion = parseExpectedVersion(req);
+
+      if (expectedVersion === undefined) {
+        return res.status(428).json(
+          formatError(
+            'VERSION_REQUIRED',
+            'Send the current version in the If-Match header or the version field'
+          )
+        );
+      }
+
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json(
+          formatError('INVALID_VERSION', 'Version must be a positive integer')
+        );
+      }
+
+      const { version, ...data } = req.body;
+      const music = await MusicService.updateMusic(id, data, expectedVersion, {
+        userId: req.user.userId,
+      });
+
+      res.set('ETag', `"${music.version}"`);
+      res.json(formatSuccess(music));
+    } catch (error) {
+      if (error.message === 'Music not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Music not found')
+        );
+      }
+      if (error.message === 'Category not found') {
+        return res.status(400).json(
+          formatError('CATEGORY_NOT_FOUND', 'Category not found')
+        );
+      }
+      if (SECTION_ERRORS.includes(error.message)) {
+        return res.status(400).json(
+          formatError(
+            'INVALID_SECTIONS',
+            error.message,
+            error.unknown ? { unknown: error.unknown } : null
+          )
+        );
+      }
+      if (error.message === 'Version conflict') {
+        res.set('ETag', `"${error.current.version}"`);
+        return res.status(409).json(
+          formatError(
+            'VERSION_CONFLICT',
+            'Music was modified by another user',
+            {
+              expectedVersion: error.expectedVersion,
+              currentVersion: error.current.version,
+              current: error.current,
+            }
+          )
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/music/import/bulk?dryRun=true&onDuplicate=skip|error
+   * Importação em lote: CSV (text/csv, com cabeçalho), array JSON de
+   * músicas ou JSON { rows, dryRun, onDuplicate, defaults }
+   */
+  static async bulkImport(req, res, next) {
+    try {
+      let rows;
+      let rowNumbers;
+      let options = {};
+
+      if (typeof req.body === 'string') {
+        ({ rows, lines: rowNumbers } = parseCsv(req.body));
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else {
+        const { rows: bodyRows, ...rest } = req.body ?? {};
+        rows = bodyRows;
+        options = rest;
+      }
+
+      const dryRun = req.query.dryRun !== undefined
+        ? ['true', '1'].includes(String(req.query.dryRun))
+        : Boolean(options.dryRun);
+
+      const report = await MusicService.bulkImport(rows, {
+        dryRun,
+        onDuplicate: req.query.onDuplicate ?? options.onDuplicate,
+        defaults: options.defaults,
+        rowNumbers,
+        userId: req.user.userId,
+      });
+
+      res.status(dryRun ? 200 : 201).json(formatSuccess(report));
+    } catch (error) {
+      if (error.message === 'Unterminated quoted field in CSV') {
+        return res.status(400).json(
+          formatError('INVALID_CSV', error.message)
+        );
+      }
+      if (['Import has no rows', 'Invalid onDuplicate option', 'Invalid defaults'].includes(error.message)) {
+        return res.status(400).json(
+          formatError('INVALID_IMPORT', error.message)
+        );
+      }
+      if (error.message === 'Too many rows') {
+        return res.status(413).json(
+          formatError('TOO_MANY_ROWS', `Import is limited to ${error.max} rows`, { max: error.max })
+        );
+      }
+      if (error.message === 'Import has invalid rows') {
+        return res.status(422).json(
+          formatError('IMPORT_VALIDATION_FAILED', 'Import has invalid rows; nothing was imported', error.report)
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/music/duplicates?threshold=0.75&limit=50
+   * Grupos de prováveis duplicatas
+   */
+  static async findDuplicates(req, res, next) {
+    try {
+      const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : undefined;
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+      if (threshold !== undefined && (Number.isNaN(threshold) || threshold <= 0 || threshold > 1)) {
+        return res.status(400).json(
+          formatError('INVALID_THRESHOLD', 'threshold must be a number between 0 and 1')
+        );
+      }
+
+      const result = await MusicService.findDuplicates({ threshold, limit });
+
+      res.json(formatSuccess(result));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/music/:id/merge
+   * Mescla duplicatas ({ duplicateIds }) na música :id
+   */
+  static async merge(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { duplicateIds } = req.body ?? {};
+
+      const result = await MusicService.mergeMusic(id, duplicateIds, { userId: req.user.userId });
+
+      res.json(formatSuccess(result));
+    } catch (error) {
+      if (error.message === 'Music not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Music not found')
+        );
+      }
+      if (error.message === 'Duplicate music not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Duplicate music not found', { missing: error.missing })
+        );
+      }
+      if (['duplicateIds must be a non-empty array', 'Cannot merge music into itself'].includes(error.message)) {
+        return res.status(400).json(
+          formatError('INVALID_MERGE', error.message)
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/music/:id/revisions
+   * Histórico de revisões (autor, data e campos alterados)
+   */
+  static async listRevisions(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { limit, offset } = req.query;
+
+      const result = await MusicService.listRevisions(id, {
+        limit: limit ? parseInt(limit, 10) : undefined,
+        offset: offset ? parseInt(offset, 10) : undefined,
+      });
+
+      res.json(formatSuccess(result));
+    } catch (error) {
+      if (error.message === 'Music not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Music not found')
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/music/:id/revisions/diff?from=&to=
+   * Diff linha a linha entre duas revisões (padrão: última e anterior)
+   */
+  static async diffRevisions(req, res, next) {
+    try {
+      const { id } = req.params;
+      const from = req.query.from !== undefined ? parseRevision(req.query.from) : undefined;
+      const to = req.query.to !== undefined ? parseRevision(req.query.to) : undefined;
+
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json(
+          formatError('INVALID_REVISION', 'Revision must be a positive integer')
+        );
+      }
+
+      const diff = await MusicService.diffRevisions(id, { from, to });
+
+      res.json(formatSuccess(diff));
+    } catch (error) {
+      if (error.message === 'Revision not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Revision not found')
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/music/:id/revisions/:rev
+   * Revisão com o conteúdo completo da música naquele momento
+   */
+  static async getRevision(req, res, next) {
+    try {
+      const { id } = req.params;
+      const revision = parseRevision(req.params.rev);
+
+      if (Number.isNaN(revision)) {
+        return res.status(400).json(
+          formatError('INVALID_REVISION', 'Revision must be a positive integer')
+        );
+      }
 
-      const music = await MusicService.updateMusic(id, req.body);
+      const result = await MusicService.getRevision(id, revision);
 
+      res.json(formatSuccess(result));
+    } catch (error) {
+      if (error.message === 'Revision not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Revision not found')
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/music/:id/revisions/:rev/restore
+   * Restaura o conteúdo de uma revisão (If-Match opcional)
+   */
+  static async restoreRevision(req, res, next) {
+    try {
+      const { id } = req.params;
+      const revision = parseRevision(req.params.rev);
+      const expectedVersion = parseExpectedVersion(req);
+
+      if (Number.isNaN(revision)) {
+        return res.status(400).json(
+          formatError('INVALID_REVISION', 'Revision must be a positive integer')
+        );
+      }
+
+      if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json(
+          formatError('INVALID_VERSION', 'Version must be a positive integer')
+        );
+      }
+
+      const music = await MusicService.restoreRevision(id, revision, {
+        userId: req.user.userId,
+        expectedVersion,
+      });
+
+      res.set('ETag', `"${music.version}"`);
       res.json(formatSuccess(music));
     } catch (error) {
+      if (error.message === 'Music not found' || error.message === 'Revision not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', error.message)
+        );
+      }
+      if (error.message === 'Category not found') {
+        return res.status(409).json(
+          formatError(
+            'CATEGORY_NOT_FOUND',
+            'The category of this revision no longer exists'
+          )
+        );
+      }
+      if (error.message === 'Version conflict') {
+        res.set('ETag', `"${error.current.version}"`);
+        return res.status(409).json(
+          formatError(
+            'VERSION_CONFLICT',
+            'Music was modified by another user',
+            {
+              expectedVersion: error.expectedVersion,
+              currentVersion: error.current.version,
+              current: error.current,
+            }
+          )
+        );
+      }
       next(error);
     }
   }
 
   /**
    * DELETE /api/music/:id
-   * Deleta música
+   * Move música para a lixeira
    */
   static async delete(req, res, next) {
     try {
       const { id } = req.params;
 
-      await MusicService.deleteMusic(id);
+      await MusicService.deleteMusic(id, { userId: req.user.userId });
+
+      res.json(formatSuccess({ message: 'Music moved to trash' }));
+    } catch (error) {
+      if (error.message === 'Music not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Music not found')
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/music/trash
+   * Lista músicas na lixeira
+   */
+  static async listTrash(req, res, next) {
+    try {
+      const { limit, offset } = req.query;
+
+      const result = await MusicService.listTrash({
+        limit: limit ? parseInt(limit, 10) : undefined,
+        offset: offset ? parseInt(offset, 10) : undefined,
+      });
+
+      res.json(formatSuccess(result));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/music/trash/:id/restore
+   * Restaura música da lixeira
+   */
+  static async restore(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const music = await MusicService.restoreMusic(id);
 
-      res.json(formatSuccess({ message: 'Music deleted successfully' }));
+      res.set('ETag', `"${music.version}"`);
+      res.json(formatSuccess(music));
     } catch (error) {
+      if (error.message === 'Music not found in trash') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Music not found in trash')
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/music/import/chordpro
+   * Importa música de arquivo ChordPro (corpo text/plain ou JSON { content, ... })
+   */
+  static async importChordPro(req, res, next) {
+    try {
+      const { content, ...overrides } = typeof req.body === 'string'
+        ? { content: req.body }
+        : req.body ?? {};
+
+      const music = await MusicService.importChordPro(content, overrides, {
+        userId: req.user.userId,
+      });
+
+      res.status(201).json(formatSuccess(music));
+    } catch (error) {
+      if ([
+        'ChordPro content is required',
+        'ChordPro file has no title',
+        'ChordPro file has no lyrics',
+      ].includes(error.message)) {
+        return res.status(400).json(
+          formatError('INVALID_CHORDPRO', error.message)
+        );
+      }
+      if (error.message === 'Category not found') {
+        return res.status(400).json(
+          formatError('CATEGORY_NOT_FOUND', 'Category not found')
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/music/import/openlyrics
+   * Importa documentos OpenLyrics: XML único (application/xml), coleção
+   * em ZIP (application/zip) ou JSON { documents: [xml, ...], ... }
+   */
+  static async importOpenLyrics(req, res, next) {
+    try {
+      let documents;
+      let overrides = {};
+
+      if (Buffer.isBuffer(req.body)) {
+        documents = readZip(req.body, { maxTotalBytes: config.IMPORT_MAX_DECOMPRESSED_BYTES })
+          .filter(file => file.name.toLowerCase().endsWith('.xml'))
+          .map(file => ({ name: file.name, content: file.content.toString('utf8') }));
+      } else if (typeof req.body === 'string') {
+        documents = [{ name: 'document.xml', content: req.body }];
+      } else {
+        const { documents: xmlDocuments, ...rest } = req.body ?? {};
+        documents = Array.isArray(xmlDocuments)
+          ? xmlDocuments.map((content, index) => ({ name: `documents[${index}]`, content }))
+          : [];
+        overrides = rest;
+      }
+
+      if (documents.length === 0) {
+        return res.status(400).json(
+          formatError('INVALID_OPENLYRICS', 'No OpenLyrics documents found in request')
+        );
+      }
+
+      const result = await MusicService.importOpenLyrics(documents, overrides, {
+        userId: req.user.userId,
+      });
+
+      if (result.imported.length === 0) {
+        return res.status(400).json(
+          formatError('INVALID_OPENLYRICS', 'No songs could be imported', { failed: result.failed })
+        );
+      }
+
+      res.status(201).json(formatSuccess(result));
+    } catch (error) {
+      if (error.code === 'INVALID_ZIP') {
+        return res.status(400).json(formatError('INVALID_ZIP', error.message));
+      }
+      if (error.code === 'PAYLOAD_TOO_LARGE') {
+        return res.status(413).json(formatError('PAYLOAD_TOO_LARGE', error.message));
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/music/export?format=openlyrics&categoryId=
+   * Exporta coleção como ZIP (um arquivo por música)
+   */
+  static async exportCollection(req, res, next) {
+    try {
+      const { format = 'openlyrics', categoryId, genre } = req.query;
+
+      const file = await MusicService.exportCollection(format, { categoryId, genre });
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.send(file.content);
+    } catch (error) {
+      if (error.message === 'Unsupported export format') {
+        return res.status(400).json(
+          formatError('UNSUPPORTED_FORMAT', error.message, { supported: error.supported })
+        );
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/music/:id/export?format=chordpro|openlyrics
+   * Exporta música como arquivo
+   */
+  static async export(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { format = 'chordpro' } = req.query;
+
+      const file = await MusicService.exportMusic(id, format);
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.send(file.content);
+    } catch (error) {
+      if (error.message === 'Music not found') {
+        return res.status(404).json(
+          formatError('NOT_FOUND', 'Music not found')
+        );
+      }
+      if (error.message === 'Unsupported export format') {
+        return res.status(400).json(
+          formatError('UNSUPPORTED_FORMAT', error.message, { supported: error.supported })
+        );
+      }
       next(error);
     }
   }
@@ -0,0 +1,94 @@
+import { QuickAccessService } from '../services/quickAccessService.mjs';
+import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
+
+/**
+ * Converte erros conhecidos do QuickAccessService em respostas HTTP
+ */
+function handleQuickAccessError(error, res, next) {
+  if (error.message === 'Quick access item not found') {
+    return res.status(404).json(formatError('NOT_FOUND', error.message));
+  }
+  if (error.message === 'Music not found') {
+    return res.status(404).json(formatError('MUSIC_NOT_FOUND', error.message));
+  }
+  if (error.message === 'Invalid order') {
+    return res.status(400).json(
+      formatError(
+        'INVALID_ORDER',
+        'itemIds must list every active quick access item exactly once',
+        error.expected ? { expected: error.expected } : null
+      )
+    );
+  }
+  if (['musicId is required', 'Invalid position', 'Invalid expiration'].includes(error.message)) {
+    return res.status(400).json(formatError('VALIDATION_ERROR', error.message));
+  }
+  next(error);
+}
+
+export class QuickAccessController {
+  /**
+   * GET /api/quick-access
+   * Lista acesso rápido do usuário
+   */
+  static async getAll(req, res, next) {
+    try {
+      const items = await QuickAccessService.listItems(req.user.userId);
+      res.json(formatSuccess({ items }));
+    } catch (error) {
+      handleQuickAccessError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/quick-access
+   * Fixa música ({ musicId, position?, expiresAt? | ttlHours? })
+   */
+  static async add(req, res, next) {
+    try {
+      const item = await QuickAccessService.addItem(req.user.userId, req.body);
+      res.status(201).json(formatSuccess(item));
+    } catch (error) {
+      handleQuickAccessError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/quick-access/order
+   * Reordena itens ({ itemIds: [...] })
+   */
+  static async reorder(req, res, next) {
+    try {
+      const items = await QuickAccessService.reorderItems(req.user.userId, req.body.itemIds);
+      res.json(formatSuccess({ items }));
+    } catch (error) {
+      handleQuickAccessError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/quick-access/expire
+   * Remove itens expirados do usuário
+   */
+  static async expire(req, res, next) {
+    try {
+      const expired = await QuickAccessService.expireItems(req.user.userId);
+      res.json(formatSuccess({ removed: expired.length, items: expired }));
+    } catch (error) {
+      handleQuickAccessError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/quick-access/:id
+   * Remove item
+   */
+  static async remove(req, res, next) {
+    try {
+      await QuickAccessService.removeItem(req.user.userId, req.params.id);
+      res.json(formatSuccess({ message: 'Quick access item removed' }));
+    } catch (error) {
+      handleQuickAccessError(error, res, next);
+    }
+  }
+}
@@ -1,16 +1,29 @@
-import { SearchService } from '../services/searchService.mjs';
+import { SearchService, SEARCH_SORTS } from '../services/searchService.mjs';
 import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
 import { logger } from '../utils/logger.mjs';
 
+/**
+ * `false` desliga a opção, venha como booleano (body JSON) ou texto
+ * (query string ou body de formulário)
+ */
+function isDisabled(value) {
+  return value === false || value === 'false';
+}
+
 export class SearchController {
   /**
    * POST /api/search
-   * Busca músicas
+   * Busca músicas (includeLyrics=false no body ou na query omite letra e acordes)
+   * ?sort=relevance|popular|recent|alpha
+   * ?cursor= recebe nextCursor/prevCursor da página anterior (exato em
+   *   recent e alpha; aproximado em relevance e popular, que mudam com acessos)
+   * Body: { query, filters?: { genre, tempo, key, categoryId, tags } }
    */
   static async search(req, res, next) {
     try {
-      const { query } = req.body;
-      const { limit, offset } = req.query;
+      const { query, includeLyrics, filters } = req.body;
+      const { limit, offset, cursor } = req.query;
+      const sort = req.query.sort ?? req.body.sort;
       const userId = req.user?.userId; // Opcional
 
       if (!query || typeof query !== 'string') {
@@ -19,13 +32,36 @@ export class SearchController {
         );
       }
 
+      if (sort !== undefined && !SEARCH_SORTS.includes(sort)) {
+        return res.status(400).json(
+          formatError('INVALID_SORT', `sort must be one of: ${SEARCH_SORTS.join(', ')}`)
+        );
+      }
+
       const results = await SearchService.searchMusic(query, userId, {
         limit: limit ? parseInt(limit, 10) : undefined,
         offset: offset ? parseInt(offset, 10) : undefined,
+        cursor,
+        includeLyrics: !isDisabled(includeLyrics) && !isDisabled(req.query.includeLyrics),
+        sort,
+        filters,
       });
 
       res.json(formatSuccess(results));
     } catch (error) {
+      if (error.message === 'Invalid filters' || error.message === 'Invalid filter value') {
+        return res.status(400).json(
+          formatError('INVALID_FILTER', error.message, {
+            filter: error.filter,
+            value: error.value,
+          })
+        );
+      }
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json(
+          formatError('INVALID_CURSOR', 'Invalid cursor')
+        );
+      }
       next(error);
     }
   }
@@ -54,20 +90,25 @@ export class SearchController {
 
   /**
    * GET /api/search/history
-   * Busca histórico do usuário
+   * Busca histórico do usuário (?cursor= para as próximas páginas)
    */
   static async getHistory(req, res, next) {
     try {
       const userId = req.user.userId;
-      const { limit } = req.query;
+      const { limit, cursor } = req.query;
 
-      const history = await SearchService.getUserHistory(
-        userId,
-        limit ? parseInt(limit, 10) : undefined
-      );
+      const result = await SearchService.getUserHistory(userId, {
+        limit: limit ? parseInt(limit, 10) : undefined,
+        cursor,
+      });
 
-      res.json(formatSuccess({ history }));
+      res.json(formatSuccess(result));
     } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json(
+          formatError('INVALID_CURSOR', 'Invalid cursor')
+        );
+      }
       next(error);
     }
   }
@@ -0,0 +1,213 @@
+import { SetlistService } from '../services/setlistService.mjs';
+import { formatSuccess, formatError } from '../utils/responseFormatter.mjs';
+
+// Erros de validação do SetlistService → código
+const VALIDATION_ERRORS = {
+  'Setlist title is required': 'INVALID_SETLIST',
+  'Setlist title must be a string': 'INVALID_SETLIST',
+  'Setlist description must be a string': 'INVALID_SETLIST',
+  'Invalid scheduledAt': 'INVALID_SETLIST',
+  'Invalid days': 'INVALID_PARAMETER',
+  'items must be an array': 'INVALID_ITEMS',
+  'musicId is required': 'INVALID_ITEMS',
+  'Invalid key': 'INVALID_KEY',
+  'Invalid notes': 'INVALID_ITEMS',
+};
+
+/**
+ * Converte erros conhecidos do SetlistService em respostas HTTP
+ */
+function handleSetlistError(error, res, next) {
+  if (['Setlist not found', 'Setlist item not found', 'Group not found'].includes(error.message)) {
+    return res.status(404).json(formatError('NOT_FOUND', error.message));
+  }
+  if (error.message === 'Music not found') {
+    return res.status(400).json(
+      formatError('MUSIC_NOT_FOUND', 'Music not found', { missing: error.missing })
+    );
+  }
+  if (error.message === 'Invalid order') {
+    return res.status(400).json(
+      formatError(
+        'INVALID_ORDER',
+        'itemIds must list every setlist item exactly once',
+        { expected: error.expected }
+      )
+    );
+  }
+  if (error.message === 'Only the creator or a group owner can delete this setlist') {
+    return res.status(403).json(formatError('FORBIDDEN', error.message));
+  }
+  if (VALIDATION_ERRORS[error.message]) {
+    return res.status(400).json(formatError(VALIDATION_ERRORS[error.message], error.message));
+  }
+  next(error);
+}
+
+export class SetlistController {
+  /**
+   * GET /api/setlists
+   * Lista repertórios (?groupId=, ?templates=true|false)
+   */
+  static async getAll(req, res, next) {
+    try {
+      const { groupId, templates, limit, offset } = req.query;
+
+      const setlists = await SetlistService.listSetlists(req.user.userId, {
+        groupId,
+        templates: templates === undefined ? undefined : templates === 'true',
+        limit: limit ? parseInt(limit, 10) : undefined,
+        offset: offset ? parseInt(offset, 10) : undefined,
+      });
+
+      res.json(formatSuccess({ setlists }));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/setlists/upcoming
+   * Próximos repertórios agendados (?days=30&limit=10)
+   */
+  static async getUpcoming(req, res, next) {
+    try {
+      const { days, limit } = req.query;
+
+      const setlists = await SetlistService.getUpcoming(req.user.userId, {
+        days: days ? Number(days) : undefined,
+        limit: limit ? parseInt(limit, 10) : undefined,
+      });
+
+      res.json(formatSuccess({ setlists }));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/setlists/:id
+   * Busca repertório com músicas
+   */
+  static async getById(req, res, next) {
+    try {
+      const setlist = await SetlistService.getSetlist(req.user.userId, req.params.id);
+      res.json(formatSuccess(setlist));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/setlists
+   * Cria repertório
+   */
+  static async create(req, res, next) {
+    try {
+      const setlist = await SetlistService.createSetlist(req.user.userId, req.body);
+      res.status(201).json(formatSuccess(setlist));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/setlists/:id
+   * Atualiza repertório
+   */
+  static async update(req, res, next) {
+    try {
+      const setlist = await SetlistService.updateSetlist(req.user.userId, req.params.id, req.body);
+      res.json(formatSuccess(setlist));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/setlists/:id
+   * Remove repertório
+   */
+  static async delete(req, res, next) {
+    try {
+      await SetlistService.deleteSetlist(req.user.userId, req.params.id);
+      res.json(formatSuccess({ message: 'Setlist deleted successfully' }));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/setlists/:id/duplicate
+   * Cria repertório a partir deste ({ title?, scheduledAt?, groupId? })
+   */
+  static async duplicate(req, res, next) {
+    try {
+      const setlist = await SetlistService.duplicateSetlist(req.user.userId, req.params.id, req.body);
+      res.status(201).json(formatSuccess(setlist));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/setlists/:id/order
+   * Reordena músicas ({ itemIds: [...] })
+   */
+  static async reorder(req, res, next) {
+    try {
+      const items = await SetlistService.reorderItems(
+        req.user.userId,
+        req.params.id,
+        req.body.itemIds
+      );
+      res.json(formatSuccess({ items }));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/setlists/:id/items
+   * Adiciona música ({ musicId, key?, notes? })
+   */
+  static async addItem(req, res, next) {
+    try {
+      const item = await SetlistService.addItem(req.user.userId, req.params.id, req.body);
+      res.status(201).json(formatSuccess(item));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * PUT /api/setlists/:id/items/:itemId
+   * Atualiza tom e/ou observações
+   */
+  static async updateItem(req, res, next) {
+    try {
+      const item = await SetlistService.updateItem(
+        req.user.userId,
+        req.params.id,
+        req.params.itemId,
+        req.body
+      );
+      res.json(formatSuccess(item));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/setlists/:id/items/:itemId
+   * Remove música do repertório
+   */
+  static async removeItem(req, res, next) {
+    try {
+      await SetlistService.removeItem(req.user.userId, req.params.id, req.params.itemId);
+      res.json(formatSuccess({ message: 'Setlist item removed' }));
+    } catch (error) {
+      handleSetlistError(error, res, next);
+    }
+  }
+}
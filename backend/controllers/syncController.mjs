@@ -0,0 +1,138 @@
+import { SyncService, SYNC_ENTITY_TYPES } from '../services/syncService.mjs';
+import { formatError } from '../utils/responseFormatter.mjs';
+import { compressPayload } from '../utils/payloadCompression.mjs';
+import { config } from '../config/env.mjs';
+
+/*
+ * As respostas de sync não usam formatSuccess: o SyncEngine do app lê
+ * `results` e `operations` direto na raiz do JSON.
+ */
+export class SyncController {
+  /**
+   * POST /api/sync/push
+   * Recebe batch de operações offline do cliente
+   */
+  static async push(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { operations } = req.body;
+
+      if (!Array.isArray(operations)) {
+        return res.status(400).json(
+          formatError('INVALID_PAYLOAD', 'operations must be an array')
+        );
+      }
+
+      if (operations.length > config.SYNC_MAX_BATCH_SIZE) {
+        return res.status(413).json(
+          formatError(
+            'BATCH_TOO_LARGE',
+            `Batch exceeds maximum of ${config.SYNC_MAX_BATCH_SIZE} operations`
+          )
+        );
+      }
+
+      const results = await SyncService.pushOperations(userId, operations);
+
+      res.json({
+        success: true,
+        results,
+        server_timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/sync/pull?since=&since_seq=&entities=&include_deleted=&compressed=
+   * Retorna alterações do servidor desde o último sync
+   *
+   * since_seq (cursor do change journal) tem precedência sobre since.
+   * Com compressed=true, respostas acima de SYNC_COMPRESSION_THRESHOLD
+   * trazem `operations` em gzip + base64, como no push.
+   */
+  static async pull(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { since = '1970-01-01T00:00:00Z', entities = 'all' } = req.query;
+      const includeDeleted = req.query.include_deleted !== 'false';
+
+      let sinceSeq;
+      if (req.query.since_seq !== undefined) {
+        sinceSeq = parseInt(req.query.since_seq, 10);
+        if (Number.isNaN(sinceSeq) || sinceSeq < 0) {
+          return res.status(400).json(
+            formatError('INVALID_SINCE_SEQ', 'since_seq must be a non-negative integer')
+          );
+        }
+      }
+
+      if (typeof since !== 'string' || Number.isNaN(new Date(since).getTime())) {
+        return res.status(400).json(
+          formatError('INVALID_SINCE', 'since must be an ISO 8601 timestamp')
+        );
+      }
+
+      // ?entities=music,settings ou ?entities=music&entities=settings
+      const entityList = Array.isArray(entities) ? entities : [entities];
+      if (entityList.some(e => typeof e !== 'string')) {
+        return res.status(400).json(
+          formatError(
+            'INVALID_ENTITIES',
+            'entities must be a comma-separated list of entity types',
+            { supported: SYNC_ENTITY_TYPES }
+          )
+        );
+      }
+
+      const entityTypes = entityList.length === 1 && entityList[0] === 'all'
+        ? SYNC_ENTITY_TYPES
+        : [...new Set(entityList.flatMap(e => e.split(',')).map(e => e.trim()).filter(Boolean))];
+
+      const unsupported = entityTypes.filter(e => !SYNC_ENTITY_TYPES.includes(e));
+      if (unsupported.length > 0 || entityTypes.length === 0) {
+        return res.status(400).json(
+          formatError(
+            'INVALID_ENTITIES',
+            `Unsupported entity types: ${unsupported.join(', ')}`,
+            { supported: SYNC_ENTITY_TYPES }
+          )
+        );
+      }
+
+      // Timestamp capturado antes da leitura: alterações concorrentes
+      // entram no próximo pull em vez de serem perdidas
+      const serverTimestamp = new Date().toISOString();
+
+      const { operations, hasMore, lastSeq } = await SyncService.pullChanges(userId, {
+        since,
+        sinceSeq,
+        entityTypes,
+        includeDeleted,
+      });
+
+      let payload = operations;
+      let compressed = false;
+
+      if (req.query.compressed === 'true') {
+        const size = Buffer.byteLength(JSON.stringify(operations), 'utf8');
+        if (size > config.SYNC_COMPRESSION_THRESHOLD) {
+          payload = await compressPayload(operations);
+          compressed = true;
+        }
+      }
+
+      res.json({
+        success: true,
+        operations: payload,
+        compressed,
+        has_more: hasMore,
+        last_seq: lastSeq,
+        server_timestamp: serverTimestamp,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
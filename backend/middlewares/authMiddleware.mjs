@@ -1,4 +1,5 @@
 import { AuthService } from '../services/authService.mjs';
+import { UserModel } from '../models/userModel.mjs';
 import { formatError } from '../utils/responseFormatter.mjs';
 import { logger } from '../utils/logger.mjs';
 
@@ -57,6 +58,38 @@ export function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Middleware de autorização por papel (usar após authMiddleware)
+ *
+ * O papel é lido do banco a cada requisição, não do JWT: concessões e
+ * revogações valem na hora, sem esperar o refresh do access token.
+ */
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await UserModel.findById(req.user?.userId);
+      const role = user?.role || 'member';
+
+      if (!roles.includes(role)) {
+        logger.warn('Access denied by role', {
+          userId: req.user?.userId,
+          role,
+          required: roles,
+          path: req.originalUrl,
+        });
+        return res.status(403).json(
+          formatError('FORBIDDEN', 'Insufficient permissions for this action')
+        );
+      }
+
+      req.user.role = role;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
 import TokenService from '../services/tokenService.mjs';
 import SessionModel from '../models/sessionModel.mjs';
 
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { IdempotencyKeyModel } from '../models/idempotencyKeyModel.mjs';
+import { formatError } from '../utils/responseFormatter.mjs';
+import { config } from '../config/env.mjs';
+import { logger } from '../utils/logger.mjs';
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Middleware de idempotência (header Idempotency-Key)
+ *
+ * A primeira requisição com uma chave é executada e sua resposta é
+ * guardada; retentativas com a mesma chave e o mesmo corpo recebem a
+ * resposta original sem reexecutar o controller. Respostas 5xx liberam
+ * a chave para que a retentativa seja processada de novo.
+ *
+ * Deve vir depois do middleware de autenticação (chaves por usuário).
+ * Requisições anônimas seguem sem idempotência: não há como separar um
+ * cliente do outro, e um respondia com o resultado guardado do outro.
+ */
+export async function idempotency(req, res, next) {
+  const key = req.headers['idempotency-key'];
+
+  if (key === undefined || !req.user?.userId) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json(
+      formatError(
+        'INVALID_IDEMPOTENCY_KEY',
+        `Idempotency-Key must have between 1 and ${MAX_KEY_LENGTH} characters`
+      )
+    );
+  }
+
+  const scope = req.user.userId;
+  const path = req.originalUrl.split('?')[0];
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(`${req.method}:${path}:${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+
+  try {
+    const existing = await IdempotencyKeyModel.find(scope, key);
+
+    if (existing) {
+      return replay(existing, requestHash, res);
+    }
+
+    const reserved = await IdempotencyKeyModel.reserve({
+      scope,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      ttlHours: config.IDEMPOTENCY_TTL_HOURS,
+    });
+
+    if (!reserved) {
+      // Outra requisição reservou a chave entre a busca e a reserva
+      const concurrent = await IdempotencyKeyModel.find(scope, key);
+      if (concurrent) {
+        return replay(concurrent, requestHash, res);
+      }
+      return res.status(409).json(
+        formatError('IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is in progress')
+      );
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Captura corpo da resposta para armazenar
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  let settled = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+
+    const completed = res.writableFinished && res.statusCode < 500;
+    const operation = completed
+      ? IdempotencyKeyModel.complete(scope, key, res.statusCode, responseBody)
+      : IdempotencyKeyModel.release(scope, key);
+
+    operation.catch(error => {
+      logger.error('Failed to persist idempotency key', {
+        key,
+        scope,
+        error: error.message,
+      });
+    });
+  };
+
+  res.on('finish', settle);
+  res.on('close', settle);
+
+  next();
+}
+
+/**
+ * Responde a partir de uma chave já registrada
+ */
+function replay(record, requestHash, res) {
+  if (record.request_hash !== requestHash) {
+    return res.status(422).json(
+      formatError(
+        'IDEMPOTENCY_KEY_REUSED',
+        'Idempotency-Key was already used with a different request'
+      )
+    );
+  }
+
+  if (record.status === 'in_progress') {
+    return res.status(409).json(
+      formatError('IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is in progress')
+    );
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response_status).json(JSON.parse(record.response_body));
+}
@@ -0,0 +1,51 @@
+import { decompressPayload } from '../utils/payloadCompression.mjs';
+import { formatError } from '../utils/responseFormatter.mjs';
+import { config } from '../config/env.mjs';
+import { logger } from '../utils/logger.mjs';
+
+/**
+ * Descomprime `operations` quando o cliente envia `compressed: true`
+ *
+ * O SyncEngine envia as operações como JSON gzip + base64. Após este
+ * middleware, req.body.operations é sempre o array já decodificado.
+ */
+export async function decompressSyncPayload(req, res, next) {
+  if (req.body?.compressed !== true) {
+    return next();
+  }
+
+  try {
+    const encoded = req.body.operations;
+    const operations = await decompressPayload(
+      encoded,
+      config.SYNC_MAX_DECOMPRESSED_BYTES
+    );
+
+    if (!Array.isArray(operations)) {
+      return res.status(400).json(
+        formatError('INVALID_PAYLOAD', 'Decompressed operations must be an array')
+      );
+    }
+
+    logger.debug('Sync payload decompressed', {
+      compressedBytes: encoded.length,
+      operations: operations.length,
+    });
+
+    req.body.operations = operations;
+    req.body.compressed = false;
+    next();
+  } catch (error) {
+    const status = error.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400;
+
+    logger.warn('Rejected compressed sync payload', {
+      userId: req.user?.userId,
+      code: error.code,
+      error: error.message,
+    });
+
+    return res.status(status).json(
+      formatError(error.code || 'INVALID_PAYLOAD', error.message)
+    );
+  }
+}
@@ -0,0 +1,177 @@
+import { getDatabase, withTransaction } from '../config/database.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export class CategoryModel {
+  /**
+   * Busca categoria por ID (com contagem de músicas)
+   */
+  static async findById(categoryId) {
+    const db = getDatabase();
+    return await db.get(
+      `SELECT c.*, 
+         (SELECT COUNT(*) FROM music m WHERE m.category_id = c.id AND m.deleted_at IS NULL) as music_count
+       FROM categories c 
+       WHERE c.id = ?`,
+      categoryId
+    );
+  }
+
+  /**
+   * Busca categoria por slug
+   */
+  static async findBySlug(slug) {
+    const db = getDatabase();
+    return await db.get('SELECT * FROM categories WHERE slug = ?', slug);
+  }
+
+  /**
+   * Lista categorias com contagem de músicas
+   */
+  static async findAll({ parentId } = {}) {
+    const db = getDatabase();
+    
+    let query = `SELECT c.*, COUNT(m.id) as music_count 
+                 FROM categories c 
+                 LEFT JOIN music m ON m.category_id = c.id AND m.deleted_at IS NULL`;
+    const params = [];
+    
+    if (parentId !== undefined) {
+      query += parentId === null ? ' WHERE c.parent_id IS NULL' : ' WHERE c.parent_id = ?';
+      if (parentId !== null) params.push(parentId);
+    }
+    
+    query += ' GROUP BY c.id ORDER BY c.sort_order ASC, c.name COLLATE NOCASE ASC';
+    
+    return await db.all(query, ...params);
+  }
+
+  /**
+   * Verifica se `categoryId` é a própria `ancestorId` ou descendente dela
+   */
+  static async isDescendantOf(categoryId, ancestorId) {
+    const db = getDatabase();
+    const row = await db.get(
+      `WITH RECURSIVE ancestors(id, parent_id) AS (
+         SELECT id, parent_id FROM categories WHERE id = ?
+         UNION ALL
+         SELECT c.id, c.parent_id FROM categories c
+         INNER JOIN ancestors a ON c.id = a.parent_id
+       )
+       SELECT 1 as found FROM ancestors WHERE id = ? LIMIT 1`,
+      [categoryId, ancestorId]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Cria categoria
+   */
+  static async create(data) {
+    const db = getDatabase();
+    const categoryId = uuidv4();
+    
+    await db.run(
+      `INSERT INTO categories (id, name, slug, color, icon, sort_order, parent_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        categoryId,
+        data.name,
+        data.slug,
+        data.color || null,
+        data.icon || null,
+        data.sortOrder ?? 0,
+        data.parentId || null,
+      ]
+    );
+    
+    return await this.findById(categoryId);
+  }
+
+  /**
+   * Atualiza categoria
+   */
+  static async update(categoryId, data) {
+    const db = getDatabase();
+    
+    const fields = [];
+    const values = [];
+    
+    if (data.name !== undefined) {
+      fields.push('name = ?');
+      values.push(data.name);
+    }
+    if (data.slug !== undefined) {
+      fields.push('slug = ?');
+      values.push(data.slug);
+    }
+    if (data.color !== undefined) {
+      fields.push('color = ?');
+      values.push(data.color);
+    }
+    if (data.icon !== undefined) {
+      fields.push('icon = ?');
+      values.push(data.icon);
+    }
+    if (data.sortOrder !== undefined) {
+      fields.push('sort_order = ?');
+      values.push(data.sortOrder);
+    }
+    if (data.parentId !== undefined) {
+      fields.push('parent_id = ?');
+      values.push(data.parentId);
+    }
+    
+    if (fields.length > 0) {
+      values.push(categoryId);
+      await db.run(
+        `UPDATE categories SET ${fields.join(', ')} WHERE id = ?`,
+        ...values
+      );
+    }
+    
+    return await this.findById(categoryId);
+  }
+
+  /**
+   * Remove categoria
+   *
+   * Músicas vão para `reassignTo` (se informado) e subcategorias
+   * sobem para o pai da categoria removida. Sem `reassignTo`, músicas na
+   * lixeira ficam sem categoria (se restauradas, voltam sem categoria).
+   */
+  static async delete(categoryId, { reassignTo = null } = {}) {
+    return await withTransaction(async (db) => {
+      const category = await db.get(
+        'SELECT parent_id FROM categories WHERE id = ?',
+        categoryId
+      );
+      
+      let reassigned = 0;
+      if (reassignTo) {
+        const result = await db.run(
+          'UPDATE music SET category_id = ? WHERE category_id = ?',
+          [reassignTo, categoryId]
+        );
+        reassigned = result.changes;
+      }
+      
+      const trashed = await db.run(
+        'UPDATE music SET category_id = NULL WHERE category_id = ? AND deleted_at IS NOT NULL',
+        categoryId
+      );
+      
+      const children = await db.run(
+        'UPDATE categories SET parent_id = ? WHERE parent_id = ?',
+        [category.parent_id, categoryId]
+      );
+      
+      await db.run('DELETE FROM categories WHERE id = ?', categoryId);
+      
+      return {
+        reassignedMusic: reassigned,
+        uncategorizedTrashedMusic: trashed.changes,
+        movedSubcategories: children.changes,
+      };
+    });
+  }
+}
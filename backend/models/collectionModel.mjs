@@ -0,0 +1,183 @@
+import { getDatabase } from '../config/database.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export class CollectionModel {
+  /**
+   * Busca coleção por ID (com contagem de hinos)
+   */
+  static async findById(collectionId) {
+    const db = getDatabase();
+    return await db.get(
+      `SELECT c.*,
+         (SELECT COUNT(*) FROM collection_songs cs
+          INNER JOIN music m ON m.id = cs.music_id AND m.deleted_at IS NULL
+          WHERE cs.collection_id = c.id) as song_count
+       FROM collections c
+       WHERE c.id = ?`,
+      collectionId
+    );
+  }
+
+  /**
+   * Busca coleção pela sigla (sem diferenciar maiúsculas: "hc" = "HC")
+   */
+  static async findByAbbreviation(abbreviation) {
+    const db = getDatabase();
+    const row = await db.get(
+      'SELECT id FROM collections WHERE abbreviation = ?',
+      abbreviation
+    );
+    return row ? await this.findById(row.id) : undefined;
+  }
+
+  /**
+   * Lista coleções com contagem de hinos
+   */
+  static async findAll() {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT c.*, COUNT(m.id) as song_count
+       FROM collections c
+       LEFT JOIN collection_songs cs ON cs.collection_id = c.id
+       LEFT JOIN music m ON m.id = cs.music_id AND m.deleted_at IS NULL
+       GROUP BY c.id
+       ORDER BY c.name COLLATE NOCASE ASC`
+    );
+  }
+
+  /**
+   * Cria coleção
+   */
+  static async create(data) {
+    const db = getDatabase();
+    const collectionId = uuidv4();
+
+    await db.run(
+      `INSERT INTO collections (id, name, abbreviation, description)
+       VALUES (?, ?, ?, ?)`,
+      [collectionId, data.name, data.abbreviation, data.description || null]
+    );
+
+    return await this.findById(collectionId);
+  }
+
+  /**
+   * Atualiza coleção
+   */
+  static async update(collectionId, data) {
+    const db = getDatabase();
+
+    const fields = [];
+    const values = [];
+
+    if (data.name !== undefined) {
+      fields.push('name = ?');
+      values.push(data.name);
+    }
+    if (data.abbreviation !== undefined) {
+      fields.push('abbreviation = ?');
+      values.push(data.abbreviation);
+    }
+    if (data.description !== undefined) {
+      fields.push('description = ?');
+      values.push(data.description);
+    }
+
+    if (fields.length > 0) {
+      values.push(collectionId);
+      await db.run(
+        `UPDATE collections SET ${fields.join(', ')} WHERE id = ?`,
+        ...values
+      );
+    }
+
+    return await this.findById(collectionId);
+  }
+
+  /**
+   * Remove coleção (a numeração vai junto; as músicas continuam no catálogo)
+   */
+  static async delete(collectionId) {
+    const db = getDatabase();
+    await db.run('DELETE FROM collections WHERE id = ?', collectionId);
+  }
+
+  /**
+   * Hinos da coleção em ordem de número (músicas na lixeira ficam de fora)
+   */
+  static async findSongs(collectionId) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT cs.number, m.id, m.title, m.artist, m.key, m.category_id
+       FROM collection_songs cs
+       INNER JOIN music m ON m.id = cs.music_id AND m.deleted_at IS NULL
+       WHERE cs.collection_id = ?
+       ORDER BY cs.number ASC`,
+      collectionId
+    );
+  }
+
+  /**
+   * Música com o número informado na coleção
+   */
+  static async findSongByNumber(collectionId, number) {
+    const db = getDatabase();
+    return await db.get(
+      `SELECT cs.* FROM collection_songs cs
+       INNER JOIN music m ON m.id = cs.music_id AND m.deleted_at IS NULL
+       WHERE cs.collection_id = ? AND cs.number = ?`,
+      [collectionId, number]
+    );
+  }
+
+  /**
+   * Hinos com o número informado em todas as coleções (ou só na sigla dada)
+   */
+  static async findByNumber(number, abbreviation = null) {
+    const db = getDatabase();
+
+    let query = `SELECT cs.number, cs.music_id, c.id as collection_id,
+                   c.name as collection_name, c.abbreviation
+                 FROM collection_songs cs
+                 INNER JOIN collections c ON c.id = cs.collection_id
+                 INNER JOIN music m ON m.id = cs.music_id AND m.deleted_at IS NULL
+                 WHERE cs.number = ?`;
+    const params = [number];
+
+    if (abbreviation) {
+      query += ' AND c.abbreviation = ?';
+      params.push(abbreviation);
+    }
+
+    query += ' ORDER BY c.name COLLATE NOCASE ASC';
+
+    return await db.all(query, ...params);
+  }
+
+  /**
+   * Atribui número a uma música (substitui a música que ocupava o número)
+   */
+  static async setSong(collectionId, number, musicId) {
+    const db = getDatabase();
+    await db.run(
+      `INSERT INTO collection_songs (collection_id, number, music_id)
+       VALUES (?, ?, ?)
+       ON CONFLICT(collection_id, number) DO UPDATE SET
+         music_id = excluded.music_id,
+         created_at = CURRENT_TIMESTAMP`,
+      [collectionId, number, musicId]
+    );
+  }
+
+  /**
+   * Libera o número na coleção
+   */
+  static async removeSong(collectionId, number) {
+    const db = getDatabase();
+    const result = await db.run(
+      'DELETE FROM collection_songs WHERE collection_id = ? AND number = ?',
+      [collectionId, number]
+    );
+    return result.changes > 0;
+  }
+}
@@ -0,0 +1,129 @@
+import { getDatabase, withTransaction } from '../config/database.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export class GroupModel {
+  /**
+   * Busca grupo por ID (com número de membros)
+   */
+  static async findById(groupId) {
+    const db = getDatabase();
+    return await db.get(
+      `SELECT g.*,
+         (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.id) as member_count
+       FROM groups g
+       WHERE g.id = ?`,
+      groupId
+    );
+  }
+
+  /**
+   * Lista grupos do usuário (com o papel dele em cada um)
+   */
+  static async findByUser(userId) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT g.*, gm.role as member_role
+       FROM groups g
+       INNER JOIN group_members gm ON gm.group_id = g.id
+       WHERE gm.user_id = ?
+       ORDER BY g.name COLLATE NOCASE ASC`,
+      userId
+    );
+  }
+
+  /**
+   * IDs dos grupos do usuário
+   */
+  static async findIdsByUser(userId) {
+    const db = getDatabase();
+    const rows = await db.all(
+      'SELECT group_id FROM group_members WHERE user_id = ?',
+      userId
+    );
+    return rows.map(row => row.group_id);
+  }
+
+  /**
+   * Busca vínculo do usuário com o grupo (null se não for membro)
+   */
+  static async findMembership(groupId, userId) {
+    const db = getDatabase();
+    return await db.get(
+      'SELECT * FROM group_members WHERE group_id = ? AND user_id = ?',
+      [groupId, userId]
+    );
+  }
+
+  /**
+   * Lista membros do grupo
+   */
+  static async findMembers(groupId) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT u.id, u.email, u.full_name, gm.role, gm.joined_at
+       FROM group_members gm
+       INNER JOIN users u ON u.id = gm.user_id
+       WHERE gm.group_id = ?
+       ORDER BY gm.joined_at ASC`,
+      groupId
+    );
+  }
+
+  /**
+   * Cria grupo tendo o criador como owner
+   */
+  static async create({ name, createdBy }) {
+    const groupId = uuidv4();
+
+    await withTransaction(async (db) => {
+      await db.run(
+        'INSERT INTO groups (id, name, created_by) VALUES (?, ?, ?)',
+        [groupId, name, createdBy]
+      );
+      await db.run(
+        `INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, 'owner')`,
+        [groupId, createdBy]
+      );
+    });
+
+    return await this.findById(groupId);
+  }
+
+  /**
+   * Adiciona membro (ou altera papel se já for membro)
+   */
+  static async addMember(groupId, userId, role = 'member') {
+    const db = getDatabase();
+    await db.run(
+      `INSERT INTO group_members (group_id, user_id, role)
+       VALUES (?, ?, ?)
+       ON CONFLICT(group_id, user_id) DO UPDATE SET role = excluded.role`,
+      [groupId, userId, role]
+    );
+    return await this.findMembership(groupId, userId);
+  }
+
+  /**
+   * Remove membro
+   */
+  static async removeMember(groupId, userId) {
+    const db = getDatabase();
+    const result = await db.run(
+      'DELETE FROM group_members WHERE group_id = ? AND user_id = ?',
+      [groupId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Conta owners do grupo
+   */
+  static async countOwners(groupId) {
+    const db = getDatabase();
+    const row = await db.get(
+      `SELECT COUNT(*) as count FROM group_members WHERE group_id = ? AND role = 'owner'`,
+      groupId
+    );
+    return row.count;
+  }
+}
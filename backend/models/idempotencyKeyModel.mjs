@@ -0,0 +1,76 @@
+import { getDatabase } from '../config/database.mjs';
+
+export class IdempotencyKeyModel {
+  /**
+   * Busca chave válida (não expirada)
+   */
+  static async find(scope, key) {
+    const db = getDatabase();
+    return await db.get(
+      `SELECT * 
+       FROM idempotency_keys 
+       WHERE scope = ? AND key = ? AND expires_at > CURRENT_TIMESTAMP`,
+      [scope, key]
+    );
+  }
+
+  /**
+   * Reserva chave para uma requisição em andamento
+   *
+   * Retorna false se outra requisição já reservou a mesma chave.
+   */
+  static async reserve({ scope, key, method, path, requestHash, ttlHours }) {
+    const db = getDatabase();
+
+    // Chave expirada pode ser reutilizada
+    await db.run(
+      `DELETE FROM idempotency_keys 
+       WHERE scope = ? AND key = ? AND expires_at <= CURRENT_TIMESTAMP`,
+      [scope, key]
+    );
+
+    const result = await db.run(
+      `INSERT INTO idempotency_keys (key, scope, method, path, request_hash, expires_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now', '+' || ? || ' hours'))
+       ON CONFLICT(scope, key) DO NOTHING`,
+      [key, scope, method, path, requestHash, ttlHours]
+    );
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Armazena resposta original para replays
+   */
+  static async complete(scope, key, responseStatus, responseBody) {
+    const db = getDatabase();
+    await db.run(
+      `UPDATE idempotency_keys 
+       SET status = 'completed', response_status = ?, response_body = ? 
+       WHERE scope = ? AND key = ?`,
+      [responseStatus, JSON.stringify(responseBody ?? null), scope, key]
+    );
+  }
+
+  /**
+   * Libera chave (requisição falhou e pode ser reexecutada)
+   */
+  static async release(scope, key) {
+    const db = getDatabase();
+    await db.run(
+      'DELETE FROM idempotency_keys WHERE scope = ? AND key = ?',
+      [scope, key]
+    );
+  }
+
+  /**
+   * Remove chaves expiradas
+   */
+  static async cleanExpired() {
+    const db = getDatabase();
+    const result = await db.run(
+      'DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP'
+    );
+    return result.changes;
+  }
+}
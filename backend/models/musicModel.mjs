@@ -1,112 +1,599 @@
-import { getDatabase } from '../config/database.mjs';
+import { getDatabase, withTransaction } from '../config/database.mjs';
 import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.mjs';
+import { stemText } from '../utils/stemmerUtils.mjs';
+import { buildMatchQuery, buildPlainMatchQuery, buildTrigramQuery, queryStems } from '../utils/ftsQueryUtils.mjs';
+import { decodeCursor, keysetQuery, pageResult } from '../utils/paginationUtils.mjs';
+import {
+  MARK_START,
+  MARK_END,
+  SNIPPET_ELLIPSIS,
+  hasMark,
+  formatHighlight,
+  markStems,
+} from '../utils/highlightUtils.mjs';
+
+// Colunas de conteúdo versionadas em music_revisions
+const REVISION_FIELDS = [
+  'title', 'artist', 'lyrics', 'sections', 'verse_order', 'chords', 'category_id',
+  'genre', 'key', 'tempo', 'duration', 'sheet_music_url', 'audio_url', 'tags',
+];
+
+// Colunas guardadas como JSON
+const JSON_FIELDS = new Set(['sections', 'tags']);
+
+/**
+ * Converte colunas JSON (tags, sections) da linha do banco
+ *
+ * search_stems é só índice de busca e não sai para os clientes.
+ */
+function parseMusicRow({ search_stems, ...music }) {
+  return {
+    ...music,
+    tags: music.tags ? JSON.parse(music.tags) : [],
+    sections: music.sections ? JSON.parse(music.sections) : null,
+  };
+}
+
+// Palavras no trecho da letra mostrado nos resultados de busca
+const SNIPPET_WORDS = 16;
+
+// Sinais de popularidade entram saturados (n / (n + meia)): metade do peso
+// com `meia` acessos, sem que músicas muito acessadas dominem a relevância
+const POPULARITY_HALF = 10;
+const RECENT_HALF = 5;
+const HISTORY_HALF = 1;
+
+// Ordenações da busca (desempate por id)
+//
+// recent e alpha usam só chaves que não mudam com o uso, então o cursor
+// nunca pula nem repete músicas. relevance e popular dependem de
+// access_count (e score também do histórico do usuário): acessos entre uma
+// página e outra mudam a ordem, e o cursor dessas ordenações é só
+// aproximado — uma música pode aparecer em duas páginas ou em nenhuma.
+const SEARCH_ORDER = {
+  relevance: [
+    { expr: 'score', field: 'score', desc: true },
+    { expr: 'access_count', field: 'access_count', desc: true },
+    { expr: 'id', field: 'id', desc: false },
+  ],
+  popular: [
+    { expr: 'access_count', field: 'access_count', desc: true },
+    { expr: 'score', field: 'score', desc: true },
+    { expr: 'id', field: 'id', desc: false },
+  ],
+  recent: [
+    { expr: 'created_at', field: 'created_at', desc: true },
+    { expr: 'id', field: 'id', desc: false },
+  ],
+  alpha: [
+    { expr: 'title COLLATE NOCASE', field: 'title', desc: false },
+    { expr: 'id', field: 'id', desc: false },
+  ],
+};
+
+// Ordem da listagem de músicas (mais recentes primeiro); chaves que não
+// mudam com acessos, para o cursor não pular nem repetir músicas
+const LIST_ORDER = [
+  { expr: 'created_at', field: 'created_at', desc: true },
+  { expr: 'id', field: 'id', desc: false },
+];
+
+/**
+ * Linha de resultado da busca com `match`: campos que casaram e versões
+ * com os termos destacados (título, artista e trecho da letra)
+ *
+ * Termos que casaram só pelo radical (search_stems) não são marcados pelo
+ * FTS5; nesses campos as palavras são marcadas pelos radicais da consulta.
+ */
+function parseSearchRow({
+  title_highlight,
+  artist_highlight,
+  lyrics_snippet,
+  text_score,
+  recent_count,
+  history_count,
+  ...row
+}, stems) {
+  const music = parseMusicRow(row);
+
+  let title = hasMark(title_highlight) ? title_highlight : null;
+  const artist = hasMark(artist_highlight) ? artist_highlight : null;
+  let snippet = hasMark(lyrics_snippet) ? lyrics_snippet : null;
+
+  if (stems.size > 0) {
+    title ??= markStems(music.title, stems);
+    snippet ??= markStems(music.lyrics, stems, { words: SNIPPET_WORDS });
+  }
+
+  return {
+    ...music,
+    match: {
+      fields: [title && 'title', artist && 'artist', snippet && 'lyrics'].filter(Boolean),
+      title: formatHighlight(title ?? music.title),
+      artist: formatHighlight(artist ?? music.artist),
+      snippet: formatHighlight(snippet ?? lyrics_snippet),
+    },
+  };
+}
+
+// Filtros da busca → coluna de music (tags é um array JSON)
+const FILTER_COLUMNS = {
+  genre: 'genre',
+  tempo: 'tempo',
+  key: 'key',
+  categoryId: 'category_id',
+};
+
+/**
+ * Condições SQL dos filtros da busca ({ genre: ['hino'], tags: [...] })
+ *
+ * Valores de um mesmo filtro combinam com OR; filtros diferentes, com AND.
+ */
+function filterConditions(filters = {}) {
+  let sql = '';
+  const params = [];
+
+  for (const [filter, column] of Object.entries(FILTER_COLUMNS)) {
+    const values = filters[filter];
+    if (!values?.length) continue;
+    sql += ` AND m.${column} IN (${values.map(() => '?').join(', ')})`;
+    params.push(...values);
+  }
+
+  if (filters.tags?.length) {
+    sql += ` AND EXISTS (SELECT 1 FROM json_each(m.tags) WHERE json_each.value IN (${filters.tags.map(() => '?').join(', ')}))`;
+    params.push(...filters.tags);
+  }
+
+  return { sql, params };
+}
+
+/**
+ * Condições SQL da listagem de músicas (gênero e categoria)
+ */
+function listConditions({ genre, categoryId } = {}) {
+  let sql = '';
+  const params = [];
+  
+  if (genre) {
+    sql += ' AND genre = ?';
+    params.push(genre);
+  }
+  
+  if (categoryId) {
+    sql += ' AND category_id = ?';
+    params.push(categoryId);
+  }
+  
+  return { sql, params };
+}
+
+/**
+ * Executa `run` com a expressão MATCH do texto digitado
+ *
+ * Se o FTS5 rejeitar a expressão, refaz só com as palavras. Retorna
+ * `empty` quando não sobra termo para buscar.
+ */
+async function runWithMatchQuery(query, run, empty) {
+  const matchQuery = buildMatchQuery(query);
+  if (!matchQuery) return empty;
+
+  try {
+    return await run(matchQuery);
+  } catch (error) {
+    const plainQuery = buildPlainMatchQuery(query);
+    if (!/fts5/i.test(error.message) || !plainQuery || plainQuery === matchQuery) {
+      throw error;
+    }
+    return await run(plainQuery);
+  }
+}
+
+/**
+ * Grava revisão com o estado de `after` (dentro de transação)
+ *
+ * Compara as linhas cruas do banco; sem mudança de conteúdo, nada é gravado.
+ */
+async function insertRevision(db, before, after, userId) {
+  const changedFields = REVISION_FIELDS.filter(field =>
+    before ? before[field] !== after[field] : after[field] !== null
+  );
+  if (before && changedFields.length === 0) return;
+
+  const snapshot = Object.fromEntries(REVISION_FIELDS.map(field => [
+    field,
+    JSON_FIELDS.has(field) && after[field] ? JSON.parse(after[field]) : after[field],
+  ]));
+
+  await db.run(
+    `INSERT INTO music_revisions (music_id, revision, user_id, changed_fields, snapshot)
+     VALUES (?, ?, ?, ?, ?)`,
+    [after.id, after.version, userId || null, JSON.stringify(changedFields), JSON.stringify(snapshot)]
+  );
+}
+
+/**
+ * Insere música e a revisão inicial (dentro de transação); retorna o ID
+ *
+ * O ID vem só de `musicId` (sync, gerado no cliente), nunca de `data`.
+ */
+async function insertMusic(db, data, userId, musicId = uuidv4()) {
+  
+  await db.run(
+    `INSERT INTO music (
+      id, title, artist, lyrics, chords, category_id, genre, 
+      key, tempo, duration, sheet_music_url, audio_url, tags,
+      sections, verse_order, search_stems
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      musicId,
+      data.title,
+      data.artist || null,
+      data.lyrics,
+      data.chords || null,
+      data.categoryId || null,
+      data.genre || null,
+      data.key || null,
+      data.tempo || null,
+      data.duration || null,
+      data.sheetMusicUrl || null,
+      data.audioUrl || null,
+      data.tags ? JSON.stringify(data.tags) : null,
+      data.sections ? JSON.stringify(data.sections) : null,
+      data.verseOrder || null,
+      stemText(data.title, data.lyrics),
+    ]
+  );
+  
+  const created = await db.get('SELECT * FROM music WHERE id = ?', musicId);
+  await insertRevision(db, null, created, userId);
+  
+  return musicId;
+}
 
 export class MusicModel {
   /**
-   * Busca música por ID
+   * Busca música por ID (músicas na lixeira só com `includeDeleted`)
    */
-  static async findById(musicId) {
+  static async findById(musicId, { includeDeleted = false } = {}) {
     const db = getDatabase();
-    const music = await db.get('SELECT * FROM music WHERE id = ?', musicId);
+    const music = await db.get(
+      `SELECT * FROM music WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+      musicId
+    );
     
-    if (music && music.tags) {
-      music.tags = JSON.parse(music.tags);
-    }
+    return music ? parseMusicRow(music) : music;
+  }
+
+  /**
+   * Busca várias músicas por ID
+   */
+  static async findByIds(musicIds) {
+    if (musicIds.length === 0) return [];
     
-    return music;
+    const db = getDatabase();
+    const placeholders = musicIds.map(() => '?').join(', ');
+    const results = await db.all(
+      `SELECT * FROM music WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
+      ...musicIds
+    );
+    
+    return results.map(parseMusicRow);
   }
 
   /**
    * Busca todas as músicas (com paginação)
+   *
+   * Pagina por `cursor` (nextCursor/prevCursor da página anterior); sem
+   * cursor, ainda aceita `offset`. Retorna { results, nextCursor, prevCursor }.
    */
-  static async findAll({ limit = 50, offset = 0, genre, categoryId } = {}) {
+  static async findAll({ limit = 50, offset = 0, cursor, genre, categoryId } = {}) {
     const db = getDatabase();
+    const position = decodeCursor(cursor, LIST_ORDER, { scope: 'music' });
+    const conditions = listConditions({ genre, categoryId });
+    const keyset = keysetQuery(LIST_ORDER, position);
     
-    let query = 'SELECT * FROM music WHERE 1=1';
-    const params = [];
+    const rows = await db.all(
+      `SELECT * FROM music
+       WHERE deleted_at IS NULL${conditions.sql}${keyset.sql}
+       ORDER BY ${keyset.orderBy}
+       LIMIT ? OFFSET ?`,
+      ...conditions.params,
+      ...keyset.params,
+      limit + 1,
+      position ? 0 : offset
+    );
     
-    if (genre) {
-      query += ' AND genre = ?';
-      params.push(genre);
-    }
+    const page = pageResult(rows, LIST_ORDER, { limit, cursor: position, scope: 'music', offset });
+    return { ...page, results: page.results.map(parseMusicRow) };
+  }
+
+  /**
+   * Conta músicas (mesmos filtros de findAll)
+   */
+  static async count({ genre, categoryId } = {}) {
+    const db = getDatabase();
+    const conditions = listConditions({ genre, categoryId });
     
-    if (categoryId) {
-      query += ' AND category_id = ?';
-      params.push(categoryId);
-    }
+    const result = await db.get(
+      `SELECT COUNT(*) as count FROM music WHERE deleted_at IS NULL${conditions.sql}`,
+      ...conditions.params
+    );
     
-    query += ' ORDER BY access_count DESC, last_accessed DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    return result.count;
+  }
+
+  /**
+   * Lista todas as músicas (sem paginação) para exportação
+   */
+  static async findForExport({ genre, categoryId } = {}) {
+    const db = getDatabase();
+    const conditions = listConditions({ genre, categoryId });
     
-    const results = await db.all(query, ...params);
+    const results = await db.all(
+      `SELECT * FROM music
+       WHERE deleted_at IS NULL${conditions.sql}
+       ORDER BY title COLLATE NOCASE ASC`,
+      ...conditions.params
+    );
     
-    return results.map(music => ({
-      ...music,
-      tags: music.tags ? JSON.parse(music.tags) : [],
-    }));
+    return results.map(parseMusicRow);
   }
 
   /**
    * Busca full-text (título, artista, letra)
+   *
+   * Aceita frases entre aspas, prefixos ("grand*") e filtros por campo
+   * ("artista:aline") — ver utils/ftsQueryUtils.mjs. Opções em searchFts;
+   * pagina por `cursor` como findAll. Retorna { results, nextCursor, prevCursor }.
    */
-  static async search(query, { limit = 50, offset = 0 } = {}) {
-    const db = getDatabase();
+  static async search(query, { limit = 50, offset = 0, cursor, sort = 'relevance', ...options } = {}) {
+    const order = SEARCH_ORDER[sort] || SEARCH_ORDER.relevance;
+    const scope = `search:${sort}`;
+    const position = decodeCursor(cursor, order, { scope });
     
-    // Busca usando FTS5
-    const results = await db.all(
-      `SELECT m.* 
-       FROM music_fts fts
-       INNER JOIN music m ON fts.id = m.id
-       WHERE music_fts MATCH ?
-       ORDER BY rank, m.access_count DESC
-       LIMIT ? OFFSET ?`,
-      [query, limit, offset]
+    const rows = await runWithMatchQuery(
+      query,
+      matchQuery => this.searchFts(matchQuery, {
+        ...options,
+        sort,
+        cursor: position,
+        limit: limit + 1,
+        offset: position ? 0 : offset,
+      }),
+      []
     );
     
-    return results.map(music => ({
-      ...music,
-      tags: music.tags ? JSON.parse(music.tags) : [],
-    }));
+    const stems = queryStems(query);
+    const page = pageResult(rows, order, { limit, cursor: position, scope, offset });
+    return { ...page, results: page.results.map(row => parseSearchRow(row, stems)) };
+  }
+
+  /**
+   * Valores dos campos filtráveis de todas as músicas que casam com a busca
+   * (base das contagens por filtro em POST /api/search)
+   */
+  static async findSearchFacetRows(query) {
+    return await runWithMatchQuery(query, async (matchQuery) => {
+      const db = getDatabase();
+      const rows = await db.all(
+        `SELECT m.genre, m.tempo, m.key, m.category_id, c.name as category_name, m.tags
+         FROM music_fts fts
+         INNER JOIN music m ON fts.rowid = m.rowid
+         LEFT JOIN categories c ON c.id = m.category_id
+         WHERE music_fts MATCH ? AND m.deleted_at IS NULL`,
+        matchQuery
+      );
+      return rows.map(row => ({ ...row, tags: row.tags ? JSON.parse(row.tags) : [] }));
+    }, []);
   }
 
   /**
-   * Cria nova música
+   * Executa expressão MATCH já montada (sem acentos, com radicais em português)
+   *
+   * `score` combina o bm25 com pesos por coluna (SEARCH_BM25_WEIGHTS),
+   * normalizado pelo melhor resultado, com acessos totais, acessos nos
+   * últimos SEARCH_RECENT_DAYS dias e acessos do próprio `userId`, cada um
+   * com seu peso em config. `sort`: relevance | popular | recent | alpha.
+   * `filters`: ver filterConditions. `cursor`: posição já decodificada
+   * (ver utils/paginationUtils.mjs).
+   *
+   * Retorna as linhas cruas, com title_highlight, artist_highlight e
+   * lyrics_snippet marcados por MARK_START/MARK_END.
    */
-  static async create(data) {
+  static async searchFts(matchQuery, {
+    limit = 50,
+    offset = 0,
+    sort = 'relevance',
+    userId = null,
+    filters,
+    cursor = null,
+  } = {}) {
     const db = getDatabase();
-    const musicId = uuidv4();
+    const conditions = filterConditions(filters);
+    const keyset = keysetQuery(SEARCH_ORDER[sort] || SEARCH_ORDER.relevance, cursor);
     
-    await db.run(
-      `INSERT INTO music (
-        id, title, artist, lyrics, chords, category_id, genre, 
-        key, tempo, duration, sheet_music_url, audio_url, tags
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    return await db.all(
+      `WITH matches AS (
+         SELECT m.*,
+           -bm25(music_fts, 0, ?, ?, ?, ?) as text_score,
+           highlight(music_fts, 1, ?, ?) as title_highlight,
+           highlight(music_fts, 2, ?, ?) as artist_highlight,
+           snippet(music_fts, 3, ?, ?, ?, ?) as lyrics_snippet
+         FROM music_fts fts
+         INNER JOIN music m ON fts.rowid = m.rowid
+         WHERE music_fts MATCH ? AND m.deleted_at IS NULL${conditions.sql}
+       ),
+       signals AS (
+         SELECT matches.*,
+           (SELECT COUNT(*) FROM music_access_log l
+            WHERE l.music_id = matches.id AND l.accessed_at >= datetime('now', ?)) as recent_count,
+           (SELECT COUNT(*) FROM music_access_log l
+            WHERE l.music_id = matches.id AND l.user_id = ?) as history_count
+         FROM matches
+       ),
+       scored AS (
+         SELECT *,
+           ROUND(
+             ? * COALESCE(text_score / NULLIF(MAX(text_score) OVER (), 0), 1)
+             + ? * access_count * 1.0 / (access_count + ${POPULARITY_HALF})
+             + ? * recent_count * 1.0 / (recent_count + ${RECENT_HALF})
+             + ? * history_count * 1.0 / (history_count + ${HISTORY_HALF})
+           , 4) as score
+         FROM signals
+       )
+       SELECT * FROM scored
+       WHERE 1 = 1${keyset.sql}
+       ORDER BY ${keyset.orderBy}
+       LIMIT ? OFFSET ?`,
       [
-        musicId,
-        data.title,
-        data.artist || null,
-        data.lyrics,
-        data.chords || null,
-        data.categoryId || null,
-        data.genre || null,
-        data.key || null,
-        data.tempo || null,
-        data.duration || null,
-        data.sheetMusicUrl || null,
-        data.audioUrl || null,
-        data.tags ? JSON.stringify(data.tags) : null,
+        ...config.SEARCH_BM25_WEIGHTS,
+        MARK_START, MARK_END,
+        MARK_START, MARK_END,
+        MARK_START, MARK_END, SNIPPET_ELLIPSIS, SNIPPET_WORDS,
+        matchQuery,
+        ...conditions.params,
+        `-${config.SEARCH_RECENT_DAYS} days`,
+        userId,
+        config.SEARCH_SCORE_TEXT_WEIGHT,
+        config.SEARCH_SCORE_POPULARITY_WEIGHT,
+        config.SEARCH_SCORE_RECENT_WEIGHT,
+        config.SEARCH_SCORE_HISTORY_WEIGHT,
+        ...keyset.params,
+        limit, offset,
       ]
     );
+  }
+
+  /**
+   * Cria nova música (grava a revisão inicial em nome de `userId`)
+   *
+   * `id` só para registros criados offline (sync); senão é gerado aqui.
+   */
+  static async create(data, { userId, id } = {}) {
+    const musicId = await withTransaction(db => insertMusic(db, data, userId, id || undefined));
     
     return await this.findById(musicId);
   }
 
   /**
-   * Atualiza música
+   * Cria várias músicas em uma única transação (tudo ou nada)
+   *
+   * Retorna os IDs na mesma ordem de `items`.
+   */
+  static async createMany(items, { userId } = {}) {
+    return await withTransaction(async (db) => {
+      const ids = [];
+      for (const data of items) {
+        ids.push(await insertMusic(db, data, userId));
+      }
+      return ids;
+    });
+  }
+
+  /**
+   * Título e artista de todas as músicas fora da lixeira (detecção de duplicatas)
    */
-  static async update(musicId, data) {
+  static async findAllTitles() {
     const db = getDatabase();
-    
+    return await db.all('SELECT id, title, artist FROM music WHERE deleted_at IS NULL');
+  }
+
+  /**
+   * Campos usados na busca de duplicatas (músicas fora da lixeira)
+   */
+  static async findForDuplicateScan() {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT id, title, artist, lyrics, category_id, access_count, created_at
+       FROM music
+       WHERE deleted_at IS NULL`
+    );
+  }
+
+  /**
+   * Mescla duplicatas na música canônica (uma única transação)
+   *
+   * Logs de acesso, acesso rápido, itens de repertório e números de hino
+   * passam a apontar para a canônica, que soma os acessos; as duplicatas
+   * vão para a lixeira com o contador zerado.
+   * Quando o usuário já tem a canônica no acesso rápido, o item da
+   * duplicata é removido. Retorna quantos registros foram movidos.
+   */
+  static async merge(canonicalId, duplicateIds, userId = null) {
+    return await withTransaction(async (db) => {
+      const moved = { accessLog: 0, quickAccessLog: 0, quickAccess: 0, setlistItems: 0, hymnNumbers: 0 };
+      
+      for (const duplicateId of duplicateIds) {
+        const accessLog = await db.run(
+          'UPDATE music_access_log SET music_id = ? WHERE music_id = ?',
+          [canonicalId, duplicateId]
+        );
+        const quickAccessLog = await db.run(
+          'UPDATE quick_access_log SET music_id = ? WHERE music_id = ?',
+          [canonicalId, duplicateId]
+        );
+        await db.run(
+          `DELETE FROM quick_access
+           WHERE music_id = ?
+             AND user_id IN (SELECT user_id FROM quick_access WHERE music_id = ?)`,
+          [duplicateId, canonicalId]
+        );
+        const quickAccess = await db.run(
+          'UPDATE quick_access SET music_id = ? WHERE music_id = ?',
+          [canonicalId, duplicateId]
+        );
+        const setlistItems = await db.run(
+          'UPDATE setlist_items SET music_id = ? WHERE music_id = ?',
+          [canonicalId, duplicateId]
+        );
+        // Número do hino passa para a canônica (primary key é coleção + número)
+        const hymnNumbers = await db.run(
+          'UPDATE collection_songs SET music_id = ? WHERE music_id = ?',
+          [canonicalId, duplicateId]
+        );
+        
+        moved.accessLog += accessLog.changes;
+        moved.quickAccessLog += quickAccessLog.changes;
+        moved.quickAccess += quickAccess.changes;
+        moved.setlistItems += setlistItems.changes;
+        moved.hymnNumbers += hymnNumbers.changes;
+      }
+      
+      const placeholders = duplicateIds.map(() => '?').join(', ');
+      
+      await db.run(
+        `UPDATE music SET
+           access_count = access_count + (
+             SELECT COALESCE(SUM(access_count), 0) FROM music WHERE id IN (${placeholders})
+           ),
+           last_accessed = (
+             SELECT MAX(last_accessed) FROM music WHERE id = ? OR id IN (${placeholders})
+           )
+         WHERE id = ?`,
+        [...duplicateIds, canonicalId, ...duplicateIds, canonicalId]
+      );
+      
+      await db.run(
+        `UPDATE music SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, access_count = 0
+         WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
+        [userId, ...duplicateIds]
+      );
+      
+      return moved;
+    });
+  }
+
+  /**
+   * Atualiza música
+   *
+   * Alterações de conteúdo incrementam `version`. Com `expectedVersion`,
+   * a atualização só é aplicada se a versão no banco for a mesma
+   * (retorna null caso contrário). Alterações de conteúdo geram uma
+   * revisão em nome de `userId`.
+   */
+  static async update(musicId, data, { expectedVersion, userId } = {}) {
     const fields = [];
     const values = [];
     
@@ -122,17 +609,52 @@ export class MusicModel {
       fields.push('lyrics = ?');
       values.push(data.lyrics);
     }
+    if (data.sections !== undefined) {
+      fields.push('sections = ?');
+      values.push(data.sections ? JSON.stringify(data.sections) : null);
+    }
+    if (data.verseOrder !== undefined) {
+      fields.push('verse_order = ?');
+      values.push(data.verseOrder || null);
+    }
     if (data.chords !== undefined) {
       fields.push('chords = ?');
       values.push(data.chords);
     }
+    if (data.categoryId !== undefined) {
+      fields.push('category_id = ?');
+      values.push(data.categoryId);
+    }
     if (data.genre !== undefined) {
       fields.push('genre = ?');
       values.push(data.genre);
     }
+    if (data.key !== undefined) {
+      fields.push('key = ?');
+      values.push(data.key);
+    }
+    if (data.tempo !== undefined) {
+      fields.push('tempo = ?');
+      values.push(data.tempo);
+    }
+    if (data.duration !== undefined) {
+      fields.push('duration = ?');
+      values.push(data.duration);
+    }
+    if (data.sheetMusicUrl !== undefined) {
+      fields.push('sheet_music_url = ?');
+      values.push(data.sheetMusicUrl);
+    }
+    if (data.audioUrl !== undefined) {
+      fields.push('audio_url = ?');
+      values.push(data.audioUrl);
+    }
     if (data.tags !== undefined) {
       fields.push('tags = ?');
-      values.push(JSON.stringify(data.tags));
+      values.push(data.tags ? JSON.stringify(data.tags) : null);
+    }
+    if (fields.length > 0) {
+      fields.push('version = version + 1');
     }
     if (data.lastAccessed !== undefined) {
       fields.push('last_accessed = ?');
@@ -146,10 +668,39 @@ export class MusicModel {
     fields.push('updated_at = CURRENT_TIMESTAMP');
     values.push(musicId);
     
-    await db.run(
-      `UPDATE music SET ${fields.join(', ')} WHERE id = ?`,
-      ...values
-    );
+    let where = 'id = ? AND deleted_at IS NULL';
+    if (expectedVersion !== undefined) {
+      where += ' AND version = ?';
+      values.push(expectedVersion);
+    }
+    
+    const changes = await withTransaction(async (db) => {
+      const before = await db.get('SELECT * FROM music WHERE id = ?', musicId);
+      
+      // Radicais da busca acompanham título e letra
+      const searchFields = [];
+      const searchValues = [];
+      if (before && (data.title !== undefined || data.lyrics !== undefined)) {
+        searchFields.push('search_stems = ?');
+        searchValues.push(stemText(data.title ?? before.title, data.lyrics ?? before.lyrics));
+      }
+      
+      const result = await db.run(
+        `UPDATE music SET ${[...searchFields, ...fields].join(', ')} WHERE ${where}`,
+        ...searchValues,
+        ...values
+      );
+      
+      if (result.changes > 0) {
+        const after = await db.get('SELECT * FROM music WHERE id = ?', musicId);
+        await insertRevision(db, before, after, userId);
+      }
+      return result.changes;
+    });
+    
+    if (expectedVersion !== undefined && changes === 0) {
+      return null;
+    }
     
     return await this.findById(musicId);
   }
@@ -170,26 +721,117 @@ export class MusicModel {
   }
 
   /**
-   * Deleta música
+   * Move música para a lixeira (retorna false se não existe ou já está lá)
+   */
+  static async moveToTrash(musicId, userId = null) {
+    const db = getDatabase();
+    const result = await db.run(
+      `UPDATE music SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+       WHERE id = ? AND deleted_at IS NULL`,
+      [userId, musicId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Restaura música da lixeira (retorna false se ela não está na lixeira)
+   */
+  static async restoreFromTrash(musicId) {
+    const db = getDatabase();
+    const result = await db.run(
+      `UPDATE music SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = ? AND deleted_at IS NOT NULL`,
+      musicId
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Lista músicas na lixeira (excluídas mais recentemente primeiro)
+   */
+  static async findTrash({ limit = 50, offset = 0 } = {}) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT m.id, m.title, m.artist, m.genre, m.category_id, m.version,
+              m.deleted_at, m.deleted_by, u.full_name as deleted_by_name
+       FROM music m
+       LEFT JOIN users u ON u.id = m.deleted_by
+       WHERE m.deleted_at IS NOT NULL
+       ORDER BY m.deleted_at DESC
+       LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+  }
+
+  /**
+   * Conta músicas na lixeira
    */
-  static async delete(musicId) {
+  static async countTrash() {
     const db = getDatabase();
-    await db.run('DELETE FROM music WHERE id = ?', musicId);
+    const result = await db.get('SELECT COUNT(*) as count FROM music WHERE deleted_at IS NOT NULL');
+    return result.count;
+  }
+
+  /**
+   * Remove definitivamente músicas na lixeira há mais de `retentionDays`
+   *
+   * Retorna os IDs removidos.
+   */
+  static async purgeTrash(retentionDays) {
+    return await withTransaction(async (db) => {
+      const rows = await db.all(
+        `SELECT id FROM music
+         WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+        `-${retentionDays} days`
+      );
+      
+      for (const row of rows) {
+        await db.run('DELETE FROM music WHERE id = ?', row.id);
+      }
+      
+      return rows.map(row => row.id);
+    });
+  }
+
+  /**
+   * Candidatas para busca tolerante a erros: músicas cujo título ou primeira
+   * linha compartilham trigramas com a consulta (mais trigramas primeiro)
+   */
+  static async findFuzzyCandidates(query, limit = 100) {
+    const matchQuery = buildTrigramQuery(query);
+    if (!matchQuery) return [];
+    
+    const db = getDatabase();
+    
+    return await db.all(
+      `SELECT m.id, fz.title, fz.first_line
+       FROM music_fuzzy fz
+       INNER JOIN music m ON fz.rowid = m.rowid
+       WHERE music_fuzzy MATCH ? AND m.deleted_at IS NULL
+       ORDER BY rank
+       LIMIT ?`,
+      [matchQuery, limit]
+    );
   }
 
   /**
    * Busca sugestões (autocomplete)
    */
   static async getSuggestions(query, limit = 5) {
+    // Última palavra como prefixo: "grande se" já sugere "Grande é o Senhor"
+    const matchQuery = buildMatchQuery(query, { prefix: true, field: 'title' });
+    if (!matchQuery) return [];
+    
     const db = getDatabase();
     
     return await db.all(
-      `SELECT DISTINCT title 
-       FROM music 
-       WHERE title LIKE ? 
-       ORDER BY access_count DESC 
+      `SELECT DISTINCT m.title 
+       FROM music_fts fts
+       INNER JOIN music m ON fts.rowid = m.rowid
+       WHERE music_fts MATCH ? AND m.deleted_at IS NULL
+       ORDER BY m.access_count DESC 
        LIMIT ?`,
-      [`%${query}%`, limit]
+      [matchQuery, limit]
     );
   }
 }
@@ -0,0 +1,97 @@
+import { getDatabase } from '../config/database.mjs';
+
+/**
+ * Converte colunas JSON (changed_fields, snapshot) da linha do banco
+ */
+function parseRevisionRow(revision) {
+  return {
+    ...revision,
+    changed_fields: JSON.parse(revision.changed_fields),
+    ...(revision.snapshot !== undefined && { snapshot: JSON.parse(revision.snapshot) }),
+  };
+}
+
+export class MusicRevisionModel {
+  /**
+   * Lista revisões da música (mais recente primeiro, sem snapshot)
+   */
+  static async findByMusic(musicId, { limit = 50, offset = 0 } = {}) {
+    const db = getDatabase();
+    const results = await db.all(
+      `SELECT r.id, r.music_id, r.revision, r.user_id, u.full_name as user_name,
+              r.changed_fields, r.created_at
+       FROM music_revisions r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.music_id = ?
+       ORDER BY r.revision DESC
+       LIMIT ? OFFSET ?`,
+      [musicId, limit, offset]
+    );
+    
+    return results.map(parseRevisionRow);
+  }
+
+  /**
+   * Busca revisão (com snapshot completo)
+   */
+  static async findByRevision(musicId, revision) {
+    const db = getDatabase();
+    const result = await db.get(
+      `SELECT r.*, u.full_name as user_name
+       FROM music_revisions r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.music_id = ? AND r.revision = ?`,
+      [musicId, revision]
+    );
+    
+    return result ? parseRevisionRow(result) : result;
+  }
+
+  /**
+   * Revisão imediatamente anterior a `revision`
+   */
+  static async findPrevious(musicId, revision) {
+    const db = getDatabase();
+    const result = await db.get(
+      `SELECT r.*, u.full_name as user_name
+       FROM music_revisions r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.music_id = ? AND r.revision < ?
+       ORDER BY r.revision DESC
+       LIMIT 1`,
+      [musicId, revision]
+    );
+    
+    return result ? parseRevisionRow(result) : result;
+  }
+
+  /**
+   * Revisão mais recente
+   */
+  static async findLatest(musicId) {
+    const db = getDatabase();
+    const result = await db.get(
+      `SELECT r.*, u.full_name as user_name
+       FROM music_revisions r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.music_id = ?
+       ORDER BY r.revision DESC
+       LIMIT 1`,
+      musicId
+    );
+    
+    return result ? parseRevisionRow(result) : result;
+  }
+
+  /**
+   * Conta revisões da música
+   */
+  static async countByMusic(musicId) {
+    const db = getDatabase();
+    const result = await db.get(
+      'SELECT COUNT(*) as count FROM music_revisions WHERE music_id = ?',
+      musicId
+    );
+    return result.count;
+  }
+}
@@ -0,0 +1,175 @@
+import { getDatabase, withTransaction } from '../config/database.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export class QuickAccessModel {
+  /**
+   * Busca item do acesso rápido por ID (escopo do usuário)
+   */
+  static async findById(userId, itemId) {
+    const db = getDatabase();
+    return await db.get(
+      'SELECT * FROM quick_access WHERE id = ? AND user_id = ?',
+      [itemId, userId]
+    );
+  }
+
+  /**
+   * Lista acesso rápido do usuário (ordenado por posição)
+   */
+  static async findByUser(userId) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT * 
+       FROM quick_access 
+       WHERE user_id = ? 
+       ORDER BY position ASC, created_at ASC`,
+      userId
+    );
+  }
+
+  /**
+   * Lista itens não expirados do usuário com dados da música
+   * (músicas na lixeira ficam de fora)
+   */
+  static async findActiveByUser(userId) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT qa.*, m.title, m.artist, m.key
+       FROM quick_access qa
+       JOIN music m ON m.id = qa.music_id
+       WHERE qa.user_id = ?
+         AND m.deleted_at IS NULL
+         AND (qa.expires_at IS NULL OR qa.expires_at > CURRENT_TIMESTAMP)
+       ORDER BY qa.position ASC, qa.created_at ASC`,
+      userId
+    );
+  }
+
+  /**
+   * Maior posição em uso pelo usuário (-1 se a lista estiver vazia)
+   */
+  static async getMaxPosition(userId) {
+    const db = getDatabase();
+    const row = await db.get(
+      'SELECT COALESCE(MAX(position), -1) as max_position FROM quick_access WHERE user_id = ?',
+      userId
+    );
+    return row.max_position;
+  }
+
+  /**
+   * Busca vários itens por ID (escopo do usuário)
+   */
+  static async findByIds(userId, itemIds) {
+    if (itemIds.length === 0) return [];
+
+    const db = getDatabase();
+    const placeholders = itemIds.map(() => '?').join(', ');
+    return await db.all(
+      `SELECT * FROM quick_access WHERE user_id = ? AND id IN (${placeholders})`,
+      [userId, ...itemIds]
+    );
+  }
+
+  /**
+   * Adiciona música ao acesso rápido (ou atualiza posição se já existir)
+   */
+  static async upsert({ id, userId, musicId, position = 0, expiresAt = null }) {
+    const db = getDatabase();
+    const itemId = id || uuidv4();
+
+    await db.run(
+      `INSERT INTO quick_access (id, user_id, music_id, position, expires_at)
+       VALUES (?, ?, ?, ?, datetime(?))
+       ON CONFLICT(user_id, music_id) DO UPDATE SET
+         position = excluded.position,
+         expires_at = excluded.expires_at,
+         updated_at = CURRENT_TIMESTAMP`,
+      [itemId, userId, musicId, position, expiresAt]
+    );
+
+    return await db.get(
+      'SELECT * FROM quick_access WHERE user_id = ? AND music_id = ?',
+      [userId, musicId]
+    );
+  }
+
+  /**
+   * Atualiza posição de um item
+   */
+  static async updatePosition(userId, itemId, position) {
+    const db = getDatabase();
+    await db.run(
+      'UPDATE quick_access SET position = ? WHERE id = ? AND user_id = ?',
+      [position, itemId, userId]
+    );
+    return await this.findById(userId, itemId);
+  }
+
+  /**
+   * Reordena itens do usuário (posição = índice em itemIds)
+   *
+   * Retorna apenas os itens cuja posição mudou.
+   */
+  static async reorder(userId, itemIds) {
+    return await withTransaction(async (db) => {
+      const moved = [];
+
+      for (const [position, itemId] of itemIds.entries()) {
+        const item = await db.get(
+          'SELECT * FROM quick_access WHERE id = ? AND user_id = ?',
+          [itemId, userId]
+        );
+        if (!item || item.position === position) continue;
+
+        await db.run(
+          'UPDATE quick_access SET position = ? WHERE id = ?',
+          [position, itemId]
+        );
+        moved.push({ ...item, position });
+      }
+
+      return moved;
+    });
+  }
+
+  /**
+   * Remove itens expirados (de um usuário ou de todos)
+   *
+   * Retorna os itens removidos.
+   */
+  static async deleteExpired(userId = null) {
+    return await withTransaction(async (db) => {
+      const userFilter = userId ? 'AND user_id = ?' : '';
+      const params = userId ? [userId] : [];
+
+      const expired = await db.all(
+        `SELECT * FROM quick_access
+         WHERE expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP ${userFilter}`,
+        params
+      );
+
+      if (expired.length > 0) {
+        const placeholders = expired.map(() => '?').join(', ');
+        await db.run(
+          `DELETE FROM quick_access WHERE id IN (${placeholders})`,
+          expired.map(item => item.id)
+        );
+      }
+
+      return expired;
+    });
+  }
+
+  /**
+   * Remove item do acesso rápido
+   */
+  static async delete(userId, itemId) {
+    const db = getDatabase();
+    const result = await db.run(
+      'DELETE FROM quick_access WHERE id = ? AND user_id = ?',
+      [itemId, userId]
+    );
+    return result.changes > 0;
+  }
+}
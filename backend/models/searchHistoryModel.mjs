@@ -1,4 +1,11 @@
 import { getDatabase } from '../config/database.mjs';
+import { decodeCursor, keysetQuery, pageResult } from '../utils/paginationUtils.mjs';
+
+// Mais recentes primeiro (id desempata buscas no mesmo segundo)
+const HISTORY_ORDER = [
+  { expr: 'searched_at', field: 'searched_at', desc: true },
+  { expr: 'id', field: 'id', desc: true },
+];
 
 export class SearchHistoryModel {
   /**
@@ -16,18 +23,37 @@ export class SearchHistoryModel {
 
   /**
    * Busca histórico do usuário
+   *
+   * Pagina por `cursor`; retorna { results, nextCursor, prevCursor }.
    */
-  static async findByUser(userId, limit = 20) {
+  static async findByUser(userId, { limit = 20, cursor } = {}) {
     const db = getDatabase();
+    const position = decodeCursor(cursor, HISTORY_ORDER, { scope: 'history' });
+    const keyset = keysetQuery(HISTORY_ORDER, position);
     
-    return await db.all(
-      `SELECT query, results_count, searched_at 
+    const rows = await db.all(
+      `SELECT id, query, results_count, searched_at 
        FROM search_history 
-       WHERE user_id = ? 
-       ORDER BY searched_at DESC 
+       WHERE user_id = ?${keyset.sql} 
+       ORDER BY ${keyset.orderBy} 
        LIMIT ?`,
-      [userId, limit]
+      [userId, ...keyset.params, limit + 1]
+    );
+    
+    return pageResult(rows, HISTORY_ORDER, { limit, cursor: position, scope: 'history' });
+  }
+
+  /**
+   * Conta buscas no histórico do usuário
+   */
+  static async countByUser(userId) {
+    const db = getDatabase();
+    const result = await db.get(
+      'SELECT COUNT(*) as count FROM search_history WHERE user_id = ?',
+      userId
     );
+    
+    return result.count;
   }
 
   /**
@@ -46,6 +72,37 @@ export class SearchHistoryModel {
     );
   }
 
+  /**
+   * Busca várias entradas do histórico do usuário por ID
+   */
+  static async findByIds(userId, entryIds) {
+    if (entryIds.length === 0) return [];
+    
+    const db = getDatabase();
+    const placeholders = entryIds.map(() => '?').join(', ');
+    
+    return await db.all(
+      `SELECT id, user_id, query, results_count, searched_at 
+       FROM search_history 
+       WHERE user_id = ? AND id IN (${placeholders})`,
+      [userId, ...entryIds]
+    );
+  }
+
+  /**
+   * Remove entrada específica do histórico do usuário
+   */
+  static async deleteById(userId, entryId) {
+    const db = getDatabase();
+    
+    const result = await db.run(
+      'DELETE FROM search_history WHERE id = ? AND user_id = ?',
+      [entryId, userId]
+    );
+    
+    return result.changes > 0;
+  }
+
   /**
    * Limpa histórico do usuário
    */
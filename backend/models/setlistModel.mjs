@@ -0,0 +1,319 @@
+import { getDatabase, withTransaction } from '../config/database.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+// Repertórios do usuário: próprios ou de grupos dos quais é membro
+const ACCESSIBLE_BY_USER = `(s.owner_user_id = ?
+  OR s.group_id IN (SELECT group_id FROM group_members WHERE user_id = ?))`;
+
+/**
+ * Insere itens a partir da posição `startPosition` (dentro de transação)
+ */
+async function insertItems(db, setlistId, items, startPosition = 0) {
+  for (const [index, item] of items.entries()) {
+    await db.run(
+      `INSERT INTO setlist_items (id, setlist_id, music_id, position, performance_key, notes)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        setlistId,
+        item.musicId,
+        startPosition + index,
+        item.key || null,
+        item.notes || null,
+      ]
+    );
+  }
+}
+
+export class SetlistModel {
+  /**
+   * Busca repertório por ID (com número de músicas)
+   */
+  static async findById(setlistId) {
+    const db = getDatabase();
+    return await db.get(
+      `SELECT s.*,
+         (SELECT COUNT(*) FROM setlist_items si WHERE si.setlist_id = s.id) as item_count
+       FROM setlists s
+       WHERE s.id = ?`,
+      setlistId
+    );
+  }
+
+  /**
+   * Lista itens do repertório na ordem de execução
+   */
+  static async findItems(setlistId) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT si.*, m.title, m.artist, m.key as original_key
+       FROM setlist_items si
+       INNER JOIN music m ON m.id = si.music_id
+       WHERE si.setlist_id = ?
+       ORDER BY si.position ASC, si.created_at ASC`,
+      setlistId
+    );
+  }
+
+  /**
+   * Busca item do repertório
+   */
+  static async findItem(setlistId, itemId) {
+    const db = getDatabase();
+    return await db.get(
+      'SELECT * FROM setlist_items WHERE id = ? AND setlist_id = ?',
+      [itemId, setlistId]
+    );
+  }
+
+  /**
+   * Lista repertórios acessíveis ao usuário
+   */
+  static async findAccessible(userId, { groupId, templates, limit = 20, offset = 0 } = {}) {
+    const db = getDatabase();
+
+    let query = `SELECT s.*,
+                   (SELECT COUNT(*) FROM setlist_items si WHERE si.setlist_id = s.id) as item_count
+                 FROM setlists s
+                 WHERE ${ACCESSIBLE_BY_USER}`;
+    const params = [userId, userId];
+
+    if (groupId) {
+      query += ' AND s.group_id = ?';
+      params.push(groupId);
+    }
+    if (templates !== undefined) {
+      query += ' AND s.is_template = ?';
+      params.push(templates ? 1 : 0);
+    }
+
+    query += ' ORDER BY s.scheduled_at IS NULL, s.scheduled_at DESC, s.updated_at DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    return await db.all(query, ...params);
+  }
+
+  /**
+   * Próximos repertórios agendados (a partir de agora, até `days` dias)
+   */
+  static async findUpcoming(userId, { days = 30, limit = 10 } = {}) {
+    const db = getDatabase();
+    return await db.all(
+      `SELECT s.*,
+         (SELECT COUNT(*) FROM setlist_items si WHERE si.setlist_id = s.id) as item_count
+       FROM setlists s
+       WHERE ${ACCESSIBLE_BY_USER}
+         AND s.is_template = 0
+         AND s.scheduled_at >= CURRENT_TIMESTAMP
+         AND s.scheduled_at <= datetime('now', '+' || ? || ' days')
+       ORDER BY s.scheduled_at ASC
+       LIMIT ?`,
+      [userId, userId, days, limit]
+    );
+  }
+
+  /**
+   * Cria repertório com seus itens
+   */
+  static async create(data, items = []) {
+    const setlistId = uuidv4();
+
+    await withTransaction(async (db) => {
+      await db.run(
+        `INSERT INTO setlists
+           (id, title, description, scheduled_at, owner_user_id, group_id, is_template, created_by)
+         VALUES (?, ?, ?, datetime(?), ?, ?, ?, ?)`,
+        [
+          setlistId,
+          data.title,
+          data.description || null,
+          data.scheduledAt || null,
+          data.groupId ? null : data.ownerUserId,
+          data.groupId || null,
+          data.isTemplate ? 1 : 0,
+          data.createdBy,
+        ]
+      );
+      await insertItems(db, setlistId, items);
+    });
+
+    return await this.findById(setlistId);
+  }
+
+  /**
+   * Atualiza repertório
+   *
+   * Com `items`, a lista de músicas é substituída inteira.
+   */
+  static async update(setlistId, data, items) {
+    await withTransaction(async (db) => {
+      const fields = [];
+      const values = [];
+
+      if (data.title !== undefined) {
+        fields.push('title = ?');
+        values.push(data.title);
+      }
+      if (data.description !== undefined) {
+        fields.push('description = ?');
+        values.push(data.description);
+      }
+      if (data.scheduledAt !== undefined) {
+        fields.push('scheduled_at = datetime(?)');
+        values.push(data.scheduledAt);
+      }
+      if (data.isTemplate !== undefined) {
+        fields.push('is_template = ?');
+        values.push(data.isTemplate ? 1 : 0);
+      }
+
+      if (fields.length > 0) {
+        values.push(setlistId);
+        await db.run(
+          `UPDATE setlists SET ${fields.join(', ')} WHERE id = ?`,
+          ...values
+        );
+      }
+
+      if (items) {
+        await db.run('DELETE FROM setlist_items WHERE setlist_id = ?', setlistId);
+        await insertItems(db, setlistId, items);
+        // Garante updated_at mesmo quando só os itens mudaram
+        await db.run(
+          'UPDATE setlists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          setlistId
+        );
+      }
+    });
+
+    return await this.findById(setlistId);
+  }
+
+  /**
+   * Remove repertório (itens saem em cascata)
+   */
+  static async delete(setlistId) {
+    const db = getDatabase();
+    const result = await db.run('DELETE FROM setlists WHERE id = ?', setlistId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Adiciona música ao fim do repertório
+   */
+  static async addItem(setlistId, item) {
+    const db = getDatabase();
+    const itemId = uuidv4();
+
+    await db.run(
+      `INSERT INTO setlist_items (id, setlist_id, music_id, position, performance_key, notes)
+       VALUES (?, ?, ?,
+         (SELECT COALESCE(MAX(position), -1) + 1 FROM setlist_items WHERE setlist_id = ?),
+         ?, ?)`,
+      [itemId, setlistId, item.musicId, setlistId, item.key || null, item.notes || null]
+    );
+
+    return await this.findItem(setlistId, itemId);
+  }
+
+  /**
+   * Atualiza tom e/ou observações de um item
+   */
+  static async updateItem(setlistId, itemId, { key, notes }) {
+    const db = getDatabase();
+
+    const fields = [];
+    const values = [];
+
+    if (key !== undefined) {
+      fields.push('performance_key = ?');
+      values.push(key);
+    }
+    if (notes !== undefined) {
+      fields.push('notes = ?');
+      values.push(notes);
+    }
+
+    if (fields.length > 0) {
+      values.push(itemId, setlistId);
+      await db.run(
+        `UPDATE setlist_items SET ${fields.join(', ')} WHERE id = ? AND setlist_id = ?`,
+        ...values
+      );
+    }
+
+    return await this.findItem(setlistId, itemId);
+  }
+
+  /**
+   * Remove item e fecha o buraco na numeração
+   */
+  static async deleteItem(setlistId, itemId) {
+    return await withTransaction(async (db) => {
+      const item = await db.get(
+        'SELECT position FROM setlist_items WHERE id = ? AND setlist_id = ?',
+        [itemId, setlistId]
+      );
+      if (!item) return false;
+
+      await db.run('DELETE FROM setlist_items WHERE id = ?', itemId);
+      await db.run(
+        'UPDATE setlist_items SET position = position - 1 WHERE setlist_id = ? AND position > ?',
+        [setlistId, item.position]
+      );
+      return true;
+    });
+  }
+
+  /**
+   * Reordena itens (posição = índice em itemIds)
+   */
+  static async reorder(setlistId, itemIds) {
+    await withTransaction(async (db) => {
+      for (const [position, itemId] of itemIds.entries()) {
+        await db.run(
+          'UPDATE setlist_items SET position = ? WHERE id = ? AND setlist_id = ?',
+          [position, itemId, setlistId]
+        );
+      }
+    });
+  }
+
+  /**
+   * Copia repertório (ex: template) com seus itens
+   */
+  static async duplicate(sourceId, data) {
+    const setlistId = uuidv4();
+
+    await withTransaction(async (db) => {
+      await db.run(
+        `INSERT INTO setlists
+           (id, title, description, scheduled_at, owner_user_id, group_id, is_template, created_by)
+         SELECT ?, COALESCE(?, title), description, datetime(?), ?, ?, 0, ?
+         FROM setlists WHERE id = ?`,
+        [
+          setlistId,
+          data.title || null,
+          data.scheduledAt || null,
+          data.groupId ? null : data.ownerUserId,
+          data.groupId || null,
+          data.createdBy,
+          sourceId,
+        ]
+      );
+
+      const items = await db.all(
+        `SELECT music_id, performance_key, notes FROM setlist_items
+         WHERE setlist_id = ? ORDER BY position ASC, created_at ASC`,
+        sourceId
+      );
+      await insertItems(db, setlistId, items.map(item => ({
+        musicId: item.music_id,
+        key: item.performance_key,
+        notes: item.notes,
+      })));
+    });
+
+    return await this.findById(setlistId);
+  }
+}
@@ -0,0 +1,44 @@
+import { getDatabase } from '../config/database.mjs';
+
+export class SyncModel {
+  /**
+   * Busca entradas do change journal visíveis para o usuário
+   *
+   * Aceita cursor por sequência (sinceSeq) ou por timestamp (since).
+   * Entidades globais (user_id NULL) são visíveis para todos os usuários.
+   * A comparação por timestamp é inclusiva porque o SQLite tem resolução
+   * de segundos; reenviar uma alteração é inofensivo, perdê-la não.
+   */
+  static async findJournalEntries(userId, entityTypes, { sinceSeq, since, limit = 1000 }) {
+    const db = getDatabase();
+    const placeholders = entityTypes.map(() => '?').join(', ');
+
+    let query = `SELECT seq, entity_type, entity_id, operation, changed_at 
+       FROM change_journal 
+       WHERE entity_type IN (${placeholders})
+         AND (user_id IS NULL OR user_id = ?)`;
+    const params = [...entityTypes, userId];
+
+    if (sinceSeq !== undefined) {
+      query += ' AND seq > ?';
+      params.push(sinceSeq);
+    } else {
+      query += ' AND changed_at >= datetime(?)';
+      params.push(since);
+    }
+
+    query += ' ORDER BY seq ASC LIMIT ?';
+    params.push(limit);
+
+    return await db.all(query, ...params);
+  }
+
+  /**
+   * Retorna a maior sequência do journal (cursor atual do servidor)
+   */
+  static async getLatestSeq() {
+    const db = getDatabase();
+    const row = await db.get('SELECT MAX(seq) as seq FROM change_journal');
+    return row?.seq ?? 0;
+  }
+}
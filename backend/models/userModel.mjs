@@ -1,6 +1,9 @@
 import { getDatabase } from '../config/database.mjs';
+import { config } from '../config/env.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
+export const USER_ROLES = ['admin', 'editor', 'member'];
+
 export class UserModel {
   /**
    * Cria ou atualiza usuário via OAuth
@@ -14,21 +17,28 @@ export class UserModel {
       [data.provider, data.oauthId]
     );
 
+    const isBootstrapAdmin = config.ADMIN_EMAILS.includes(data.email.toLowerCase());
+
     if (user) {
-      // Atualiza usuário existente
+      // Atualiza usuário existente (emails de ADMIN_EMAILS viram admin também
+      // para contas criadas antes de entrarem na lista)
+      const role = isBootstrapAdmin ? 'admin' : user.role;
+      
       await db.run(
         `UPDATE users 
-         SET full_name = ?, profile_picture = ?, last_login = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         SET full_name = ?, profile_picture = ?, role = ?, last_login = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
          WHERE id = ?`,
-        [data.fullName, data.profilePicture, user.id]
+        [data.fullName, data.profilePicture, role, user.id]
       );
-      return { ...user, full_name: data.fullName, profile_picture: data.profilePicture };
+      return { ...user, full_name: data.fullName, profile_picture: data.profilePicture, role };
     } else {
       // Cria novo usuário
+      const role = isBootstrapAdmin ? 'admin' : 'member';
+      
       await db.run(
-        `INSERT INTO users (id, email, full_name, profile_picture, oauth_provider, oauth_id, last_login)
-         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [userId, data.email, data.fullName, data.profilePicture, data.provider, data.oauthId]
+        `INSERT INTO users (id, email, full_name, profile_picture, oauth_provider, oauth_id, role, last_login)
+         VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [userId, data.email, data.fullName, data.profilePicture, data.provider, data.oauthId, role]
       );
       return await db.get('SELECT * FROM users WHERE id = ?', userId);
     }
@@ -71,6 +81,39 @@ export class UserModel {
       userId
     );
   }
+
+  /**
+   * Lista usuários (filtro opcional por papel)
+   */
+  static async findAll({ role, limit = 50, offset = 0 } = {}) {
+    const db = getDatabase();
+    
+    let query = `SELECT id, email, full_name, profile_picture, role, created_at, last_login 
+                 FROM users WHERE 1=1`;
+    const params = [];
+    
+    if (role) {
+      query += ' AND role = ?';
+      params.push(role);
+    }
+    
+    query += ' ORDER BY email ASC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+    
+    return await db.all(query, ...params);
+  }
+
+  /**
+   * Atualiza papel do usuário
+   */
+  static async updateRole(userId, role) {
+    const db = getDatabase();
+    await db.run(
+      `UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [role, userId]
+    );
+    return await this.findById(userId);
+  }
 }
 
 import { getDatabase } from '../config/database.mjs';
@@ -0,0 +1,69 @@
+import { getDatabase } from '../config/database.mjs';
+
+/**
+ * Converte linha do banco (valor serializado em JSON)
+ */
+function parseSetting(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    value: row.value !== null ? JSON.parse(row.value) : null,
+  };
+}
+
+export class UserSettingsModel {
+  /**
+   * Busca configuração do usuário
+   */
+  static async findByKey(userId, key) {
+    const db = getDatabase();
+    const row = await db.get(
+      'SELECT * FROM user_settings WHERE user_id = ? AND key = ?',
+      [userId, key]
+    );
+    return parseSetting(row);
+  }
+
+  /**
+   * Busca várias configurações do usuário por chave
+   */
+  static async findByKeys(userId, keys) {
+    if (keys.length === 0) return [];
+
+    const db = getDatabase();
+    const placeholders = keys.map(() => '?').join(', ');
+    const rows = await db.all(
+      `SELECT * FROM user_settings WHERE user_id = ? AND key IN (${placeholders})`,
+      [userId, ...keys]
+    );
+    return rows.map(parseSetting);
+  }
+
+  /**
+   * Define (cria ou substitui) uma configuração
+   */
+  static async set(userId, key, value) {
+    const db = getDatabase();
+    await db.run(
+      `INSERT INTO user_settings (user_id, key, value)
+       VALUES (?, ?, ?)
+       ON CONFLICT(user_id, key) DO UPDATE SET
+         value = excluded.value,
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, key, value === undefined ? null : JSON.stringify(value)]
+    );
+    return await this.findByKey(userId, key);
+  }
+
+  /**
+   * Remove configuração
+   */
+  static async delete(userId, key) {
+    const db = getDatabase();
+    const result = await db.run(
+      'DELETE FROM user_settings WHERE user_id = ? AND key = ?',
+      [userId, key]
+    );
+    return result.changes > 0;
+  }
+}
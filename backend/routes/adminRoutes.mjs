@@ -0,0 +1,19 @@
+import express from 'express';
+import { AdminController } from '../controllers/adminController.mjs';
+import { authMiddleware, requireRole } from '../middlewares/authMiddleware.mjs';
+
+const router = express.Router();
+
+// Todas as rotas exigem admin
+router.use(authMiddleware, requireRole('admin'));
+
+// Listar usuários e papéis
+router.get('/users', AdminController.listUsers);
+
+// Conceder papel
+router.put('/users/:id/role', AdminController.grantRole);
+
+// Revogar papel
+router.delete('/users/:id/role', AdminController.revokeRole);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { AnalyticsController } from '../controllers/analyticsController.mjs';
-import { authMiddleware, optionalAuth } from '../middlewares/authMiddleware.mjs';
+import { authMiddleware, optionalAuth, requireRole } from '../middlewares/authMiddleware.mjs';
 
 const router = express.Router();
 
@@ -26,6 +26,6 @@ router.get('/report/daily', AnalyticsController.getDailyActivityReport);
 router.get('/export', authMiddleware, AnalyticsController.exportAnalytics);
 
 // Limpar dados antigos (requer autenticação - admin apenas)
-router.delete('/cleanup', authMiddleware, AnalyticsController.cleanOldData);
+router.delete('/cleanup', authMiddleware, requireRole('admin'), AnalyticsController.cleanOldData);
 
 export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { CategoryController } from '../controllers/categoryController.mjs';
+import { authMiddleware, requireRole } from '../middlewares/authMiddleware.mjs';
+
+const router = express.Router();
+
+// Listar (sem autenticação)
+router.get('/', CategoryController.getAll);
+
+// Buscar por ID (sem autenticação)
+router.get('/:id', CategoryController.getById);
+
+// Criar (requer autenticação - admin ou editor)
+router.post('/', authMiddleware, requireRole('admin', 'editor'), CategoryController.create);
+
+// Atualizar (requer autenticação - admin ou editor)
+router.put('/:id', authMiddleware, requireRole('admin', 'editor'), CategoryController.update);
+
+// Deletar (requer autenticação - admin)
+router.delete('/:id', authMiddleware, requireRole('admin'), CategoryController.delete);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import { CollectionController } from '../controllers/collectionController.mjs';
+import { authMiddleware, requireRole } from '../middlewares/authMiddleware.mjs';
+
+const router = express.Router();
+
+// Listar (sem autenticação)
+router.get('/', CollectionController.getAll);
+
+// Buscar por ID ou sigla, com hinos (sem autenticação)
+router.get('/:id', CollectionController.getById);
+
+// Hino pelo número (sem autenticação)
+router.get('/:id/songs/:number', CollectionController.getSong);
+
+// Criar (requer autenticação - admin ou editor)
+router.post('/', authMiddleware, requireRole('admin', 'editor'), CollectionController.create);
+
+// Atualizar (requer autenticação - admin ou editor)
+router.put('/:id', authMiddleware, requireRole('admin', 'editor'), CollectionController.update);
+
+// Deletar (requer autenticação - admin)
+router.delete('/:id', authMiddleware, requireRole('admin'), CollectionController.delete);
+
+// Atribuir número a uma música (requer autenticação - admin ou editor)
+router.put('/:id/songs/:number', authMiddleware, requireRole('admin', 'editor'), CollectionController.setSong);
+
+// Liberar número (requer autenticação - admin ou editor)
+router.delete('/:id/songs/:number', authMiddleware, requireRole('admin', 'editor'), CollectionController.removeSong);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import { GroupController } from '../controllers/groupController.mjs';
+import { authMiddleware } from '../middlewares/authMiddleware.mjs';
+
+const router = express.Router();
+
+// Todas as rotas exigem autenticação
+router.use(authMiddleware);
+
+// Listar grupos do usuário
+router.get('/', GroupController.getAll);
+
+// Buscar grupo com membros
+router.get('/:id', GroupController.getById);
+
+// Criar
+router.post('/', GroupController.create);
+
+// Membros
+router.post('/:id/members', GroupController.addMember);
+router.delete('/:id/members/:userId', GroupController.removeMember);
+
+export default router;
@@ -1,23 +1,86 @@
 import express from 'express';
 import { MusicController } from '../controllers/musicController.mjs';
-import { authMiddleware, optionalAuth } from '../middlewares/authMiddleware.mjs';
+import { config } from '../config/env.mjs';
+import { authMiddleware, optionalAuth, requireRole } from '../middlewares/authMiddleware.mjs';
+import { idempotency } from '../middlewares/idempotencyMiddleware.mjs';
 
 const router = express.Router();
 
+// Exportar coleção em ZIP (requer autenticação; antes de /:id)
+router.get('/export', authMiddleware, MusicController.exportCollection);
+
+// Lixeira (requer autenticação - admin; antes de /:id)
+router.get('/trash', authMiddleware, requireRole('admin'), MusicController.listTrash);
+router.post('/trash/:id/restore', authMiddleware, requireRole('admin'), idempotency, MusicController.restore);
+
+// Prováveis duplicatas (requer autenticação - admin ou editor; antes de /:id)
+router.get('/duplicates', authMiddleware, requireRole('admin', 'editor'), MusicController.findDuplicates);
+
 // Buscar por ID (sem autenticação)
 router.get('/:id', MusicController.getById);
 
+// Exportar (sem autenticação)
+router.get('/:id/export', MusicController.export);
+
 // Listar todas (sem autenticação)
 router.get('/', MusicController.getAll);
 
-// Criar (requer autenticação - admin)
-router.post('/', authMiddleware, MusicController.create);
+// Criar (requer autenticação - admin ou editor)
+router.post('/', authMiddleware, requireRole('admin', 'editor'), idempotency, MusicController.create);
+
+// Importar ChordPro (requer autenticação - admin ou editor; aceita text/plain)
+router.post(
+  '/import/chordpro',
+  authMiddleware,
+  requireRole('admin', 'editor'),
+  express.text({ type: ['text/plain', 'application/x-chordpro'], limit: '1mb' }),
+  idempotency,
+  MusicController.importChordPro
+);
+
+// Importar OpenLyrics (requer autenticação - admin ou editor; aceita XML ou ZIP)
+router.post(
+  '/import/openlyrics',
+  authMiddleware,
+  requireRole('admin', 'editor'),
+  express.text({ type: ['application/xml', 'text/xml'], limit: config.IMPORT_MAX_BODY_SIZE }),
+  express.raw({ type: 'application/zip', limit: config.IMPORT_MAX_BODY_SIZE }),
+  idempotency,
+  MusicController.importOpenLyrics
+);
+
+// Importação em lote CSV/JSON (requer autenticação - admin ou editor)
+router.post(
+  '/import/bulk',
+  authMiddleware,
+  requireRole('admin', 'editor'),
+  express.text({ type: ['text/csv', 'application/csv'], limit: config.IMPORT_MAX_BODY_SIZE }),
+  idempotency,
+  MusicController.bulkImport
+);
+
+// Atualizar (requer autenticação - admin ou editor)
+router.put('/:id', authMiddleware, requireRole('admin', 'editor'), idempotency, MusicController.update);
+
+// Histórico de revisões (requer autenticação; diff antes de /:rev)
+router.get('/:id/revisions', authMiddleware, MusicController.listRevisions);
+router.get('/:id/revisions/diff', authMiddleware, MusicController.diffRevisions);
+router.get('/:id/revisions/:rev', authMiddleware, MusicController.getRevision);
+
+// Restaurar revisão (requer autenticação - admin ou editor)
+router.post(
+  '/:id/revisions/:rev/restore',
+  authMiddleware,
+  requireRole('admin', 'editor'),
+  idempotency,
+  MusicController.restoreRevision
+);
 
-// Atualizar (requer autenticação - admin)
-router.put('/:id', authMiddleware, MusicController.update);
+// Mesclar duplicatas nesta música (requer autenticação - admin)
+router.post('/:id/merge', authMiddleware, requireRole('admin'), idempotency, MusicController.merge);
 
-// Deletar (requer autenticação - admin)
-router.delete('/:id', authMiddleware, MusicController.delete);
+// Deletar: move para a lixeira (requer autenticação - admin)
+router.delete('/:id', authMiddleware, requireRole('admin'), idempotency, MusicController.delete);
 
 // Registrar acesso (autenticação opcional)
 router.post('/:id/access', optionalAuth, MusicController.trackAccess);
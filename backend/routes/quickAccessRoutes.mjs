@@ -0,0 +1,26 @@
+import express from 'express';
+import { QuickAccessController } from '../controllers/quickAccessController.mjs';
+import { authMiddleware } from '../middlewares/authMiddleware.mjs';
+import { idempotency } from '../middlewares/idempotencyMiddleware.mjs';
+
+const router = express.Router();
+
+// Todas as rotas exigem autenticação (lista é por usuário)
+router.use(authMiddleware);
+
+// Listar
+router.get('/', QuickAccessController.getAll);
+
+// Fixar música
+router.post('/', idempotency, QuickAccessController.add);
+
+// Reordenar
+router.put('/order', QuickAccessController.reorder);
+
+// Remover itens expirados
+router.post('/expire', QuickAccessController.expire);
+
+// Remover
+router.delete('/:id', QuickAccessController.remove);
+
+export default router;
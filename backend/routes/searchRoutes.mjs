@@ -1,11 +1,12 @@
 import express from 'express';
 import { SearchController } from '../controllers/searchController.mjs';
 import { authMiddleware, optionalAuth } from '../middlewares/authMiddleware.mjs';
+import { idempotency } from '../middlewares/idempotencyMiddleware.mjs';
 
 const router = express.Router();
 
-// Busca músicas (autenticação opcional)
-router.post('/', optionalAuth, SearchController.search);
+// Busca músicas (autenticação opcional; idempotente para não duplicar histórico)
+router.post('/', optionalAuth, idempotency, SearchController.search);
 
 // Sugestões (sem autenticação)
 router.get('/suggestions', SearchController.getSuggestions);
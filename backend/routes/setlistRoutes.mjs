@@ -0,0 +1,40 @@
+import express from 'express';
+import { SetlistController } from '../controllers/setlistController.mjs';
+import { authMiddleware } from '../middlewares/authMiddleware.mjs';
+import { idempotency } from '../middlewares/idempotencyMiddleware.mjs';
+
+const router = express.Router();
+
+// Todas as rotas exigem autenticação
+router.use(authMiddleware);
+
+// Listar
+router.get('/', SetlistController.getAll);
+
+// Próximos agendados (antes de /:id)
+router.get('/upcoming', SetlistController.getUpcoming);
+
+// Buscar por ID
+router.get('/:id', SetlistController.getById);
+
+// Criar
+router.post('/', idempotency, SetlistController.create);
+
+// Atualizar
+router.put('/:id', SetlistController.update);
+
+// Deletar
+router.delete('/:id', SetlistController.delete);
+
+// Duplicar (ex: a partir de template)
+router.post('/:id/duplicate', idempotency, SetlistController.duplicate);
+
+// Reordenar músicas
+router.put('/:id/order', SetlistController.reorder);
+
+// Itens
+router.post('/:id/items', idempotency, SetlistController.addItem);
+router.put('/:id/items/:itemId', SetlistController.updateItem);
+router.delete('/:id/items/:itemId', SetlistController.removeItem);
+
+export default router;
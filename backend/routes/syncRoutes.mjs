@@ -0,0 +1,15 @@
+import express from 'express';
+import { SyncController } from '../controllers/syncController.mjs';
+import { authMiddleware } from '../middlewares/authMiddleware.mjs';
+import { decompressSyncPayload } from '../middlewares/syncPayloadMiddleware.mjs';
+import { idempotency } from '../middlewares/idempotencyMiddleware.mjs';
+
+const router = express.Router();
+
+// Envia operações offline do app (requer autenticação)
+router.post('/push', authMiddleware, idempotency, decompressSyncPayload, SyncController.push);
+
+// Busca alterações incrementais do servidor (requer autenticação)
+router.get('/pull', authMiddleware, SyncController.pull);
+
+export default router;
@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import { extname } from 'path';
+import { initDatabase, closeDatabase } from '../config/database.mjs';
+import { MusicService } from '../services/musicService.mjs';
+import { parseCsv } from '../utils/csvUtils.mjs';
+
+/**
+ * Importa músicas em lote a partir de CSV ou JSON (array de músicas)
+ *
+ * Uso:
+ *   node scripts/importMusic.mjs <arquivo.csv|arquivo.json> [opções]
+ *
+ * Opções:
+ *   --dry-run               Só valida e mostra o relatório
+ *   --on-duplicate=skip     Duplicatas são ignoradas (padrão) ou, com
+ *                           "error", cancelam a importação
+ *   --category=<id>         Categoria padrão para linhas sem categoria
+ *   --user=<id>             Autor registrado nas revisões
+ */
+
+function parseArgs(argv) {
+  const args = { file: null, dryRun: false, onDuplicate: 'skip', defaults: {}, userId: null };
+
+  for (const arg of argv) {
+    const [name, ...rest] = arg.split('=');
+    const value = rest.join('=');
+    if (name === '--dry-run') args.dryRun = true;
+    else if (name === '--on-duplicate') args.onDuplicate = value;
+    else if (name === '--category') args.defaults.categoryId = value;
+    else if (name === '--user') args.userId = value;
+    else if (!name.startsWith('--')) args.file = arg;
+    else throw new Error(`Unknown option: ${name}`);
+  }
+
+  return args;
+}
+
+async function readRows(file) {
+  const content = await fs.readFile(file, 'utf8');
+
+  if (extname(file).toLowerCase() === '.json') {
+    const parsed = JSON.parse(content);
+    return { rows: Array.isArray(parsed) ? parsed : parsed.rows };
+  }
+
+  const { rows, lines } = parseCsv(content);
+  return { rows, rowNumbers: lines };
+}
+
+function printReport(report) {
+  console.log('\n' + '='.repeat(80));
+  console.log(report.dryRun ? 'BULK IMPORT (DRY RUN)' : 'BULK IMPORT');
+  console.log('='.repeat(80));
+  console.log(`\nRows: ${report.total} | valid: ${report.valid} | invalid: ${report.invalid} | duplicates: ${report.duplicates.length}`);
+
+  if (report.errors.length > 0) {
+    console.log('\n❌ Errors:');
+    report.errors.forEach(error => {
+      console.log(`   row ${error.row} [${error.field}]: ${error.message}`);
+    });
+  }
+
+  if (report.duplicates.length > 0) {
+    console.log('\n⚠️  Duplicates:');
+    report.duplicates.forEach(duplicate => {
+      const target = duplicate.existingId
+        ? `already in catalog (${duplicate.existingId})`
+        : `same as row ${duplicate.duplicateOfRow}`;
+      console.log(`   row ${duplicate.row}: ${duplicate.title} — ${target}`);
+    });
+  }
+
+  if (report.imported.length > 0) {
+    console.log(`\n✅ ${report.imported.length} music imported`);
+  }
+
+  console.log('\n' + '='.repeat(80) + '\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.log('Usage: node scripts/importMusic.mjs <file.csv|file.json> [--dry-run] [--on-duplicate=skip|error] [--category=<id>] [--user=<id>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { rows, rowNumbers } = await readRows(args.file);
+
+  await initDatabase();
+
+  try {
+    const report = await MusicService.bulkImport(rows, {
+      dryRun: args.dryRun,
+      onDuplicate: args.onDuplicate,
+      defaults: args.defaults,
+      rowNumbers,
+      userId: args.userId,
+    });
+    printReport(report);
+    if (report.errors.length > 0) process.exitCode = 1;
+  } catch (error) {
+    if (error.report) {
+      printReport(error.report);
+      console.error('Nothing was imported.');
+    } else {
+      console.error('Import failed:', error.message);
+    }
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch((error) => {
+  console.error('Import failed:', error.message);
+  process.exitCode = 1;
+});
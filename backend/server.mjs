@@ -3,10 +3,12 @@ import { initDatabase, closeDatabase } from './config/database.mjs';
 import { config } from './config/env.mjs';
 import { logger } from './utils/logger.mjs';
 import { SessionModel } from './models/sessionModel.mjs';
-import analyticsRoutes from '../routes/analyticsRoutes.mjs';
+import { IdempotencyKeyModel } from './models/idempotencyKeyModel.mjs';
+import { QuickAccessService } from './services/quickAccessService.mjs';
+import { MusicService } from './services/musicService.mjs';
 
 let server = null;
-app.use('/api/analytics', analyticsRoutes);
+
 /**
  * Inicia servidor
  */
@@ -38,6 +40,27 @@ async function startServer() {
       } catch (error) {
         logger.error('Failed to clean expired sessions', { error: error.message });
       }
+
+      try {
+        const deleted = await IdempotencyKeyModel.cleanExpired();
+        if (deleted > 0) {
+          logger.info('Expired idempotency keys cleaned', { count: deleted });
+        }
+      } catch (error) {
+        logger.error('Failed to clean expired idempotency keys', { error: error.message });
+      }
+
+      try {
+        await QuickAccessService.expireItems();
+      } catch (error) {
+        logger.error('Failed to expire quick access items', { error: error.message });
+      }
+
+      try {
+        await MusicService.purgeTrash();
+      } catch (error) {
+        logger.error('Failed to purge music trash', { error: error.message });
+      }
     }, 60 * 60 * 1000);
 
   } catch (error) {
@@ -0,0 +1,76 @@
+import { UserModel, USER_ROLES } from '../models/userModel.mjs';
+import { config } from '../config/env.mjs';
+import { logger } from '../utils/logger.mjs';
+
+export class AdminService {
+  /**
+   * Lista usuários com seus papéis
+   */
+  static async listUsers({ role, limit, offset } = {}) {
+    try {
+      if (role && !USER_ROLES.includes(role)) {
+        throw new Error('Invalid role');
+      }
+
+      return await UserModel.findAll({
+        role,
+        limit: Math.min(limit || config.DEFAULT_PAGE_SIZE, config.MAX_PAGE_SIZE),
+        offset: offset || 0,
+      });
+    } catch (error) {
+      logger.error('Failed to list users', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Concede papel a um usuário
+   *
+   * Vale já na próxima requisição (requireRole consulta o papel no banco);
+   * o JWT só passa a trazer o novo papel no próximo refresh.
+   */
+  static async grantRole(adminId, userId, role) {
+    try {
+      if (!USER_ROLES.includes(role)) {
+        throw new Error('Invalid role');
+      }
+
+      // Impede que o admin remova o próprio acesso (e o último admin suma)
+      if (adminId === userId) {
+        throw new Error('Cannot change own role');
+      }
+
+      const user = await UserModel.findById(userId);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const updated = await UserModel.updateRole(userId, role);
+
+      logger.info('User role changed', {
+        adminId,
+        userId,
+        previousRole: user.role,
+        role,
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Failed to change user role', {
+        adminId,
+        userId,
+        role,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoga papel elevado (volta a 'member')
+   */
+  static async revokeRole(adminId, userId) {
+    return await this.grantRole(adminId, userId, 'member');
+  }
+}
@@ -1,6 +1,7 @@
 import { getDatabase } from '../config/database.mjs';
 import { logger } from '../utils/logger.mjs';
 import { addBreadcrumb } from '../config/sentry.mjs';
+import { clampLimit } from '../utils/paginationUtils.mjs';
 
 /**
  * Service de Analytics e Métricas
@@ -85,21 +86,31 @@ export class AnalyticsService {
   /**
    * Registra adição ao acesso rápido
    */
-  static async trackQuickAccessAdd(userId, musicId) {
+  static async trackQuickAccessAdd(userId, musicId, position = null) {
+    await this.trackQuickAccessAction(userId, musicId, 'add', position);
+  }
+
+  /**
+   * Registra ação no acesso rápido ('add', 'remove' ou 'reorder')
+   *
+   * O trigger de quick_access_log atualiza user_activity_summary.
+   */
+  static async trackQuickAccessAction(userId, musicId, action, position = null) {
     try {
       const db = getDatabase();
       
       await db.run(
-        `INSERT INTO quick_access_log (user_id, music_id, action, created_at)
-         VALUES (?, ?, 'add', CURRENT_TIMESTAMP)`,
-        [userId, musicId]
+        `INSERT INTO quick_access_log (user_id, music_id, action, position, created_at)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [userId, musicId, action, position]
       );
 
-      logger.info('Quick access add tracked', { userId, musicId });
+      logger.info('Quick access action tracked', { userId, musicId, action, position });
     } catch (error) {
-      logger.error('Failed to track quick access add', {
+      logger.error('Failed to track quick access action', {
         userId,
         musicId,
+        action,
         error: error.message,
       });
     }
@@ -108,9 +119,10 @@ export class AnalyticsService {
   /**
    * Busca músicas mais populares
    */
-  static async getMostPopularMusic(limit = 10, timeframe = '30days') {
+  static async getMostPopularMusic(limit, timeframe = '30days') {
     try {
       const db = getDatabase();
+      const pageSize = clampLimit(limit, 10);
       
       let dateFilter = '';
       
@@ -132,14 +144,14 @@ export class AnalyticsService {
            last_accessed,
            (SELECT COUNT(*) FROM music_access_log WHERE music_id = music.id ${dateFilter ? "AND accessed_at >= date('now', '-" + timeframe.replace('days', '') + " days')" : ''}) as recent_access_count
          FROM music
-         WHERE access_count > 0 ${dateFilter}
+         WHERE access_count > 0 AND deleted_at IS NULL ${dateFilter}
          ORDER BY recent_access_count DESC, access_count DESC
          LIMIT ?`,
-        limit
+        pageSize
       );
 
       logger.info('Most popular music fetched', {
-        limit,
+        limit: pageSize,
         timeframe,
         resultsCount: results.length,
       });
@@ -156,9 +168,10 @@ export class AnalyticsService {
   /**
    * Busca termos de busca mais populares
    */
-  static async getTopSearchTerms(limit = 20, timeframe = '30days') {
+  static async getTopSearchTerms(limit, timeframe = '30days') {
     try {
       const db = getDatabase();
+      const pageSize = clampLimit(limit, 20);
       
       let dateFilter = '';
       
@@ -181,11 +194,11 @@ export class AnalyticsService {
          GROUP BY LOWER(query)
          ORDER BY search_count DESC
          LIMIT ?`,
-        limit
+        pageSize
       );
 
       logger.info('Top search terms fetched', {
-        limit,
+        limit: pageSize,
         timeframe,
         resultsCount: results.length,
       });
@@ -208,7 +221,7 @@ export class AnalyticsService {
       
       // Total de músicas
       const totalMusic = await db.get(
-        'SELECT COUNT(*) as count FROM music'
+        'SELECT COUNT(*) as count FROM music WHERE deleted_at IS NULL'
       );
 
       // Total de usuários
@@ -362,9 +375,10 @@ export class AnalyticsService {
   /**
    * Trending músicas (crescimento recente)
    */
-  static async getTrendingMusic(limit = 10) {
+  static async getTrendingMusic(limit) {
     try {
       const db = getDatabase();
+      const pageSize = clampLimit(limit, 10);
 
       // Compara acessos dos últimos 7 dias com os 7 dias anteriores
       const results = await db.all(
@@ -382,12 +396,13 @@ export class AnalyticsService {
             AND accessed_at >= date('now', '-14 days')
             AND accessed_at < date('now', '-7 days')) as previous_access_count
          FROM music m
-         WHERE (SELECT COUNT(*) FROM music_access_log 
-                WHERE music_id = m.id 
-                AND accessed_at >= date('now', '-7 days')) > 0
+         WHERE m.deleted_at IS NULL
+           AND (SELECT COUNT(*) FROM music_access_log 
+                  WHERE music_id = m.id 
+                  AND accessed_at >= date('now', '-7 days')) > 0
          ORDER BY (recent_access_count - previous_access_count) DESC
          LIMIT ?`,
-        limit
+        pageSize
       );
 
       // Calcula taxa de crescimento
@@ -400,7 +415,7 @@ export class AnalyticsService {
       }));
 
       logger.info('Trending music fetched', {
-        limit,
+        limit: pageSize,
         resultsCount: trending.length,
       });
 
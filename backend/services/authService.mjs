@@ -8,9 +8,9 @@ export class AuthService {
   /**
    * Gera access token (JWT)
    */
-  static generateAccessToken(userId) {
+  static generateAccessToken(userId, role = 'member') {
     return jwt.sign(
-      { userId, type: 'access' },
+      { userId, role, type: 'access' },
       config.JWT_SECRET,
       { expiresIn: config.JWT_EXPIRES_IN }
     );
@@ -53,7 +53,7 @@ export class AuthService {
       });
 
       // Gera tokens
-      const accessToken = this.generateAccessToken(user.id);
+      const accessToken = this.generateAccessToken(user.id, user.role);
       const refreshToken = this.generateRefreshToken(user.id);
 
       // Cria sessão
@@ -108,8 +108,14 @@ export class AuthService {
       // Atualiza última utilização
       await SessionModel.updateLastUsed(session.id);
 
-      // Gera novo access token
-      const accessToken = this.generateAccessToken(session.user_id);
+      // Gera novo access token (papel relido do banco: alterações valem no refresh)
+      const user = await UserModel.findById(session.user_id);
+
+      if (!user) {
+        throw new Error('Session user not found');
+      }
+
+      const accessToken = this.generateAccessToken(session.user_id, user.role);
 
       // Opcionalmente, gera novo refresh token (rotação)
       const newRefreshToken = this.generateRefreshToken(session.user_id);
@@ -0,0 +1,192 @@
+import { CategoryModel } from '../models/categoryModel.mjs';
+import { slugify } from '../utils/textUtils.mjs';
+import { logger } from '../utils/logger.mjs';
+
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Monta árvore de categorias; total_music_count soma as subcategorias
+ */
+function buildTree(categories) {
+  const nodes = new Map(
+    categories.map(c => [c.id, { ...c, children: [], total_music_count: c.music_count }])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sumTotals = (node) => {
+    for (const child of node.children) {
+      node.total_music_count += sumTotals(child);
+    }
+    return node.total_music_count;
+  };
+  roots.forEach(sumTotals);
+
+  return roots;
+}
+
+export class CategoryService {
+  /**
+   * Lista categorias (plana ou em árvore)
+   */
+  static async listCategories({ tree = false, parentId } = {}) {
+    try {
+      if (tree) {
+        return buildTree(await CategoryModel.findAll());
+      }
+      return await CategoryModel.findAll({ parentId });
+    } catch (error) {
+      logger.error('Failed to list categories', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca categoria por ID
+   */
+  static async getCategoryById(categoryId) {
+    try {
+      const category = await CategoryModel.findById(categoryId);
+
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      return category;
+    } catch (error) {
+      logger.error('Failed to get category', { categoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cria categoria
+   */
+  static async createCategory(data) {
+    try {
+      if (!data.name || !data.name.trim()) {
+        throw new Error('Category name is required');
+      }
+
+      await this.validate(data);
+
+      const category = await CategoryModel.create({
+        ...data,
+        name: data.name.trim(),
+        slug: await this.resolveSlug(data.slug || data.name),
+      });
+
+      logger.info('Category created', { categoryId: category.id });
+      return category;
+    } catch (error) {
+      logger.error('Failed to create category', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza categoria
+   */
+  static async updateCategory(categoryId, data) {
+    try {
+      const existing = await this.getCategoryById(categoryId);
+
+      if (data.parentId && await CategoryModel.isDescendantOf(data.parentId, categoryId)) {
+        throw new Error('Category cannot be nested under itself');
+      }
+
+      if (data.name !== undefined && !data.name.trim()) {
+        throw new Error('Category name is required');
+      }
+
+      await this.validate(data);
+
+      const changes = { ...data };
+      if (data.slug !== undefined) {
+        changes.slug = await this.resolveSlug(data.slug, existing.id);
+      }
+
+      const category = await CategoryModel.update(categoryId, changes);
+
+      logger.info('Category updated', { categoryId });
+      return category;
+    } catch (error) {
+      logger.error('Failed to update category', { categoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove categoria
+   *
+   * Categorias com músicas só podem ser removidas informando `reassignTo`.
+   * Músicas na lixeira não contam: sem `reassignTo`, ficam sem categoria.
+   */
+  static async deleteCategory(categoryId, reassignTo) {
+    try {
+      const category = await this.getCategoryById(categoryId);
+
+      if (reassignTo) {
+        if (reassignTo === categoryId) {
+          throw new Error('Cannot reassign music to the category being deleted');
+        }
+        if (!await CategoryModel.findById(reassignTo)) {
+          throw new Error('Target category not found');
+        }
+      } else if (category.music_count > 0) {
+        const error = new Error('Category in use');
+        error.musicCount = category.music_count;
+        throw error;
+      }
+
+      const result = await CategoryModel.delete(categoryId, { reassignTo });
+
+      logger.info('Category deleted', { categoryId, reassignTo, ...result });
+      return result;
+    } catch (error) {
+      logger.error('Failed to delete category', { categoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Valida cor e categoria pai
+   */
+  static async validate(data) {
+    if (data.color && !COLOR_REGEX.test(data.color)) {
+      throw new Error('Invalid color');
+    }
+    if (data.parentId && !await CategoryModel.findById(data.parentId)) {
+      throw new Error('Parent category not found');
+    }
+    if (data.sortOrder !== undefined && !Number.isInteger(data.sortOrder)) {
+      throw new Error('sortOrder must be an integer');
+    }
+  }
+
+  /**
+   * Gera slug único (rejeita slug explícito já usado por outra categoria)
+   */
+  static async resolveSlug(source, currentId = null) {
+    const slug = slugify(source);
+
+    if (!slug) {
+      throw new Error('Invalid slug');
+    }
+
+    const existing = await CategoryModel.findBySlug(slug);
+    if (existing && existing.id !== currentId) {
+      throw new Error('Slug already in use');
+    }
+
+    return slug;
+  }
+}
@@ -0,0 +1,289 @@
+import { CollectionModel } from '../models/collectionModel.mjs';
+import { MusicModel } from '../models/musicModel.mjs';
+import { logger } from '../utils/logger.mjs';
+
+// Sigla curta, sem espaços: "HC", "CC", "HASD"
+const ABBREVIATION_REGEX = /^[a-z][a-z0-9]{0,9}$/i;
+
+const MAX_HYMN_NUMBER = 99999;
+
+// "15", "nº 15", "hino 15", "#15"
+const BARE_NUMBER_REGEX = /^(?:hino\s*|n[º°o]?\.?\s*|#\s*)?(\d{1,5})$/i;
+
+// "HC 15", "HC-15", "HC15", "hc nº 15"
+const ABBREVIATION_NUMBER_REGEX = /^([a-z][a-z0-9]{0,9}?)\s*[-.]?\s*(?:n[º°o]?\.?\s*|#\s*)?(\d{1,5})$/i;
+
+/**
+ * Interpreta número de hino digitado na busca
+ *
+ * Retorna { number, abbreviation } (abbreviation null = qualquer coleção)
+ * ou null se a consulta não tem cara de referência a hinário.
+ */
+export function parseHymnReference(query) {
+  const text = String(query ?? '').trim();
+
+  const bare = text.match(BARE_NUMBER_REGEX);
+  if (bare) {
+    return { number: parseInt(bare[1], 10), abbreviation: null };
+  }
+
+  const withAbbreviation = text.match(ABBREVIATION_NUMBER_REGEX);
+  if (withAbbreviation) {
+    return {
+      number: parseInt(withAbbreviation[2], 10),
+      abbreviation: withAbbreviation[1],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Converte número de hino vindo da URL/body (inteiro positivo)
+ */
+function parseNumber(value) {
+  const number = typeof value === 'number' ? value : Number(String(value ?? '').trim());
+
+  if (!Number.isInteger(number) || number < 1 || number > MAX_HYMN_NUMBER) {
+    throw new Error('Invalid hymn number');
+  }
+
+  return number;
+}
+
+/**
+ * Valida nome e descrição vindos do body
+ *
+ * `requireName` exige o nome (criação); na edição, ausente = não mexe.
+ */
+function validateCollectionText(data, { requireName }) {
+  if (data.name !== undefined || requireName) {
+    if (data.name !== undefined && data.name !== null && typeof data.name !== 'string') {
+      throw new Error('Collection name must be a string');
+    }
+    if (!data.name || !data.name.trim()) {
+      throw new Error('Collection name is required');
+    }
+  }
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    throw new Error('Collection description must be a string');
+  }
+}
+
+export class CollectionService {
+  /**
+   * Lista coleções
+   */
+  static async listCollections() {
+    try {
+      return await CollectionModel.findAll();
+    } catch (error) {
+      logger.error('Failed to list collections', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca coleção por ID ou sigla (/api/collections/HC funciona)
+   */
+  static async getCollection(collectionRef) {
+    try {
+      const collection = await CollectionModel.findById(collectionRef)
+        || await CollectionModel.findByAbbreviation(collectionRef);
+
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+
+      return collection;
+    } catch (error) {
+      logger.error('Failed to get collection', { collectionRef, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Coleção com a lista de hinos em ordem de número
+   */
+  static async getCollectionWithSongs(collectionRef) {
+    const collection = await this.getCollection(collectionRef);
+    const songs = await CollectionModel.findSongs(collection.id);
+    return { ...collection, songs };
+  }
+
+  /**
+   * Cria coleção
+   */
+  static async createCollection(data) {
+    try {
+      validateCollectionText(data, { requireName: true });
+
+      const collection = await CollectionModel.create({
+        name: data.name.trim(),
+        abbreviation: await this.resolveAbbreviation(data.abbreviation),
+        description: data.description,
+      });
+
+      logger.info('Collection created', { collectionId: collection.id });
+      return collection;
+    } catch (error) {
+      logger.error('Failed to create collection', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza coleção
+   */
+  static async updateCollection(collectionRef, data) {
+    try {
+      const existing = await this.getCollection(collectionRef);
+
+      validateCollectionText(data, { requireName: false });
+
+      const changes = {
+        name: data.name?.trim(),
+        description: data.description,
+      };
+      if (data.abbreviation !== undefined) {
+        changes.abbreviation = await this.resolveAbbreviation(data.abbreviation, existing.id);
+      }
+
+      const collection = await CollectionModel.update(existing.id, changes);
+
+      logger.info('Collection updated', { collectionId: existing.id });
+      return collection;
+    } catch (error) {
+      logger.error('Failed to update collection', { collectionRef, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove coleção (as músicas continuam no catálogo)
+   */
+  static async deleteCollection(collectionRef) {
+    try {
+      const collection = await this.getCollection(collectionRef);
+      await CollectionModel.delete(collection.id);
+      logger.info('Collection deleted', { collectionId: collection.id });
+    } catch (error) {
+      logger.error('Failed to delete collection', { collectionRef, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Música pelo número dentro da coleção (GET /collections/HC/songs/15)
+   */
+  static async getSong(collectionRef, number) {
+    try {
+      const collection = await this.getCollection(collectionRef);
+      const hymnNumber = parseNumber(number);
+
+      const entry = await CollectionModel.findSongByNumber(collection.id, hymnNumber);
+      const music = entry && await MusicModel.findById(entry.music_id);
+
+      if (!music) {
+        throw new Error('Hymn not found');
+      }
+
+      return {
+        ...music,
+        collection: {
+          id: collection.id,
+          name: collection.name,
+          abbreviation: collection.abbreviation,
+          number: hymnNumber,
+        },
+      };
+    } catch (error) {
+      logger.error('Failed to get hymn', { collectionRef, number, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Atribui número a uma música na coleção
+   *
+   * Se o número já estava ocupado, a música anterior perde o número.
+   */
+  static async setSong(collectionRef, number, musicId) {
+    try {
+      const collection = await this.getCollection(collectionRef);
+      const hymnNumber = parseNumber(number);
+
+      if (!musicId || !await MusicModel.findById(musicId)) {
+        throw new Error('Music not found');
+      }
+
+      await CollectionModel.setSong(collection.id, hymnNumber, musicId);
+
+      logger.info('Hymn number assigned', {
+        collectionId: collection.id,
+        number: hymnNumber,
+        musicId,
+      });
+      return await this.getSong(collection.id, hymnNumber);
+    } catch (error) {
+      logger.error('Failed to assign hymn number', {
+        collectionRef,
+        number,
+        musicId,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Libera o número na coleção
+   */
+  static async removeSong(collectionRef, number) {
+    try {
+      const collection = await this.getCollection(collectionRef);
+      const hymnNumber = parseNumber(number);
+
+      if (!await CollectionModel.removeSong(collection.id, hymnNumber)) {
+        throw new Error('Hymn not found');
+      }
+
+      logger.info('Hymn number removed', { collectionId: collection.id, number: hymnNumber });
+    } catch (error) {
+      logger.error('Failed to remove hymn number', { collectionRef, number, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Hinos que correspondem a uma consulta como "15" ou "HC 15"
+   *
+   * Retorna [] quando a consulta não é referência a hinário ou quando a
+   * sigla/número não existem — a busca segue então pelo texto.
+   */
+  static async findByReference(query) {
+    const reference = parseHymnReference(query);
+    if (!reference) return [];
+
+    return await CollectionModel.findByNumber(reference.number, reference.abbreviation);
+  }
+
+  /**
+   * Valida sigla e garante que não está em uso por outra coleção
+   */
+  static async resolveAbbreviation(abbreviation, currentId = null) {
+    const value = String(abbreviation ?? '').trim().toUpperCase();
+
+    if (!ABBREVIATION_REGEX.test(value)) {
+      throw new Error('Invalid abbreviation');
+    }
+
+    const existing = await CollectionModel.findByAbbreviation(value);
+    if (existing && existing.id !== currentId) {
+      throw new Error('Abbreviation already in use');
+    }
+
+    return value;
+  }
+}
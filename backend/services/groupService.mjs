@@ -0,0 +1,138 @@
+import { GroupModel } from '../models/groupModel.mjs';
+import { UserModel } from '../models/userModel.mjs';
+import { logger } from '../utils/logger.mjs';
+
+const GROUP_ROLES = ['owner', 'member'];
+
+export class GroupService {
+  /**
+   * Lista grupos do usuário
+   */
+  static async listGroups(userId) {
+    try {
+      return await GroupModel.findByUser(userId);
+    } catch (error) {
+      logger.error('Failed to list groups', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca grupo com membros (apenas para membros)
+   */
+  static async getGroup(userId, groupId) {
+    try {
+      await this.assertMember(groupId, userId);
+
+      const group = await GroupModel.findById(groupId);
+      const members = await GroupModel.findMembers(groupId);
+
+      return { ...group, members };
+    } catch (error) {
+      logger.error('Failed to get group', { userId, groupId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cria grupo (criador vira owner)
+   */
+  static async createGroup(userId, { name } = {}) {
+    try {
+      if (!name || !name.trim()) {
+        throw new Error('Group name is required');
+      }
+
+      const group = await GroupModel.create({ name: name.trim(), createdBy: userId });
+
+      logger.info('Group created', { groupId: group.id, userId });
+      return group;
+    } catch (error) {
+      logger.error('Failed to create group', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Adiciona membro por userId ou email (apenas owners)
+   */
+  static async addMember(actorId, groupId, { userId, email, role = 'member' } = {}) {
+    try {
+      await this.assertOwner(groupId, actorId);
+
+      if (!GROUP_ROLES.includes(role)) {
+        throw new Error('Invalid group role');
+      }
+
+      const user = userId
+        ? await UserModel.findById(userId)
+        : email ? await UserModel.findByEmail(email) : null;
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const membership = await GroupModel.addMember(groupId, user.id, role);
+
+      logger.info('Group member added', { groupId, userId: user.id, role, actorId });
+      return membership;
+    } catch (error) {
+      logger.error('Failed to add group member', { groupId, actorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove membro (owners removem qualquer um; membros podem sair)
+   */
+  static async removeMember(actorId, groupId, userId) {
+    try {
+      const actor = await this.assertMember(groupId, actorId);
+
+      if (actorId !== userId && actor.role !== 'owner') {
+        throw new Error('Only group owners can manage members');
+      }
+
+      const membership = await GroupModel.findMembership(groupId, userId);
+      if (!membership) {
+        throw new Error('Member not found');
+      }
+
+      // Grupo não pode ficar sem owner
+      if (membership.role === 'owner' && await GroupModel.countOwners(groupId) === 1) {
+        throw new Error('Cannot remove last group owner');
+      }
+
+      await GroupModel.removeMember(groupId, userId);
+
+      logger.info('Group member removed', { groupId, userId, actorId });
+    } catch (error) {
+      logger.error('Failed to remove group member', { groupId, actorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Garante que o usuário é membro do grupo
+   *
+   * Não-membros recebem 'Group not found' para não expor grupos alheios.
+   */
+  static async assertMember(groupId, userId) {
+    const membership = await GroupModel.findMembership(groupId, userId);
+    if (!membership) {
+      throw new Error('Group not found');
+    }
+    return membership;
+  }
+
+  /**
+   * Garante que o usuário é owner do grupo
+   */
+  static async assertOwner(groupId, userId) {
+    const membership = await this.assertMember(groupId, userId);
+    if (membership.role !== 'owner') {
+      throw new Error('Only group owners can manage members');
+    }
+    return membership;
+  }
+}
@@ -1,6 +1,344 @@
 import { MusicModel } from '../models/musicModel.mjs';
+import { MusicRevisionModel } from '../models/musicRevisionModel.mjs';
+import { CategoryModel } from '../models/categoryModel.mjs';
+import {
+  parseChord,
+  parseKey,
+  keyPrefersFlats,
+  transposeKey,
+  semitonesBetween,
+  transposeText,
+  findFirstChord,
+} from '../utils/chordUtils.mjs';
+import { chordsMatchLyrics, isChordProBody, parseChordPro, toChordPro } from '../utils/chordProUtils.mjs';
+import { parseOpenLyrics, toOpenLyrics } from '../utils/openLyricsUtils.mjs';
+import { createZip } from '../utils/zipUtils.mjs';
+import {
+  joinSections,
+  omitLyrics,
+  resolveVerseOrder,
+  splitLyrics,
+  validateSections,
+} from '../utils/lyricsUtils.mjs';
+import { normalizeText, slugify } from '../utils/textUtils.mjs';
+import { isValidMusicKey, MUSIC_GENRES, MUSIC_TEMPOS } from '../utils/validators.mjs';
+import { diffLines } from '../utils/diffUtils.mjs';
+import { clampLimit } from '../utils/paginationUtils.mjs';
+import { bigramSimilarity, wordSet, wordSimilarity } from '../utils/similarityUtils.mjs';
+import { config } from '../config/env.mjs';
 import { logger } from '../utils/logger.mjs';
 
+/**
+ * Garante que a categoria referenciada existe (null/ausente = sem categoria)
+ */
+async function assertCategoryExists(categoryId) {
+  if (categoryId === undefined || categoryId === null) return;
+
+  const category = await CategoryModel.findById(categoryId);
+  if (!category) {
+    throw new Error('Category not found');
+  }
+}
+
+/**
+ * Tonalidade da música: campo `key` ou, na falta dele, o primeiro acorde
+ */
+function resolveMusicKey(music) {
+  if (parseKey(music.key)) return music.key.trim();
+
+  const firstChord = findFirstChord(music.chords);
+  const chord = firstChord && parseChord(firstChord);
+  if (!chord) return null;
+
+  const isMinor = /^m(?!aj)/.test(chord.suffix);
+  return firstChord.match(/^[A-G][#b]?/)[0] + (isMinor ? 'm' : '');
+}
+
+/**
+ * Mantém letra, seções e ordem de execução consistentes entre si
+ *
+ * - `sections` (e opcionalmente `verseOrder`) informados: a letra plana
+ *   é derivada deles
+ * - só `verseOrder`: reordena as seções atuais
+ * - só `lyrics`: as seções são obtidas dividindo a letra
+ *
+ * `current` é a música salva (atualizações); retorna os campos a gravar.
+ */
+function resolveLyricsFields(data, current = null) {
+  if (data.sections !== undefined) {
+    let verseOrder = data.verseOrder;
+    if (verseOrder === undefined && current?.verse_order) {
+      // Mantém a ordem atual se ela ainda for válida para as novas seções
+      const names = new Set((data.sections ?? []).map(section => section?.name));
+      verseOrder = resolveVerseOrder([], current.verse_order).every(name => names.has(name))
+        ? current.verse_order
+        : null;
+    }
+
+    const sections = validateSections(data.sections, verseOrder);
+    return {
+      ...data,
+      sections,
+      verseOrder: verseOrder ?? null,
+      lyrics: joinSections(sections, verseOrder),
+    };
+  }
+
+  if (data.verseOrder !== undefined && current && data.lyrics === undefined) {
+    const sections = current.sections ?? splitLyrics(current.lyrics).sections;
+    validateSections(sections, data.verseOrder);
+    return {
+      ...data,
+      sections,
+      lyrics: joinSections(sections, data.verseOrder),
+    };
+  }
+
+  if (data.lyrics !== undefined) {
+    const { sections, verseOrder } = splitLyrics(data.lyrics);
+    return {
+      ...data,
+      sections: sections.length > 0 ? sections : null,
+      verseOrder: verseOrder || null,
+    };
+  }
+
+  return data;
+}
+
+// Campo do snapshot de revisão → campo aceito por MusicModel.update
+const REVISION_DATA_FIELDS = {
+  title: 'title',
+  artist: 'artist',
+  lyrics: 'lyrics',
+  sections: 'sections',
+  verse_order: 'verseOrder',
+  chords: 'chords',
+  category_id: 'categoryId',
+  genre: 'genre',
+  key: 'key',
+  tempo: 'tempo',
+  duration: 'duration',
+  sheet_music_url: 'sheetMusicUrl',
+  audio_url: 'audioUrl',
+  tags: 'tags',
+};
+
+// Campos comparados linha a linha no diff de revisões
+const LINE_DIFF_FIELDS = new Set(['lyrics', 'chords']);
+
+/**
+ * Erro de conflito de versão com a cópia atual do servidor
+ */
+function versionConflictError(expectedVersion, current) {
+  const error = new Error('Version conflict');
+  error.expectedVersion = expectedVersion;
+  error.current = current;
+  return error;
+}
+
+// Coluna da importação em lote (normalizada, sem espaços) → campo de music
+const IMPORT_COLUMNS = {
+  title: 'title',
+  titulo: 'title',
+  artist: 'artist',
+  artista: 'artist',
+  lyrics: 'lyrics',
+  letra: 'lyrics',
+  chords: 'chords',
+  cifra: 'chords',
+  genre: 'genre',
+  genero: 'genre',
+  key: 'key',
+  tom: 'key',
+  tempo: 'tempo',
+  andamento: 'tempo',
+  duration: 'duration',
+  duracao: 'duration',
+  tags: 'tags',
+  categoryid: 'categoryId',
+  categoria: 'categoryId',
+  sections: 'sections',
+  verseorder: 'verseOrder',
+  sheetmusicurl: 'sheetMusicUrl',
+  partitura: 'sheetMusicUrl',
+  audiourl: 'audioUrl',
+  audio: 'audioUrl',
+};
+
+/**
+ * Chave de duplicidade: título + artista normalizados
+ */
+function duplicateKey(title, artist) {
+  return `${normalizeText(title)}|${normalizeText(artist)}`;
+}
+
+/**
+ * Converte linha da importação (CSV ou JSON) em campos de music
+ *
+ * Células vazias são ignoradas; gênero e andamento aceitam acentos e
+ * maiúsculas ("Adoração" → "adoracao"); tags em texto são separadas
+ * por vírgula ou "|".
+ */
+function normalizeImportRow(row) {
+  const data = {};
+
+  for (const [column, rawValue] of Object.entries(row ?? {})) {
+    const field = IMPORT_COLUMNS[normalizeText(column).replace(/\s/g, '')];
+    if (!field) continue;
+
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (value === '' || value === null || value === undefined) continue;
+
+    data[field] = value;
+  }
+
+  if (typeof data.genre === 'string') data.genre = normalizeText(data.genre);
+  if (typeof data.tempo === 'string') data.tempo = normalizeText(data.tempo);
+  if (typeof data.tags === 'string') {
+    data.tags = data.tags.split(/[,|]/).map(tag => tag.trim()).filter(Boolean);
+  }
+  if (typeof data.sections === 'string') {
+    try {
+      data.sections = JSON.parse(data.sections);
+    } catch {
+      // validateSections reporta o erro
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Erros de validação de uma linha da importação ([{ field, message }])
+ */
+function validateImportRow(data, categoryExists) {
+  const errors = [];
+
+  if (typeof data.title !== 'string' || !data.title) {
+    errors.push({ field: 'title', message: 'title is required' });
+  }
+  if (data.lyrics === undefined && data.sections === undefined) {
+    errors.push({ field: 'lyrics', message: 'lyrics is required' });
+  } else if (data.lyrics !== undefined && typeof data.lyrics !== 'string') {
+    errors.push({ field: 'lyrics', message: 'lyrics must be text' });
+  }
+  if (data.genre !== undefined && !MUSIC_GENRES.includes(data.genre)) {
+    errors.push({ field: 'genre', message: `genre must be one of: ${MUSIC_GENRES.join(', ')}` });
+  }
+  if (data.tempo !== undefined && !MUSIC_TEMPOS.includes(data.tempo)) {
+    errors.push({ field: 'tempo', message: `tempo must be one of: ${MUSIC_TEMPOS.join(', ')}` });
+  }
+  if (data.key !== undefined && !isValidMusicKey(data.key)) {
+    errors.push({ field: 'key', message: 'Invalid key' });
+  }
+  if (data.tags !== undefined && (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push({ field: 'tags', message: 'tags must be a list of strings' });
+  }
+  if (data.categoryId !== undefined && !categoryExists(data.categoryId)) {
+    errors.push({ field: 'categoryId', message: 'Category not found' });
+  }
+
+  return errors;
+}
+
+// Pesos da pontuação de duplicidade (título, letra, artista)
+const DUPLICATE_WEIGHTS = { title: 0.5, lyrics: 0.4, artist: 0.1 };
+
+// Palavra de título presente em mais músicas que isso não gera candidatos
+const DUPLICATE_MAX_BUCKET_SIZE = 50;
+
+/**
+ * Pares de músicas que valem a pena comparar (evita comparar todas com todas)
+ *
+ * Candidatas: mesmo título normalizado, mesma primeira linha da letra ou
+ * alguma palavra do título em comum (ignorando palavras muito comuns).
+ */
+function duplicateCandidatePairs(musics) {
+  const buckets = new Map();
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+
+  musics.forEach((music, index) => {
+    addToBucket(`title:${normalizeText(music.title)}`, index);
+
+    const firstLine = String(music.lyrics ?? '').split(/\r?\n/).map(normalizeText).find(Boolean);
+    if (firstLine && firstLine.split(' ').length >= 3) {
+      addToBucket(`line:${firstLine}`, index);
+    }
+
+    for (const word of wordSet(music.title)) {
+      if (word.length >= 3) addToBucket(`word:${word}`, index);
+    }
+  });
+
+  const pairs = new Set();
+  for (const [key, indexes] of buckets) {
+    if (key.startsWith('word:') && indexes.length > DUPLICATE_MAX_BUCKET_SIZE) continue;
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        pairs.add(`${indexes[i]}:${indexes[j]}`);
+      }
+    }
+  }
+
+  return [...pairs].map(pair => pair.split(':').map(Number));
+}
+
+/**
+ * Pontuação de duplicidade entre duas músicas
+ *
+ * Artista ausente em uma das duas conta como meia similaridade.
+ */
+function scoreDuplicatePair(left, right) {
+  const title = bigramSimilarity(left.title, right.title);
+  const lyrics = wordSimilarity(left.words, right.words);
+  const artist = left.artist && right.artist
+    ? bigramSimilarity(left.artist, right.artist)
+    : left.artist || right.artist ? 0.5 : 1;
+
+  const score = title * DUPLICATE_WEIGHTS.title
+    + lyrics * DUPLICATE_WEIGHTS.lyrics
+    + artist * DUPLICATE_WEIGHTS.artist;
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    score: round(score),
+    titleSimilarity: round(title),
+    lyricsSimilarity: round(lyrics),
+    artistSimilarity: round(artist),
+  };
+}
+
+// Formatos de exportação (GET /api/music/:id/export?format=)
+const EXPORT_FORMATS = {
+  chordpro: {
+    extension: 'cho',
+    contentType: 'text/plain; charset=utf-8',
+    render: toChordPro,
+  },
+  openlyrics: {
+    extension: 'xml',
+    contentType: 'application/xml; charset=utf-8',
+    render: toOpenLyrics,
+  },
+};
+
+/**
+ * Nome de arquivo para a música, sem repetir nomes já usados
+ */
+function uniqueFilename(music, extension, usedNames) {
+  const base = slugify(music.title) || music.id;
+  let filename = `${base}.${extension}`;
+  for (let i = 2; usedNames.has(filename); i++) {
+    filename = `${base}-${i}.${extension}`;
+  }
+  usedNames.add(filename);
+  return filename;
+}
+
 export class MusicService {
   /**
    * Busca música por ID
@@ -21,11 +359,83 @@ export class MusicService {
   }
 
   /**
-   * Lista todas as músicas
+   * Retorna cópia da música com acordes transpostos
+   *
+   * - transposeTo: tonalidade em que a música vai soar
+   * - capo: casa do capotraste; acordes viram os "shapes" tocados com ele
+   * - accidentals: 'sharp' | 'flat' (padrão: armadura da tonalidade)
+   */
+  static transposeMusic(music, { transposeTo, capo = 0, accidentals } = {}) {
+    if (transposeTo !== undefined && !parseKey(transposeTo)) {
+      throw new Error('Invalid key');
+    }
+    if (!Number.isInteger(capo) || capo < 0 || capo > 11) {
+      throw new Error('Invalid capo');
+    }
+    if (accidentals !== undefined && !['sharp', 'flat'].includes(accidentals)) {
+      throw new Error('Invalid accidentals');
+    }
+
+    const originalKey = resolveMusicKey(music);
+    if (transposeTo !== undefined && !originalKey) {
+      throw new Error('Music key unknown');
+    }
+
+    const toSounding = transposeTo !== undefined
+      ? semitonesBetween(originalKey, transposeTo)
+      : 0;
+    const semitones = toSounding - capo;
+
+    // Grafia da tonalidade pedida ("Gb" vs "F#") vale para o resultado
+    const soundingKey = originalKey
+      ? transposeKey(originalKey, toSounding, keyPrefersFlats(transposeTo ?? originalKey))
+      : null;
+    let shapeKey = soundingKey;
+    if (soundingKey && capo > 0) {
+      // Tom dos shapes segue a armadura de clave, não a grafia pedida
+      const shape = parseKey(transposeKey(soundingKey, -capo, false));
+      shapeKey = transposeKey(soundingKey, -capo, keyPrefersFlats({ ...shape, accidental: null }));
+    }
+
+    const preferFlats = accidentals
+      ? accidentals === 'flat'
+      : keyPrefersFlats(shapeKey);
+
+    return {
+      ...music,
+      key: soundingKey ?? music.key,
+      chords: transposeText(music.chords, semitones, { preferFlats }),
+      transposition: {
+        originalKey,
+        key: soundingKey,
+        capo,
+        shapeKey,
+        semitones,
+      },
+    };
+  }
+
+  /**
+   * Lista todas as músicas (includeLyrics: false = sem letra e acordes)
+   *
+   * `total` conta todas as músicas dos filtros; as demais páginas vêm de
+   * `nextCursor`/`prevCursor` (ver utils/paginationUtils.mjs).
    */
-  static async getAllMusic(options = {}) {
+  static async getAllMusic({ includeLyrics = true, limit, offset, cursor, genre, categoryId } = {}) {
     try {
-      return await MusicModel.findAll(options);
+      const pageSize = clampLimit(limit);
+      const [page, total] = await Promise.all([
+        MusicModel.findAll({ limit: pageSize, offset: offset || 0, cursor, genre, categoryId }),
+        MusicModel.count({ genre, categoryId }),
+      ]);
+
+      return {
+        results: includeLyrics ? page.results : page.results.map(omitLyrics),
+        total,
+        limit: pageSize,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      };
     } catch (error) {
       logger.error('Failed to get all music', { error: error.message });
       throw error;
@@ -34,10 +444,14 @@ export class MusicService {
 
   /**
    * Cria nova música
+   *
+   * `id` é aceito só do sync (ID gerado offline); um `id` em `data` é ignorado.
    */
-  static async createMusic(data) {
+  static async createMusic(data, { userId, id } = {}) {
     try {
-      const music = await MusicModel.create(data);
+      await assertCategoryExists(data.categoryId);
+
+      const music = await MusicModel.create(resolveLyricsFields(data), { userId, id });
       logger.info('Music created', { musicId: music.id });
       return music;
     } catch (error) {
@@ -48,31 +462,633 @@ export class MusicService {
 
   /**
    * Atualiza música
+   *
+   * Com `expectedVersion`, lança 'Version conflict' (com `current` = cópia
+   * atual do servidor) se a música foi alterada por outra pessoa.
+   * `userId` fica registrado como autor da revisão.
+   */
+  static async updateMusic(musicId, data, expectedVersion, { userId } = {}) {
+    try {
+      await assertCategoryExists(data.categoryId);
+
+      const needsCurrent = data.sections !== undefined
+        || data.verseOrder !== undefined
+        || data.lyrics !== undefined;
+      const current = needsCurrent ? await MusicModel.findById(musicId) : null;
+      if (needsCurrent && !current) {
+        throw new Error('Music not found');
+      }
+
+      const fields = resolveLyricsFields(data, current);
+
+      // Arquivo ChordPro importado repete a letra: se ela mudou e a cifra
+      // não veio junto, o arquivo guardado ficaria desatualizado
+      if (
+        fields.lyrics !== undefined
+        && data.chords === undefined
+        && current?.chords
+        && isChordProBody(current.chords)
+        && !chordsMatchLyrics(current.chords, fields.lyrics)
+      ) {
+        fields.chords = null;
+      }
+
+      const music = await MusicModel.update(musicId, fields, { expectedVersion, userId });
+
+      if (!music) {
+        const latest = await MusicModel.findById(musicId);
+
+        if (!latest) {
+          throw new Error('Music not found');
+        }
+
+        throw versionConflictError(expectedVersion, latest);
+      }
+
+      logger.info('Music updated', { musicId, version: music.version });
+      return music;
+    } catch (error) {
+      if (error.message === 'Version conflict') {
+        logger.warn('Music update rejected by version conflict', {
+          musicId,
+          expectedVersion,
+          currentVersion: error.current.version,
+        });
+      } else {
+        logger.error('Failed to update music', { musicId, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Importa música de arquivo ChordPro
+   *
+   * `overrides` (ex: categoryId, genre, tags) completa ou substitui
+   * os metadados lidos do arquivo.
+   */
+  static async importChordPro(content, overrides = {}, { userId } = {}) {
+    try {
+      if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('ChordPro content is required');
+      }
+
+      const parsed = parseChordPro(content);
+      const data = { ...parsed, ...overrides };
+
+      if (!data.title) {
+        throw new Error('ChordPro file has no title');
+      }
+      if (!data.lyrics) {
+        throw new Error('ChordPro file has no lyrics');
+      }
+
+      const music = await this.createMusic(data, { userId });
+      logger.info('Music imported from ChordPro', { musicId: music.id });
+      return music;
+    } catch (error) {
+      logger.error('Failed to import ChordPro', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Exporta música em um formato de arquivo
+   *
+   * Retorna { filename, contentType, content }.
+   */
+  static async exportMusic(musicId, format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      const error = new Error('Unsupported export format');
+      error.supported = Object.keys(EXPORT_FORMATS);
+      throw error;
+    }
+
+    const music = await this.getMusicById(musicId);
+
+    return {
+      filename: uniqueFilename(music, exporter.extension, new Set()),
+      contentType: exporter.contentType,
+      content: exporter.render(music),
+    };
+  }
+
+  /**
+   * Exporta coleção (todo o catálogo ou filtrado) como ZIP, um arquivo
+   * por música
+   */
+  static async exportCollection(format, { categoryId, genre } = {}) {
+    try {
+      const exporter = EXPORT_FORMATS[format];
+      if (!exporter) {
+        const error = new Error('Unsupported export format');
+        error.supported = Object.keys(EXPORT_FORMATS);
+        throw error;
+      }
+
+      const musics = await MusicModel.findForExport({ categoryId, genre });
+      const usedNames = new Set();
+
+      const files = musics.map(music => ({
+        name: uniqueFilename(music, exporter.extension, usedNames),
+        content: exporter.render(music),
+      }));
+
+      logger.info('Music collection exported', { format, count: files.length, categoryId, genre });
+
+      return {
+        filename: `cantico-novo-${format}.zip`,
+        contentType: 'application/zip',
+        content: createZip(files),
+        count: files.length,
+      };
+    } catch (error) {
+      logger.error('Failed to export music collection', { format, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Importa documentos OpenLyrics ([{ name, content }])
+   *
+   * Cada música é importada de forma independente; falhas são
+   * reportadas por documento sem interromper as demais.
+   */
+  static async importOpenLyrics(documents, overrides = {}, { userId } = {}) {
+    const imported = [];
+    const failed = [];
+
+    for (const document of documents) {
+      let songs;
+      try {
+        songs = parseOpenLyrics(document.content);
+      } catch (error) {
+        failed.push({ source: document.name, error: error.message, details: error.details });
+        continue;
+      }
+
+      for (const song of songs) {
+        try {
+          if (!song.title) {
+            throw new Error('OpenLyrics song has no title');
+          }
+          if (!song.lyrics) {
+            throw new Error('OpenLyrics song has no lyrics');
+          }
+
+          const music = await this.createMusic({ ...song, ...overrides }, { userId });
+          imported.push({ source: document.name, id: music.id, title: music.title });
+        } catch (error) {
+          failed.push({ source: document.name, title: song.title, error: error.message });
+        }
+      }
+    }
+
+    logger.info('OpenLyrics import processed', {
+      documents: documents.length,
+      imported: imported.length,
+      failed: failed.length,
+    });
+
+    return { imported, failed };
+  }
+
+  /**
+   * Importação em lote (linhas de CSV ou JSON)
+   *
+   * Todas as linhas são validadas antes de gravar; duplicatas (mesmo
+   * título + artista normalizados, no catálogo ou no próprio arquivo) são
+   * ignoradas, ou tratadas como erro com `onDuplicate: 'error'`. Com
+   * `dryRun`, apenas o relatório é gerado; caso contrário tudo é gravado
+   * em uma única transação, e qualquer linha inválida cancela a importação
+   * ('Import has invalid rows', com `report`).
+   *
+   * Linhas são numeradas a partir de 1; `rowNumbers` troca essa numeração
+   * pela do arquivo de origem (linhas do CSV, contando cabeçalho e linhas
+   * em branco).
+   */
+  static async bulkImport(rows, { dryRun = false, onDuplicate = 'skip', defaults = {}, rowNumbers, userId } = {}) {
+    try {
+      if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('Import has no rows');
+      }
+      if (rows.length > config.IMPORT_MAX_ROWS) {
+        const error = new Error('Too many rows');
+        error.max = config.IMPORT_MAX_ROWS;
+        throw error;
+      }
+      if (!['skip', 'error'].includes(onDuplicate)) {
+        throw new Error('Invalid onDuplicate option');
+      }
+      if (defaults === null || typeof defaults !== 'object' || Array.isArray(defaults)) {
+        throw new Error('Invalid defaults');
+      }
+
+      // `defaults` passa pelas mesmas colunas permitidas que as linhas
+      const rowDefaults = normalizeImportRow(defaults);
+      const items = rows.map(row => ({ ...rowDefaults, ...normalizeImportRow(row) }));
+
+      const categories = new Map();
+      for (const data of items) {
+        if (data.categoryId !== undefined && !categories.has(data.categoryId)) {
+          categories.set(data.categoryId, Boolean(await CategoryModel.findById(data.categoryId)));
+        }
+      }
+
+      const existing = new Map(
+        (await MusicModel.findAllTitles()).map(music => [duplicateKey(music.title, music.artist), music.id])
+      );
+      const seen = new Map();
+
+      const valid = [];
+      const errors = [];
+      const duplicates = [];
+
+      for (const [index, item] of items.entries()) {
+        const rowNumber = rowNumbers?.[index] ?? index + 1;
+        let data = item;
+        const rowErrors = validateImportRow(data, categoryId => categories.get(categoryId));
+
+        if (rowErrors.length === 0) {
+          try {
+            data = resolveLyricsFields(data);
+          } catch (error) {
+            rowErrors.push({ field: 'sections', message: error.message });
+          }
+        }
+
+        if (rowErrors.length > 0) {
+          errors.push(...rowErrors.map(rowError => ({ row: rowNumber, ...rowError })));
+          continue;
+        }
+
+        const key = duplicateKey(data.title, data.artist);
+        const duplicate = existing.has(key)
+          ? { row: rowNumber, title: data.title, artist: data.artist ?? null, existingId: existing.get(key) }
+          : seen.has(key)
+            ? { row: rowNumber, title: data.title, artist: data.artist ?? null, duplicateOfRow: seen.get(key) }
+            : null;
+
+        if (duplicate) {
+          duplicates.push(duplicate);
+          if (onDuplicate === 'error') {
+            errors.push({ row: rowNumber, field: 'title', message: 'Duplicate music' });
+          }
+          continue;
+        }
+
+        seen.set(key, rowNumber);
+        valid.push({ row: rowNumber, data });
+      }
+
+      const report = {
+        dryRun,
+        total: rows.length,
+        valid: valid.length,
+        invalid: new Set(errors.map(error => error.row)).size,
+        duplicates,
+        errors,
+        imported: [],
+      };
+
+      if (dryRun) {
+        return report;
+      }
+
+      if (errors.length > 0) {
+        const error = new Error('Import has invalid rows');
+        error.report = report;
+        throw error;
+      }
+
+      const ids = await MusicModel.createMany(valid.map(item => item.data), { userId });
+      report.imported = valid.map((item, index) => ({ row: item.row, id: ids[index], title: item.data.title }));
+
+      logger.info('Bulk music import completed', {
+        total: rows.length,
+        imported: ids.length,
+        duplicates: duplicates.length,
+        userId,
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Failed to bulk import music', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Procura grupos de prováveis duplicatas
+   *
+   * Pares com pontuação >= `threshold` são agrupados (se A~B e B~C, os três
+   * ficam no mesmo grupo). A canônica sugerida é a mais acessada (e, no
+   * empate, a mais antiga).
+   */
+  static async findDuplicates({ threshold = 0.75, limit = 50 } = {}) {
+    try {
+      const musics = (await MusicModel.findForDuplicateScan()).map(music => ({
+        ...music,
+        words: wordSet(music.lyrics),
+      }));
+
+      // Union-find para juntar pares em grupos
+      const parent = musics.map((_, index) => index);
+      const find = (index) => {
+        while (parent[index] !== index) {
+          parent[index] = parent[parent[index]];
+          index = parent[index];
+        }
+        return index;
+      };
+
+      const pairs = [];
+      for (const [i, j] of duplicateCandidatePairs(musics)) {
+        const result = scoreDuplicatePair(musics[i], musics[j]);
+        if (result.score < threshold) continue;
+
+        pairs.push({ i, j, ...result });
+        parent[find(i)] = find(j);
+      }
+
+      const groups = new Map();
+      for (const pair of pairs) {
+        const root = find(pair.i);
+        if (!groups.has(root)) groups.set(root, { members: new Set(), pairs: [] });
+        const group = groups.get(root);
+        group.members.add(pair.i).add(pair.j);
+        group.pairs.push(pair);
+      }
+
+      const results = [...groups.values()]
+        .map(({ members, pairs: groupPairs }) => {
+          const music = [...members]
+            .map(index => musics[index])
+            .sort((a, b) => b.access_count - a.access_count
+              || String(a.created_at).localeCompare(String(b.created_at)))
+            .map(({ id, title, artist, category_id, access_count, created_at }) => ({
+              id, title, artist, category_id, access_count, created_at,
+            }));
+
+          return {
+            score: Math.max(...groupPairs.map(pair => pair.score)),
+            suggestedCanonicalId: music[0].id,
+            music,
+            pairs: groupPairs.map(({ i, j, ...scores }) => ({
+              musicIds: [musics[i].id, musics[j].id],
+              ...scores,
+            })),
+          };
+        })
+        .sort((a, b) => b.score - a.score);
+
+      return {
+        threshold,
+        total: results.length,
+        groups: results.slice(0, limit),
+      };
+    } catch (error) {
+      logger.error('Failed to find duplicate music', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mescla duplicatas em uma música canônica
+   *
+   * Retorna a música canônica atualizada e quantos registros foram movidos.
+   */
+  static async mergeMusic(canonicalId, duplicateIds, { userId } = {}) {
+    try {
+      if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+        throw new Error('duplicateIds must be a non-empty array');
+      }
+
+      const ids = [...new Set(duplicateIds.map(String))];
+      if (ids.includes(canonicalId)) {
+        throw new Error('Cannot merge music into itself');
+      }
+
+      await this.getMusicById(canonicalId);
+
+      const found = await MusicModel.findByIds(ids);
+      const missing = ids.filter(id => !found.some(music => music.id === id));
+      if (missing.length > 0) {
+        const error = new Error('Duplicate music not found');
+        error.missing = missing;
+        throw error;
+      }
+
+      const moved = await MusicModel.merge(canonicalId, ids, userId);
+
+      logger.info('Music merged', { canonicalId, duplicateIds: ids, moved, userId });
+
+      return {
+        music: await MusicModel.findById(canonicalId),
+        merged: ids,
+        moved,
+      };
+    } catch (error) {
+      logger.error('Failed to merge music', { canonicalId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lista revisões da música (mais recente primeiro)
+   */
+  static async listRevisions(musicId, { limit, offset = 0 } = {}) {
+    try {
+      await this.getMusicById(musicId);
+
+      const [revisions, total] = await Promise.all([
+        MusicRevisionModel.findByMusic(musicId, { limit: clampLimit(limit), offset }),
+        MusicRevisionModel.countByMusic(musicId),
+      ]);
+
+      return { revisions, total };
+    } catch (error) {
+      logger.error('Failed to list music revisions', { musicId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca revisão com o snapshot completo
+   */
+  static async getRevision(musicId, revision) {
+    const result = await MusicRevisionModel.findByRevision(musicId, revision);
+
+    if (!result) {
+      throw new Error('Revision not found');
+    }
+
+    return result;
+  }
+
+  /**
+   * Compara duas revisões
+   *
+   * `to` padrão: revisão mais recente; `from` padrão: a anterior a `to`.
+   * Letra e cifra são comparadas linha a linha; demais campos trazem
+   * { from, to }.
+   */
+  static async diffRevisions(musicId, { from, to } = {}) {
+    try {
+      const target = to !== undefined
+        ? await this.getRevision(musicId, to)
+        : await MusicRevisionModel.findLatest(musicId);
+
+      if (!target) {
+        throw new Error('Revision not found');
+      }
+
+      const base = from !== undefined
+        ? await this.getRevision(musicId, from)
+        : await MusicRevisionModel.findPrevious(musicId, target.revision);
+
+      const before = base?.snapshot ?? {};
+      const after = target.snapshot;
+      const changes = {};
+
+      for (const field of Object.keys(REVISION_DATA_FIELDS)) {
+        const fromValue = before[field] ?? null;
+        const toValue = after[field] ?? null;
+        if (JSON.stringify(fromValue) === JSON.stringify(toValue)) continue;
+
+        changes[field] = LINE_DIFF_FIELDS.has(field)
+          ? { lines: diffLines(fromValue, toValue) }
+          : { from: fromValue, to: toValue };
+      }
+
+      return {
+        musicId,
+        from: base ? base.revision : null,
+        to: target.revision,
+        changedFields: Object.keys(changes),
+        changes,
+      };
+    } catch (error) {
+      logger.error('Failed to diff music revisions', { musicId, from, to, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Restaura o conteúdo de uma revisão (gera uma nova revisão)
+   *
+   * Sem `expectedVersion`, usa a versão lida no início da operação.
    */
-  static async updateMusic(musicId, data) {
+  static async restoreRevision(musicId, revision, { userId, expectedVersion } = {}) {
     try {
-      const music = await MusicModel.update(musicId, data);
-      logger.info('Music updated', { musicId });
+      const current = await this.getMusicById(musicId);
+      const { snapshot } = await this.getRevision(musicId, revision);
+
+      await assertCategoryExists(snapshot.category_id ?? null);
+
+      const data = Object.fromEntries(
+        Object.entries(REVISION_DATA_FIELDS).map(([field, dataField]) => [dataField, snapshot[field] ?? null])
+      );
+
+      const version = expectedVersion ?? current.version;
+      const music = await MusicModel.update(musicId, data, { expectedVersion: version, userId });
+
+      if (!music) {
+        const latest = await MusicModel.findById(musicId);
+        if (!latest) {
+          throw new Error('Music not found');
+        }
+        throw versionConflictError(version, latest);
+      }
+
+      logger.info('Music revision restored', { musicId, revision, version: music.version });
       return music;
     } catch (error) {
-      logger.error('Failed to update music', { musicId, error: error.message });
+      logger.error('Failed to restore music revision', { musicId, revision, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Deleta música
+   * Move música para a lixeira
+   *
+   * A remoção definitiva acontece em `purgeTrash`, após o período de
+   * retenção; até lá a música pode ser restaurada.
    */
-  static async deleteMusic(musicId) {
+  static async deleteMusic(musicId, { userId } = {}) {
     try {
-      await MusicModel.delete(musicId);
-      logger.info('Music deleted', { musicId });
+      const deleted = await MusicModel.moveToTrash(musicId, userId);
+
+      if (!deleted) {
+        throw new Error('Music not found');
+      }
+
+      logger.info('Music moved to trash', { musicId, userId });
     } catch (error) {
       logger.error('Failed to delete music', { musicId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Lista músicas na lixeira
+   */
+  static async listTrash({ limit, offset = 0 } = {}) {
+    try {
+      const [results, total] = await Promise.all([
+        MusicModel.findTrash({ limit: clampLimit(limit), offset }),
+        MusicModel.countTrash(),
+      ]);
+
+      return {
+        results,
+        total,
+        retentionDays: config.MUSIC_TRASH_RETENTION_DAYS,
+      };
+    } catch (error) {
+      logger.error('Failed to list music trash', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Restaura música da lixeira
+   */
+  static async restoreMusic(musicId) {
+    try {
+      const restored = await MusicModel.restoreFromTrash(musicId);
+
+      if (!restored) {
+        throw new Error('Music not found in trash');
+      }
+
+      logger.info('Music restored from trash', { musicId });
+      return await MusicModel.findById(musicId);
+    } catch (error) {
+      logger.error('Failed to restore music', { musicId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove definitivamente músicas na lixeira há mais tempo que a retenção
+   */
+  static async purgeTrash(retentionDays = config.MUSIC_TRASH_RETENTION_DAYS) {
+    try {
+      const purged = await MusicModel.purgeTrash(retentionDays);
+
+      if (purged.length > 0) {
+        logger.info('Music trash purged', { count: purged.length, retentionDays });
+      }
+
+      return purged;
+    } catch (error) {
+      logger.error('Failed to purge music trash', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Registra acesso à música
    */
@@ -0,0 +1,168 @@
+import { QuickAccessModel } from '../models/quickAccessModel.mjs';
+import { MusicModel } from '../models/musicModel.mjs';
+import { AnalyticsService } from './analyticsService.mjs';
+import { logger } from '../utils/logger.mjs';
+
+/**
+ * Resolve expiração a partir de `expiresAt` (ISO) ou `ttlHours`
+ * (null = item fixo, sem expiração)
+ */
+function resolveExpiresAt({ expiresAt, ttlHours }) {
+  if (ttlHours !== undefined && ttlHours !== null) {
+    if (typeof ttlHours !== 'number' || !(ttlHours > 0)) {
+      throw new Error('Invalid expiration');
+    }
+    return new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw new Error('Invalid expiration');
+    }
+    return date.toISOString();
+  }
+
+  return null;
+}
+
+export class QuickAccessService {
+  /**
+   * Lista acesso rápido do usuário (sem itens expirados)
+   */
+  static async listItems(userId) {
+    try {
+      return await QuickAccessModel.findActiveByUser(userId);
+    } catch (error) {
+      logger.error('Failed to list quick access', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Fixa música no acesso rápido
+   *
+   * Sem `position`, o item vai para o fim da lista. Se a música já
+   * estiver fixada, posição e expiração são atualizadas.
+   */
+  static async addItem(userId, { musicId, position, expiresAt, ttlHours } = {}) {
+    try {
+      if (!musicId) {
+        throw new Error('musicId is required');
+      }
+      if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+        throw new Error('Invalid position');
+      }
+
+      const expiration = resolveExpiresAt({ expiresAt, ttlHours });
+
+      const music = await MusicModel.findById(musicId);
+      if (!music) {
+        throw new Error('Music not found');
+      }
+
+      const targetPosition = position ?? (await QuickAccessModel.getMaxPosition(userId)) + 1;
+
+      const item = await QuickAccessModel.upsert({
+        userId,
+        musicId,
+        position: targetPosition,
+        expiresAt: expiration,
+      });
+
+      await AnalyticsService.trackQuickAccessAdd(userId, musicId, item.position);
+
+      logger.info('Quick access item added', { userId, musicId, itemId: item.id });
+      return item;
+    } catch (error) {
+      logger.error('Failed to add quick access item', {
+        userId,
+        musicId,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove item do acesso rápido
+   */
+  static async removeItem(userId, itemId) {
+    try {
+      const item = await QuickAccessModel.findById(userId, itemId);
+      if (!item) {
+        throw new Error('Quick access item not found');
+      }
+
+      await QuickAccessModel.delete(userId, itemId);
+      await AnalyticsService.trackQuickAccessAction(userId, item.music_id, 'remove', item.position);
+
+      logger.info('Quick access item removed', { userId, itemId });
+      return item;
+    } catch (error) {
+      logger.error('Failed to remove quick access item', {
+        userId,
+        itemId,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reordena acesso rápido
+   *
+   * `itemIds` deve listar todos os itens ativos do usuário, na nova ordem.
+   */
+  static async reorderItems(userId, itemIds) {
+    try {
+      if (!Array.isArray(itemIds) || new Set(itemIds).size !== itemIds.length) {
+        throw new Error('Invalid order');
+      }
+
+      const current = await QuickAccessModel.findActiveByUser(userId);
+      const currentIds = new Set(current.map(item => item.id));
+
+      if (itemIds.length !== currentIds.size || !itemIds.every(id => currentIds.has(id))) {
+        const error = new Error('Invalid order');
+        error.expected = [...currentIds];
+        throw error;
+      }
+
+      const moved = await QuickAccessModel.reorder(userId, itemIds);
+
+      for (const item of moved) {
+        await AnalyticsService.trackQuickAccessAction(userId, item.music_id, 'reorder', item.position);
+      }
+
+      logger.info('Quick access reordered', { userId, moved: moved.length });
+      return await QuickAccessModel.findActiveByUser(userId);
+    } catch (error) {
+      logger.error('Failed to reorder quick access', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove itens expirados (de um usuário ou, sem userId, de todos)
+   *
+   * Cada remoção é registrada como 'remove' em quick_access_log.
+   */
+  static async expireItems(userId = null) {
+    try {
+      const expired = await QuickAccessModel.deleteExpired(userId);
+
+      for (const item of expired) {
+        await AnalyticsService.trackQuickAccessAction(item.user_id, item.music_id, 'remove', item.position);
+      }
+
+      if (expired.length > 0) {
+        logger.info('Expired quick access items removed', { userId, count: expired.length });
+      }
+      return expired;
+    } catch (error) {
+      logger.error('Failed to expire quick access items', { userId, error: error.message });
+      throw error;
+    }
+  }
+}
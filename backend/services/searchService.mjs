@@ -1,14 +1,195 @@
 import { MusicModel } from '../models/musicModel.mjs';
 import { SearchHistoryModel } from '../models/searchHistoryModel.mjs';
+import { CategoryModel } from '../models/categoryModel.mjs';
+import { CollectionService } from './collectionService.mjs';
 import { config } from '../config/env.mjs';
+import { fuzzySearchText } from '../utils/ftsQueryUtils.mjs';
+import { bigramSimilarity, phraseSimilarity } from '../utils/similarityUtils.mjs';
+import { normalizeText } from '../utils/textUtils.mjs';
+import { omitLyrics } from '../utils/lyricsUtils.mjs';
+import { formatHighlight } from '../utils/highlightUtils.mjs';
+import { clampLimit } from '../utils/paginationUtils.mjs';
+import { MUSIC_GENRES, MUSIC_TEMPOS, isValidMusicKey } from '../utils/validators.mjs';
 import { logger } from '../utils/logger.mjs';
 
+// Candidatas do índice de trigramas avaliadas por busca aproximada
+const FUZZY_MAX_CANDIDATES = 100;
+
+export const SEARCH_SORTS = ['relevance', 'popular', 'recent', 'alpha'];
+
+// Filtros de POST /api/search → campo da música e validação dos valores
+const SEARCH_FILTERS = {
+  genre: { field: 'genre', isValid: value => MUSIC_GENRES.includes(value) },
+  tempo: { field: 'tempo', isValid: value => MUSIC_TEMPOS.includes(value) },
+  key: { field: 'key', isValid: isValidMusicKey },
+  categoryId: { field: 'category_id', isValid: () => true },
+  tags: { field: 'tags', isValid: () => true },
+};
+
+/**
+ * Valida filtros ({ genre: 'hino' } ou { genre: ['hino', 'louvor'] });
+ * cada valor deve ser string ou lista de strings
+ * e devolve cada filtro como lista de valores distintos
+ */
+function normalizeFilters(filters) {
+  if (filters === undefined || filters === null) return {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Invalid filters');
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(filters)) {
+    const filter = SEARCH_FILTERS[name];
+    if (!filter) {
+      const error = new Error('Invalid filters');
+      error.filter = name;
+      throw error;
+    }
+
+    const items = (Array.isArray(value) ? value : [value])
+      .filter(item => item !== null && item !== undefined);
+
+    // Objetos e números virariam "[object Object]" / "12" e nunca casariam
+    const invalidType = items.find(item => typeof item !== 'string');
+    if (invalidType !== undefined) {
+      const error = new Error('Invalid filter value');
+      error.filter = name;
+      error.value = invalidType;
+      throw error;
+    }
+
+    const values = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+
+    const invalid = values.find(item => !filter.isValid(item));
+    if (invalid !== undefined) {
+      const error = new Error('Invalid filter value');
+      error.filter = name;
+      error.value = invalid;
+      throw error;
+    }
+
+    if (values.length > 0) normalized[name] = values;
+  }
+
+  return normalized;
+}
+
+/**
+ * Valores da música para um filtro (tags pode ter vários)
+ */
+function filterValues(music, name) {
+  const value = music[SEARCH_FILTERS[name].field];
+  if (Array.isArray(value)) return value;
+  return value === null || value === undefined ? [] : [value];
+}
+
+/**
+ * Música atende aos filtros (ignorando `skip`, usado nas contagens)
+ */
+function matchesFilters(music, filters, skip = null) {
+  return Object.entries(filters).every(([name, values]) =>
+    name === skip || filterValues(music, name).some(value => values.includes(value))
+  );
+}
+
+/**
+ * Contagem por valor de cada filtro ("Hinos (42) · Louvor (17)")
+ *
+ * A contagem de um filtro considera os demais filtros aplicados, mas não
+ * ele mesmo: marcar "hino" não zera as contagens dos outros gêneros.
+ */
+function countFacets(rows, filters) {
+  const facets = {};
+
+  for (const name of Object.keys(SEARCH_FILTERS)) {
+    const counts = new Map();
+
+    for (const row of rows) {
+      if (!matchesFilters(row, filters, name)) continue;
+      for (const value of filterValues(row, name)) {
+        const entry = counts.get(value) || { value, count: 0 };
+        if (name === 'categoryId') entry.name = row.category_name;
+        entry.count++;
+        counts.set(value, entry);
+      }
+    }
+
+    facets[name] = [...counts.values()].sort((a, b) =>
+      b.count - a.count || String(a.value).localeCompare(String(b.value))
+    );
+  }
+
+  return facets;
+}
+
+// Ordem dos hinos encontrados por número para cada `sort` (relevance
+// mantém a ordem das coleções)
+const HYMN_SORTS = {
+  relevance: () => 0,
+  popular: (a, b) => (b.access_count || 0) - (a.access_count || 0),
+  recent: (a, b) => String(b.created_at ?? '').localeCompare(String(a.created_at ?? '')),
+  alpha: (a, b) => a.title.localeCompare(b.title, 'pt-BR', { sensitivity: 'base' }),
+};
+
+/**
+ * Troca cada palavra da consulta pela mais parecida do texto encontrado
+ * ("grandiozo es tu" + "Grandioso És Tu" → "grandioso és tu")
+ *
+ * Retorna null se nada mudar além de acentos.
+ */
+function suggestCorrection(query, matchedText) {
+  const textWords = String(matchedText).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (textWords.length === 0) return null;
+
+  const corrected = query.split(' ').map(word => {
+    let best = word;
+    let bestScore = 0;
+    for (const candidate of textWords) {
+      const score = bigramSimilarity(word, candidate);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    return bestScore >= config.SEARCH_FUZZY_THRESHOLD ? best : word;
+  }).join(' ');
+
+  return normalizeText(corrected) === normalizeText(query) ? null : corrected;
+}
+
 export class SearchService {
   /**
    * Busca músicas
+   *
+   * Consultas como "15" ou "HC 15" que batem com um hino numerado são
+   * resolvidas direto pela coleção (com os mesmos filtros, ordenação e
+   * facetas); se nada bater, segue a busca por texto.
+   * Com poucos resultados na primeira página, a busca aproximada completa
+   * a lista (resultados com `fuzzy: true`) e sugere `didYouMean`.
+   *
+   * Cada resultado traz `match` (campos que casaram e trechos com os termos
+   * em <mark>) e `score`; com `includeLyrics: false`, letra e acordes ficam
+   * de fora. `sort` (SEARCH_SORTS) muda a ordem; a relevância considera
+   * também a popularidade e o histórico de acessos de `userId`.
+   * `filters` (gênero, andamento, tom, categoria, tags) restringem os
+   * resultados e `facets` traz a contagem por valor de cada filtro.
+   * `total` conta todas as músicas encontradas; as outras páginas vêm de
+   * `nextCursor`/`prevCursor` (passados de volta em `cursor`).
    */
   static async searchMusic(query, userId, options = {}) {
     try {
+      const { includeLyrics = true, sort = 'relevance' } = options;
+
+      if (!SEARCH_SORTS.includes(sort)) {
+        throw new Error('Invalid sort');
+      }
+      const filters = normalizeFilters(options.filters);
+
+      const hymns = await this.searchByHymnNumber(query, userId, { sort, filters });
+      if (hymns) {
+        return includeLyrics ? hymns : { ...hymns, results: hymns.results.map(omitLyrics) };
+      }
+
       // Validação
       if (query.length < config.SEARCH_MIN_QUERY_LENGTH) {
         throw new Error(
@@ -16,14 +197,30 @@ export class SearchService {
         );
       }
 
-      const limit = Math.min(
-        options.limit || config.DEFAULT_PAGE_SIZE,
-        config.SEARCH_MAX_RESULTS
-      );
+      const limit = Math.min(clampLimit(options.limit), config.SEARCH_MAX_RESULTS);
       const offset = options.offset || 0;
+      const { cursor } = options;
 
       // Busca no banco
-      const results = await MusicModel.search(query, { limit, offset });
+      const [page, facetRows] = await Promise.all([
+        MusicModel.search(query, { limit, offset, cursor, sort, userId, filters }),
+        MusicModel.findSearchFacetRows(query),
+      ]);
+      const facets = countFacets(facetRows, filters);
+      let total = facetRows.filter(row => matchesFilters(row, filters)).length;
+      let results = page.results.map(music => ({ ...music, fuzzy: false }));
+      let didYouMean = null;
+
+      if (!cursor && offset === 0 && results.length < config.SEARCH_FUZZY_MIN_RESULTS) {
+        const fuzzy = await this.searchFuzzy(query, {
+          limit: limit - results.length,
+          excludeIds: new Set(results.map(music => music.id)),
+          filters,
+        });
+        results = results.concat(fuzzy.results);
+        total += fuzzy.results.length;
+        didYouMean = fuzzy.didYouMean;
+      }
 
       // Registra no histórico (async, não bloqueia resposta)
       if (userId) {
@@ -36,16 +233,24 @@ export class SearchService {
         query,
         userId,
         resultsCount: results.length,
+        fuzzyCount: results.length - page.results.length,
+        total,
         limit,
         offset,
       });
 
       return {
-        results,
-        total: results.length,
+        results: includeLyrics ? results : results.map(omitLyrics),
+        total,
         query,
         limit,
         offset,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+        sort,
+        filters,
+        facets,
+        didYouMean,
       };
     } catch (error) {
       logger.error('Search failed', {
@@ -57,6 +262,130 @@ export class SearchService {
     }
   }
 
+  /**
+   * Busca aproximada por título e primeira linha (tolera erros de digitação)
+   *
+   * Candidatas vêm do índice de trigramas e ficam as que passam de
+   * SEARCH_FUZZY_THRESHOLD. `didYouMean` é a consulta corrigida pela
+   * melhor candidata, mesmo que ela já esteja em `excludeIds`.
+   */
+  static async searchFuzzy(query, { limit, excludeIds = new Set(), filters = {} } = {}) {
+    const text = fuzzySearchText(query);
+    if (!text) return { results: [], didYouMean: null };
+
+    const candidates = await MusicModel.findFuzzyCandidates(text, FUZZY_MAX_CANDIDATES);
+
+    const scored = candidates
+      .map(candidate => {
+        const titleScore = phraseSimilarity(text, candidate.title);
+        const lineScore = candidate.first_line ? phraseSimilarity(text, candidate.first_line) : 0;
+        return titleScore >= lineScore
+          ? { id: candidate.id, score: titleScore, field: 'title', matchedText: candidate.title }
+          : { id: candidate.id, score: lineScore, field: 'lyrics', matchedText: candidate.first_line };
+      })
+      .filter(candidate => candidate.score >= config.SEARCH_FUZZY_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+
+    const didYouMean = scored.length > 0
+      ? suggestCorrection(text, scored[0].matchedText)
+      : null;
+
+    const remaining = scored.filter(candidate => !excludeIds.has(candidate.id));
+    const songs = await MusicModel.findByIds(remaining.map(candidate => candidate.id));
+    const songsById = new Map(
+      songs.filter(song => matchesFilters(song, filters)).map(song => [song.id, song])
+    );
+
+    const results = remaining
+      .filter(candidate => songsById.has(candidate.id))
+      .slice(0, limit)
+      .map(candidate => {
+        const music = songsById.get(candidate.id);
+        return {
+          ...music,
+          fuzzy: true,
+          fuzzyScore: Math.round(candidate.score * 100) / 100,
+          // Aproximado: sem termos a destacar, só o campo e a linha parecida
+          match: {
+            fields: [candidate.field],
+            title: formatHighlight(music.title),
+            artist: formatHighlight(music.artist),
+            snippet: candidate.field === 'lyrics' ? formatHighlight(candidate.matchedText) : null,
+          },
+        };
+      });
+
+    return { results, didYouMean };
+  }
+
+  /**
+   * Resolve número de hino ("15", "HC 15") para as músicas das coleções
+   *
+   * `filters` e `sort` valem como na busca por texto e `facets` conta os
+   * hinos encontrados. Retorna null se a consulta não corresponde a nenhum
+   * hino (com filtros que excluem todos, retorna lista vazia).
+   */
+  static async searchByHymnNumber(query, userId, { sort = 'relevance', filters = {} } = {}) {
+    const matches = await CollectionService.findByReference(query);
+    if (matches.length === 0) return null;
+
+    const songs = await MusicModel.findByIds([...new Set(matches.map(m => m.music_id))]);
+    const songsById = new Map(songs.map(song => [song.id, song]));
+
+    // Facetas de categoria mostram o nome, que não vem em findByIds
+    const categoryIds = [...new Set(songs.map(song => song.category_id).filter(Boolean))];
+    const categories = await Promise.all(categoryIds.map(id => CategoryModel.findById(id)));
+    const categoryNames = new Map(
+      categories.filter(Boolean).map(category => [category.id, category.name])
+    );
+    const facets = countFacets(
+      songs.map(song => ({ ...song, category_name: categoryNames.get(song.category_id) ?? null })),
+      filters
+    );
+
+    const results = matches
+      .filter(match => songsById.has(match.music_id))
+      .filter(match => matchesFilters(songsById.get(match.music_id), filters))
+      .map(match => ({
+        ...songsById.get(match.music_id),
+        fuzzy: false,
+        collection: {
+          id: match.collection_id,
+          name: match.collection_name,
+          abbreviation: match.abbreviation,
+          number: match.number,
+        },
+      }))
+      .sort(HYMN_SORTS[sort]);
+
+    if (userId) {
+      SearchHistoryModel.create(userId, query, results.length).catch(err => {
+        logger.error('Failed to save search history', { error: err.message });
+      });
+    }
+
+    logger.info('Search resolved by hymn number', {
+      query,
+      userId,
+      resultsCount: results.length,
+    });
+
+    return {
+      results,
+      total: results.length,
+      query,
+      limit: results.length,
+      offset: 0,
+      nextCursor: null,
+      prevCursor: null,
+      sort,
+      filters,
+      facets,
+      didYouMean: null,
+      resolvedFrom: 'collection',
+    };
+  }
+
   /**
    * Busca sugestões (autocomplete)
    */
@@ -82,11 +411,23 @@ export class SearchService {
   }
 
   /**
-   * Busca histórico do usuário
+   * Busca histórico do usuário (paginado por `cursor`)
    */
-  static async getUserHistory(userId, limit = 20) {
+  static async getUserHistory(userId, { limit, cursor } = {}) {
     try {
-      return await SearchHistoryModel.findByUser(userId, limit);
+      const pageSize = clampLimit(limit, 20);
+      const [page, total] = await Promise.all([
+        SearchHistoryModel.findByUser(userId, { limit: pageSize, cursor }),
+        SearchHistoryModel.countByUser(userId),
+      ]);
+
+      return {
+        history: page.results,
+        total,
+        limit: pageSize,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      };
     } catch (error) {
       logger.error('Failed to get user history', {
         userId,
@@ -115,9 +456,9 @@ export class SearchService {
   /**
    * Busca termos mais pesquisados (analytics)
    */
-  static async getTopSearches(limit = 10) {
+  static async getTopSearches(limit) {
     try {
-      return await SearchHistoryModel.getTopSearches(limit);
+      return await SearchHistoryModel.getTopSearches(clampLimit(limit, 10));
     } catch (error) {
       logger.error('Failed to get top searches', { error: error.message });
       throw error;
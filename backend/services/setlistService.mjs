@@ -0,0 +1,359 @@
+import { SetlistModel } from '../models/setlistModel.mjs';
+import { GroupModel } from '../models/groupModel.mjs';
+import { MusicModel } from '../models/musicModel.mjs';
+import { GroupService } from './groupService.mjs';
+import { isValidMusicKey } from '../utils/validators.mjs';
+import { config } from '../config/env.mjs';
+import { logger } from '../utils/logger.mjs';
+
+/**
+ * Valida data de agendamento e a converte para ISO 8601 em UTC (null limpa
+ * o agendamento)
+ *
+ * O valor vai para datetime() do SQLite, que devolve NULL (sem erro) para
+ * formatos que o Date do JS aceita, como "Oct 20 2026" ou "GMT-3".
+ */
+function normalizeScheduledAt(scheduledAt) {
+  if (scheduledAt === undefined || scheduledAt === null) return scheduledAt;
+
+  const date = typeof scheduledAt === 'string' ? new Date(scheduledAt) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error('Invalid scheduledAt');
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Valida título e descrição vindos do body
+ *
+ * Com `requireTitle`, o título não pode faltar nem ficar em branco.
+ */
+function validateSetlistText({ title, description }, { requireTitle }) {
+  if (title !== undefined && title !== null && typeof title !== 'string') {
+    throw new Error('Setlist title must be a string');
+  }
+  if (requireTitle && !title?.trim()) {
+    throw new Error('Setlist title is required');
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw new Error('Setlist description must be a string');
+  }
+}
+
+/**
+ * Valida tom e observações de um item
+ */
+function validateItemFields({ key, notes }) {
+  if (key !== undefined && key !== null && !isValidMusicKey(key)) {
+    throw new Error('Invalid key');
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    throw new Error('Invalid notes');
+  }
+}
+
+export class SetlistService {
+  /**
+   * Lista repertórios do usuário e dos seus grupos
+   */
+  static async listSetlists(userId, { groupId, templates, limit, offset } = {}) {
+    try {
+      if (groupId) {
+        await GroupService.assertMember(groupId, userId);
+      }
+
+      return await SetlistModel.findAccessible(userId, {
+        groupId,
+        templates,
+        limit: Math.min(limit || config.DEFAULT_PAGE_SIZE, config.MAX_PAGE_SIZE),
+        offset: offset || 0,
+      });
+    } catch (error) {
+      logger.error('Failed to list setlists', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Próximos repertórios agendados
+   */
+  static async getUpcoming(userId, { days = 30, limit } = {}) {
+    try {
+      if (!Number.isInteger(days) || days < 1) {
+        throw new Error('Invalid days');
+      }
+
+      return await SetlistModel.findUpcoming(userId, {
+        days,
+        limit: Math.min(limit || 10, config.MAX_PAGE_SIZE),
+      });
+    } catch (error) {
+      logger.error('Failed to get upcoming setlists', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca repertório com itens
+   */
+  static async getSetlist(userId, setlistId) {
+    try {
+      const setlist = await this.getAccessibleSetlist(userId, setlistId);
+      const items = await SetlistModel.findItems(setlistId);
+
+      return { ...setlist, items };
+    } catch (error) {
+      logger.error('Failed to get setlist', { userId, setlistId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cria repertório (do usuário ou, com groupId, do grupo)
+   */
+  static async createSetlist(userId, data = {}) {
+    try {
+      validateSetlistText(data, { requireTitle: true });
+      const scheduledAt = normalizeScheduledAt(data.scheduledAt);
+
+      if (data.groupId) {
+        await GroupService.assertMember(data.groupId, userId);
+      }
+
+      const items = await this.validateItems(data.items || []);
+
+      const setlist = await SetlistModel.create({
+        ...data,
+        scheduledAt,
+        title: data.title.trim(),
+        ownerUserId: userId,
+        createdBy: userId,
+      }, items);
+
+      logger.info('Setlist created', { setlistId: setlist.id, userId, groupId: data.groupId });
+      return await this.getSetlist(userId, setlist.id);
+    } catch (error) {
+      logger.error('Failed to create setlist', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza repertório (com `items`, substitui a lista inteira)
+   */
+  static async updateSetlist(userId, setlistId, data = {}) {
+    try {
+      await this.getAccessibleSetlist(userId, setlistId);
+
+      // Título enviado não pode ficar em branco; ausente mantém o atual
+      validateSetlistText(data, { requireTitle: data.title !== undefined });
+      const scheduledAt = normalizeScheduledAt(data.scheduledAt);
+
+      const items = data.items !== undefined
+        ? await this.validateItems(data.items)
+        : undefined;
+
+      await SetlistModel.update(setlistId, {
+        ...data,
+        scheduledAt,
+        title: data.title?.trim(),
+      }, items);
+
+      logger.info('Setlist updated', { setlistId, userId });
+      return await this.getSetlist(userId, setlistId);
+    } catch (error) {
+      logger.error('Failed to update setlist', { userId, setlistId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove repertório (dono, criador ou owner do grupo)
+   */
+  static async deleteSetlist(userId, setlistId) {
+    try {
+      const setlist = await this.getAccessibleSetlist(userId, setlistId);
+
+      if (setlist.group_id && setlist.created_by !== userId) {
+        const membership = await GroupModel.findMembership(setlist.group_id, userId);
+        if (membership.role !== 'owner') {
+          throw new Error('Only the creator or a group owner can delete this setlist');
+        }
+      }
+
+      await SetlistModel.delete(setlistId);
+
+      logger.info('Setlist deleted', { setlistId, userId });
+    } catch (error) {
+      logger.error('Failed to delete setlist', { userId, setlistId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Adiciona música ao fim do repertório
+   */
+  static async addItem(userId, setlistId, item = {}) {
+    try {
+      await this.getAccessibleSetlist(userId, setlistId);
+      const [validItem] = await this.validateItems([item]);
+
+      const created = await SetlistModel.addItem(setlistId, validItem);
+
+      logger.info('Setlist item added', { setlistId, itemId: created.id, userId });
+      return created;
+    } catch (error) {
+      logger.error('Failed to add setlist item', { userId, setlistId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza tom e/ou observações de um item
+   */
+  static async updateItem(userId, setlistId, itemId, { key, notes } = {}) {
+    try {
+      await this.getAccessibleSetlist(userId, setlistId);
+      validateItemFields({ key, notes });
+
+      const item = await SetlistModel.updateItem(setlistId, itemId, { key, notes });
+      if (!item) {
+        throw new Error('Setlist item not found');
+      }
+
+      return item;
+    } catch (error) {
+      logger.error('Failed to update setlist item', { userId, setlistId, itemId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove item do repertório
+   */
+  static async removeItem(userId, setlistId, itemId) {
+    try {
+      await this.getAccessibleSetlist(userId, setlistId);
+
+      const deleted = await SetlistModel.deleteItem(setlistId, itemId);
+      if (!deleted) {
+        throw new Error('Setlist item not found');
+      }
+
+      logger.info('Setlist item removed', { setlistId, itemId, userId });
+    } catch (error) {
+      logger.error('Failed to remove setlist item', { userId, setlistId, itemId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Reordena itens (`itemIds` deve listar todos os itens, na nova ordem)
+   */
+  static async reorderItems(userId, setlistId, itemIds) {
+    try {
+      await this.getAccessibleSetlist(userId, setlistId);
+
+      const current = await SetlistModel.findItems(setlistId);
+      const currentIds = new Set(current.map(item => item.id));
+
+      if (
+        !Array.isArray(itemIds) ||
+        new Set(itemIds).size !== itemIds.length ||
+        itemIds.length !== currentIds.size ||
+        !itemIds.every(id => currentIds.has(id))
+      ) {
+        const error = new Error('Invalid order');
+        error.expected = [...currentIds];
+        throw error;
+      }
+
+      await SetlistModel.reorder(setlistId, itemIds);
+
+      logger.info('Setlist reordered', { setlistId, userId });
+      return await SetlistModel.findItems(setlistId);
+    } catch (error) {
+      logger.error('Failed to reorder setlist', { userId, setlistId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cria repertório a partir de outro (normalmente um template)
+   */
+  static async duplicateSetlist(userId, sourceId, { title, scheduledAt, groupId } = {}) {
+    try {
+      await this.getAccessibleSetlist(userId, sourceId);
+      // Título em branco usa o do original
+      validateSetlistText({ title }, { requireTitle: false });
+      const normalizedScheduledAt = normalizeScheduledAt(scheduledAt);
+
+      if (groupId) {
+        await GroupService.assertMember(groupId, userId);
+      }
+
+      const setlist = await SetlistModel.duplicate(sourceId, {
+        title: title?.trim() || null,
+        scheduledAt: normalizedScheduledAt,
+        groupId,
+        ownerUserId: userId,
+        createdBy: userId,
+      });
+
+      logger.info('Setlist duplicated', { sourceId, setlistId: setlist.id, userId });
+      return await this.getSetlist(userId, setlist.id);
+    } catch (error) {
+      logger.error('Failed to duplicate setlist', { userId, sourceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca repertório garantindo acesso (dono ou membro do grupo)
+   *
+   * Sem acesso, lança 'Setlist not found' para não expor repertórios alheios.
+   */
+  static async getAccessibleSetlist(userId, setlistId) {
+    const setlist = await SetlistModel.findById(setlistId);
+
+    const hasAccess = setlist && (
+      setlist.owner_user_id === userId ||
+      (setlist.group_id && await GroupModel.findMembership(setlist.group_id, userId))
+    );
+
+    if (!hasAccess) {
+      throw new Error('Setlist not found');
+    }
+    return setlist;
+  }
+
+  /**
+   * Valida itens ({ musicId, key?, notes? }) e existência das músicas
+   */
+  static async validateItems(items) {
+    if (!Array.isArray(items)) {
+      throw new Error('items must be an array');
+    }
+
+    for (const item of items) {
+      if (!item?.musicId) {
+        throw new Error('musicId is required');
+      }
+      validateItemFields(item);
+    }
+
+    const musicIds = [...new Set(items.map(item => item.musicId))];
+    const found = await MusicModel.findByIds(musicIds);
+
+    if (found.length !== musicIds.length) {
+      const foundIds = new Set(found.map(music => music.id));
+      const error = new Error('Music not found');
+      error.missing = musicIds.filter(id => !foundIds.has(id));
+      throw error;
+    }
+
+    return items.map(({ musicId, key, notes }) => ({ musicId, key, notes }));
+  }
+}
@@ -0,0 +1,366 @@
+import { MusicModel } from '../models/musicModel.mjs';
+import { MusicService } from './musicService.mjs';
+import { QuickAccessModel } from '../models/quickAccessModel.mjs';
+import { UserSettingsModel } from '../models/userSettingsModel.mjs';
+import { SearchHistoryModel } from '../models/searchHistoryModel.mjs';
+import { SyncModel } from '../models/syncModel.mjs';
+import { UserModel } from '../models/userModel.mjs';
+import { config } from '../config/env.mjs';
+import { logger } from '../utils/logger.mjs';
+
+/**
+ * Converte payload do cliente (colunas snake_case do SQLite local)
+ * para o formato aceito por MusicModel
+ */
+function toMusicData(payload) {
+  return {
+    title: payload.title,
+    artist: payload.artist,
+    lyrics: payload.lyrics,
+    sections: payload.sections,
+    verseOrder: payload.verse_order ?? payload.verseOrder,
+    chords: payload.chords,
+    categoryId: payload.category_id ?? payload.categoryId,
+    genre: payload.genre,
+    key: payload.key,
+    tempo: payload.tempo,
+    duration: payload.duration,
+    sheetMusicUrl: payload.sheet_music_url ?? payload.sheetMusicUrl,
+    audioUrl: payload.audio_url ?? payload.audioUrl,
+    tags: payload.tags,
+  };
+}
+
+/**
+ * Update de música vindo do sync
+ *
+ * Sem `version` não há como saber sobre qual cópia o cliente editou; em vez
+ * de sobrescrever às cegas, responde conflito com a cópia atual do servidor.
+ */
+async function updateSyncedMusic(entityId, payload, expectedVersion, userId) {
+  if (!Number.isInteger(expectedVersion)) {
+    const current = await MusicModel.findById(entityId);
+    if (!current) {
+      throw new Error('Music not found');
+    }
+    const error = new Error('Version conflict');
+    error.current = current;
+    throw error;
+  }
+
+  return await MusicService.updateMusic(entityId, toMusicData(payload), expectedVersion, { userId });
+}
+
+/**
+ * Handlers por tipo de entidade sincronizável
+ *
+ * - apply: aplica operação do cliente e retorna o registro resultante
+ * - findMany: estado atual dos registros citados no change journal
+ * - entityId: chave do registro quando não é a coluna id
+ * - roles: papéis exigidos por operação (ausente = qualquer usuário)
+ */
+const SYNC_ENTITIES = {
+  music: {
+    async apply(operation, entityId, payload, userId) {
+      switch (operation) {
+        case 'insert': {
+          const existing = await MusicModel.findById(entityId, { includeDeleted: true });
+          if (!existing) {
+            return await MusicService.createMusic(toMusicData(payload), { userId, id: entityId });
+          }
+          // Insert reenviado: trata como update da versão criada por ele
+          return await updateSyncedMusic(entityId, payload, payload.version ?? 1, userId);
+        }
+        case 'update':
+          return await updateSyncedMusic(entityId, payload, payload.version, userId);
+        case 'delete':
+          // Vai para a lixeira, como em DELETE /api/music/:id
+          await MusicModel.moveToTrash(entityId, userId);
+          return null;
+      }
+    },
+    findMany: (userId, ids) => MusicModel.findByIds(ids),
+    // Mesmas regras de /api/music: catálogo é editado só por admin/editor
+    roles: {
+      insert: ['admin', 'editor'],
+      update: ['admin', 'editor'],
+      delete: ['admin'],
+    },
+  },
+
+  quick_access: {
+    async apply(operation, entityId, payload, userId) {
+      switch (operation) {
+        case 'insert':
+        case 'update': {
+          // Mesma checagem de QuickAccessService.addMusic (sem isso, a FK
+          // devolvia o erro cru do SQLite ao cliente)
+          const musicId = payload.music_id ?? payload.musicId;
+          const music = musicId ? await MusicModel.findById(String(musicId)) : null;
+          if (!music) {
+            throw new Error('Music not found');
+          }
+
+          return await QuickAccessModel.upsert({
+            id: entityId,
+            userId,
+            musicId: music.id,
+            position: payload.position ?? 0,
+            expiresAt: payload.expires_at ?? payload.expiresAt ?? null,
+          });
+        }
+        case 'delete':
+          await QuickAccessModel.delete(userId, entityId);
+          return null;
+      }
+    },
+    findMany: (userId, ids) => QuickAccessModel.findByIds(userId, ids),
+  },
+
+  settings: {
+    async apply(operation, entityId, payload, userId) {
+      switch (operation) {
+        case 'insert':
+        case 'update':
+          return await UserSettingsModel.set(userId, entityId, payload.value);
+        case 'delete':
+          await UserSettingsModel.delete(userId, entityId);
+          return null;
+      }
+    },
+    findMany: (userId, keys) => UserSettingsModel.findByKeys(userId, keys),
+    entityId: (row) => row.key,
+  },
+
+  search_history: {
+    async apply(operation, entityId, payload, userId) {
+      switch (operation) {
+        case 'insert':
+          await SearchHistoryModel.create(
+            userId,
+            payload.query,
+            payload.results_count ?? payload.resultsCount ?? 0
+          );
+          return null;
+        case 'update':
+          // Histórico é append-only
+          throw new Error('Search history entries cannot be updated');
+        case 'delete':
+          await SearchHistoryModel.deleteById(userId, entityId);
+          return null;
+      }
+    },
+    findMany: (userId, ids) => SearchHistoryModel.findByIds(userId, ids),
+  },
+};
+
+// 'create' é aceito como sinônimo de 'insert'
+const OPERATION_ALIASES = {
+  create: 'insert',
+  insert: 'insert',
+  update: 'update',
+  delete: 'delete',
+};
+
+export const SYNC_ENTITY_TYPES = Object.keys(SYNC_ENTITIES);
+
+export class SyncService {
+  /**
+   * Aplica batch de operações enviadas pelo cliente (POST /sync/push)
+   *
+   * Cada operação é aplicada de forma independente: uma falha não
+   * interrompe o restante do batch e é reportada no resultado.
+   * O papel é lido do banco (como em requireRole), não do JWT.
+   */
+  static async pushOperations(userId, operations) {
+    const user = await UserModel.findById(userId);
+    const role = user?.role || 'member';
+    const results = [];
+
+    for (const op of operations) {
+      results.push(await this.applyOperation(userId, op, role));
+    }
+
+    const failed = results.filter(r => !r.success).length;
+
+    logger.info('Sync push processed', {
+      userId,
+      operations: operations.length,
+      failed,
+    });
+
+    return results;
+  }
+
+  /**
+   * Aplica uma operação e monta o resultado no formato do SyncEngine
+   */
+  static async applyOperation(userId, op, role = 'member') {
+    const result = {
+      local_operation: op,
+      success: false,
+      has_conflict: false,
+      server_data: null,
+      error: null,
+    };
+
+    const handler = SYNC_ENTITIES[op?.entity_type];
+    const operation = OPERATION_ALIASES[op?.operation];
+
+    if (!handler) {
+      result.error = `Unsupported entity type: ${op?.entity_type}`;
+      return result;
+    }
+    if (!operation) {
+      result.error = `Unsupported operation: ${op?.operation}`;
+      return result;
+    }
+    if (!op.entity_id) {
+      result.error = 'entity_id is required';
+      return result;
+    }
+    if (handler.roles?.[operation] && !handler.roles[operation].includes(role)) {
+      result.error = 'Insufficient permissions for this operation';
+      return result;
+    }
+
+    try {
+      const record = await handler.apply(
+        operation,
+        String(op.entity_id),
+        op.payload || {},
+        userId
+      );
+
+      result.success = true;
+      result.server_data = record || null;
+    } catch (error) {
+      if (error.message === 'Version conflict') {
+        // ConflictResolver do app identifica a entidade por server_data.entity_type
+        result.has_conflict = true;
+        result.server_data = { ...error.current, entity_type: op.entity_type };
+        result.error = error.message;
+        return result;
+      }
+
+      logger.warn('Sync operation failed', {
+        userId,
+        operationId: op.id,
+        entityType: op.entity_type,
+        entityId: op.entity_id,
+        error: error.message,
+      });
+      // Erros do driver (constraints, locks) ficam só no log
+      result.error = String(error.code ?? '').startsWith('SQLITE')
+        ? 'Operation failed'
+        : error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Busca alterações do servidor a partir do change journal (GET /sync/pull)
+   *
+   * Várias entradas da mesma entidade na janela são colapsadas na mais
+   * recente; o registro é lido no estado atual, e deleções viram tombstones.
+   */
+  static async pullChanges(userId, { since, sinceSeq, entityTypes, includeDeleted = true }) {
+    try {
+      const limit = config.SYNC_PULL_LIMIT;
+
+      // Cursor lido antes do journal: se a janela vier vazia, nada
+      // registrado depois desta leitura fica para trás
+      const baseSeq = sinceSeq ?? await SyncModel.getLatestSeq();
+
+      const entries = await SyncModel.findJournalEntries(userId, entityTypes, {
+        since,
+        sinceSeq,
+        limit: limit + 1,
+      });
+
+      const hasMore = entries.length > limit;
+      const page = hasMore ? entries.slice(0, limit) : entries;
+
+      // Última entrada por entidade (journal vem ordenado por seq)
+      const latest = new Map();
+      for (const entry of page) {
+        const key = `${entry.entity_type}:${entry.entity_id}`;
+        const previous = latest.get(key);
+        latest.set(key, {
+          ...entry,
+          inserted: entry.operation === 'insert' || Boolean(previous?.inserted),
+        });
+      }
+
+      // Carrega estado atual das entidades não removidas, por tipo
+      const idsByType = new Map();
+      for (const entry of latest.values()) {
+        if (entry.operation === 'delete') continue;
+        if (!idsByType.has(entry.entity_type)) {
+          idsByType.set(entry.entity_type, []);
+        }
+        idsByType.get(entry.entity_type).push(entry.entity_id);
+      }
+
+      const rowsByKey = new Map();
+      for (const [entityType, ids] of idsByType) {
+        const handler = SYNC_ENTITIES[entityType];
+        const rows = await handler.findMany(userId, ids);
+        for (const row of rows) {
+          const entityId = String(handler.entityId ? handler.entityId(row) : row.id);
+          rowsByKey.set(`${entityType}:${entityId}`, row);
+        }
+      }
+
+      const operations = [];
+      for (const [key, entry] of latest) {
+        if (entry.operation === 'delete') {
+          if (includeDeleted) {
+            operations.push({
+              seq: entry.seq,
+              entity_type: entry.entity_type,
+              entity_id: entry.entity_id,
+              operation_type: 'delete',
+              version: 0,
+              data: { id: entry.entity_id },
+              changed_at: entry.changed_at,
+            });
+          }
+          continue;
+        }
+
+        const row = rowsByKey.get(key);
+        if (!row) continue; // Removido fora da janela; a deleção vem no próximo pull
+
+        operations.push({
+          seq: entry.seq,
+          entity_type: entry.entity_type,
+          entity_id: entry.entity_id,
+          operation_type: entry.inserted ? 'insert' : 'update',
+          version: row.version ?? 1,
+          data: row,
+          changed_at: entry.changed_at,
+        });
+      }
+
+      operations.sort((a, b) => a.seq - b.seq);
+
+      const lastSeq = page.length > 0 ? page[page.length - 1].seq : baseSeq;
+
+      logger.info('Sync pull processed', {
+        userId,
+        since,
+        sinceSeq,
+        entityTypes,
+        operations: operations.length,
+        lastSeq,
+      });
+
+      return { operations, hasMore, lastSeq };
+    } catch (error) {
+      logger.error('Sync pull failed', { userId, since, sinceSeq, error: error.message });
+      throw error;
+    }
+  }
+}
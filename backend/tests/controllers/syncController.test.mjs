@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+
+const SyncService = { pullChanges: jest.fn(), pushOperations: jest.fn() };
+const SYNC_ENTITY_TYPES = ['music', 'quick_access', 'settings', 'search_history'];
+
+jest.unstable_mockModule('../../config/env.mjs', () => ({
+  config: { SYNC_MAX_BATCH_SIZE: 100, SYNC_COMPRESSION_THRESHOLD: 1024 },
+}));
+jest.unstable_mockModule('../../services/syncService.mjs', () => ({ SyncService, SYNC_ENTITY_TYPES }));
+
+const { SyncController } = await import('../../controllers/syncController.mjs');
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function pull(query) {
+  const res = response();
+  const next = jest.fn();
+  await SyncController.pull({ user: { userId: 'u1' }, query }, res, next);
+  return { res, next };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  SyncService.pullChanges.mockResolvedValue({ operations: [], hasMore: false, lastSeq: 0 });
+});
+
+describe('SyncController.pull', () => {
+  test('sem entities busca todos os tipos', async () => {
+    await pull({});
+
+    expect(SyncService.pullChanges).toHaveBeenCalledWith('u1', expect.objectContaining({
+      entityTypes: SYNC_ENTITY_TYPES,
+    }));
+  });
+
+  test.each([
+    ['lista separada por vírgula', 'music, settings'],
+    ['parâmetro repetido', ['music', 'settings']],
+    ['as duas formas juntas', ['music,settings', 'music']],
+  ])('aceita entities como %s', async (_, entities) => {
+    const { res } = await pull({ entities });
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(SyncService.pullChanges).toHaveBeenCalledWith('u1', expect.objectContaining({
+      entityTypes: ['music', 'settings'],
+    }));
+  });
+
+  test.each([
+    ['tipo desconhecido', 'music,users'],
+    ['lista vazia', ','],
+    ['objeto', { music: '1' }],
+    ['array com objeto', ['music', { a: 1 }]],
+  ])('responde 400 INVALID_ENTITIES para %s', async (_, entities) => {
+    const { res, next } = await pull({ entities });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_ENTITIES');
+    expect(next).not.toHaveBeenCalled();
+    expect(SyncService.pullChanges).not.toHaveBeenCalled();
+  });
+
+  test('since repetido é inválido', async () => {
+    const { res } = await pull({ since: ['2024-01-01', '2024-02-01'] });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_SINCE');
+  });
+});
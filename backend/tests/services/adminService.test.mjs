@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+
+const UserModel = {
+  findAll: jest.fn(),
+  findById: jest.fn(),
+  updateRole: jest.fn(),
+};
+
+jest.unstable_mockModule('../../config/env.mjs', () => ({
+  config: { DEFAULT_PAGE_SIZE: 50, MAX_PAGE_SIZE: 100 },
+}));
+jest.unstable_mockModule('../../utils/logger.mjs', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.unstable_mockModule('../../models/userModel.mjs', () => ({
+  UserModel,
+  USER_ROLES: ['admin', 'editor', 'member'],
+}));
+
+const { AdminService } = await import('../../services/adminService.mjs');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('AdminService.grantRole', () => {
+  test('muda o papel do usuário', async () => {
+    UserModel.findById.mockResolvedValue({ id: 'u2', role: 'member' });
+    UserModel.updateRole.mockResolvedValue({ id: 'u2', role: 'editor' });
+
+    await expect(AdminService.grantRole('admin1', 'u2', 'editor'))
+      .resolves.toEqual({ id: 'u2', role: 'editor' });
+    expect(UserModel.updateRole).toHaveBeenCalledWith('u2', 'editor');
+  });
+
+  test('rejeita papel desconhecido', async () => {
+    await expect(AdminService.grantRole('admin1', 'u2', 'owner')).rejects.toThrow('Invalid role');
+    expect(UserModel.updateRole).not.toHaveBeenCalled();
+  });
+
+  test('admin não muda o próprio papel', async () => {
+    await expect(AdminService.grantRole('admin1', 'admin1', 'member')).rejects.toThrow('Cannot change own role');
+    expect(UserModel.updateRole).not.toHaveBeenCalled();
+  });
+
+  test('usuário inexistente', async () => {
+    UserModel.findById.mockResolvedValue(undefined);
+
+    await expect(AdminService.grantRole('admin1', 'u404', 'editor')).rejects.toThrow('User not found');
+  });
+
+  test('revokeRole volta a member', async () => {
+    UserModel.findById.mockResolvedValue({ id: 'u2', role: 'editor' });
+    UserModel.updateRole.mockResolvedValue({ id: 'u2', role: 'member' });
+
+    await AdminService.revokeRole('admin1', 'u2');
+
+    expect(UserModel.updateRole).toHaveBeenCalledWith('u2', 'member');
+  });
+});
+
+describe('AdminService.listUsers', () => {
+  test('filtra por papel válido e limita a página', async () => {
+    UserModel.findAll.mockResolvedValue([]);
+
+    await AdminService.listUsers({ role: 'editor', limit: 1000 });
+
+    expect(UserModel.findAll).toHaveBeenCalledWith({ role: 'editor', limit: 100, offset: 0 });
+  });
+
+  test('rejeita papel desconhecido', async () => {
+    await expect(AdminService.listUsers({ role: 'owner' })).rejects.toThrow('Invalid role');
+  });
+});
@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+
+// Catálogo em memória com a mesma interface de MusicModel (create/update/findById)
+const rows = new Map();
+
+const COLUMNS = {
+  title: 'title',
+  artist: 'artist',
+  lyrics: 'lyrics',
+  chords: 'chords',
+  key: 'key',
+  duration: 'duration',
+  sections: 'sections',
+  verseOrder: 'verse_order',
+};
+
+function applyData(row, data) {
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (data[field] !== undefined) row[column] = data[field] ?? null;
+  }
+  return row;
+}
+
+const MusicModel = {
+  findById: jest.fn(async id => (rows.has(id) ? { ...rows.get(id) } : undefined)),
+  create: jest.fn(async (data) => {
+    const id = `m${rows.size + 1}`;
+    rows.set(id, applyData({ id, version: 1 }, data));
+    return { ...rows.get(id) };
+  }),
+  update: jest.fn(async (id, data, { expectedVersion } = {}) => {
+    const row = rows.get(id);
+    if (!row || (expectedVersion !== undefined && expectedVersion !== row.version)) return null;
+    applyData(row, data);
+    row.version++;
+    return { ...row };
+  }),
+};
+
+jest.unstable_mockModule('../../config/env.mjs', () => ({
+  config: { DEFAULT_PAGE_SIZE: 50, MAX_PAGE_SIZE: 100, IMPORT_MAX_ROWS: 1000 },
+}));
+jest.unstable_mockModule('../../utils/logger.mjs', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.unstable_mockModule('../../models/musicModel.mjs', () => ({ MusicModel }));
+jest.unstable_mockModule('../../models/musicRevisionModel.mjs', () => ({ MusicRevisionModel: {} }));
+jest.unstable_mockModule('../../models/categoryModel.mjs', () => ({ CategoryModel: { findById: jest.fn() } }));
+
+const { MusicService } = await import('../../services/musicService.mjs');
+
+const CHORDPRO = `{title: Santo}
+{artist: Aline}
+{start_of_verse}
+[G]Santo, santo, [D]santo
+[Em]Deus todo-po[C]deroso
+{end_of_verse}
+
+{start_of_chorus}
+[C]Digno és [D]tu
+{end_of_chorus}`;
+
+async function exportChordPro(id) {
+  return (await MusicService.exportMusic(id, 'chordpro')).content;
+}
+
+beforeEach(() => {
+  rows.clear();
+  jest.clearAllMocks();
+});
+
+describe('exportação ChordPro depois de editar a letra', () => {
+  test('importado e sem alterações, exporta o arquivo com os acordes', async () => {
+    const music = await MusicService.importChordPro(CHORDPRO);
+
+    const content = await exportChordPro(music.id);
+
+    expect(content).toContain('[G]Santo, santo, [D]santo');
+    expect(content).toContain('{start_of_chorus}');
+  });
+
+  test('importar → PUT da letra → exportar traz a letra nova', async () => {
+    const music = await MusicService.importChordPro(CHORDPRO);
+
+    const updated = await MusicService.updateMusic(music.id, {
+      lyrics: 'Santo, santo, santo\nDeus eterno\n\nRefrão\nDigno és tu',
+    }, music.version);
+    const content = await exportChordPro(music.id);
+
+    expect(updated.chords).toBeNull();
+    expect(content).toContain('Deus eterno');
+    expect(content).not.toContain('todo-poderoso');
+    expect(content).toContain('{start_of_chorus: Refrão}\nDigno és tu\n{end_of_chorus}');
+  });
+
+  test('letra reenviada sem mudanças mantém o arquivo importado', async () => {
+    const music = await MusicService.importChordPro(CHORDPRO);
+
+    const updated = await MusicService.updateMusic(music.id, { lyrics: music.lyrics }, music.version);
+
+    expect(updated.chords).toBe(music.chords);
+  });
+
+  test('cifra enviada junto com a letra é gravada como veio', async () => {
+    const music = await MusicService.importChordPro(CHORDPRO);
+
+    const updated = await MusicService.updateMusic(music.id, {
+      lyrics: 'Nova letra',
+      chords: '[A]Nova letra',
+    }, music.version);
+
+    expect(updated.chords).toBe('[A]Nova letra');
+  });
+
+  test('cifra "acordes sobre a letra" fica guardada mesmo sem corresponder', async () => {
+    const music = await MusicService.createMusic({
+      title: 'Aleluia',
+      lyrics: 'Aleluia',
+      chords: 'G  C  D',
+    });
+
+    const updated = await MusicService.updateMusic(music.id, { lyrics: 'Aleluia, amém' }, music.version);
+    const content = await exportChordPro(music.id);
+
+    expect(updated.chords).toBe('G  C  D');
+    expect(content).toContain('Aleluia, amém');
+    expect(content).not.toContain('[G]');
+  });
+});
@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config/env.mjs', () => ({
+  config: { DEFAULT_PAGE_SIZE: 50, MAX_PAGE_SIZE: 100, SEARCH_MIN_QUERY_LENGTH: 2, SEARCH_MAX_RESULTS: 100 },
+}));
+jest.unstable_mockModule('../../utils/logger.mjs', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.unstable_mockModule('../../models/musicModel.mjs', () => ({ MusicModel: {} }));
+jest.unstable_mockModule('../../models/searchHistoryModel.mjs', () => ({ SearchHistoryModel: {} }));
+jest.unstable_mockModule('../../models/categoryModel.mjs', () => ({ CategoryModel: {} }));
+jest.unstable_mockModule('../../services/collectionService.mjs', () => ({
+  CollectionService: { findByReference: jest.fn(async () => []) },
+}));
+
+const { SearchService } = await import('../../services/searchService.mjs');
+
+function search(filters) {
+  // Consulta curta: passando dos filtros, para na validação do tamanho
+  return SearchService.searchMusic('a', null, { filters });
+}
+
+describe('filtros de busca', () => {
+  test.each([
+    ['categoryId', { id: 'c1' }],
+    ['categoryId', 12],
+    ['tags', ['jovens', { name: 'natal' }]],
+    ['tags', [['natal']]],
+    ['genre', true],
+  ])('%s com valor %p não é aceito', async (filter, value) => {
+    await expect(search({ [filter]: value })).rejects.toMatchObject({
+      message: 'Invalid filter value',
+      filter,
+    });
+  });
+
+  test('aceita string ou lista de strings em categoria e tags', async () => {
+    await expect(search({ categoryId: 'c1', tags: [' natal ', 'jovens'] }))
+      .rejects.toThrow('Query must be at least 2 characters');
+  });
+
+  test('filtro desconhecido é recusado', async () => {
+    await expect(search({ author: 'x' })).rejects.toMatchObject({
+      message: 'Invalid filters',
+      filter: 'author',
+    });
+  });
+});
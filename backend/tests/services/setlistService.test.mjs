@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+const SetlistModel = {
+  findById: jest.fn(),
+  findItems: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  duplicate: jest.fn(),
+};
+
+jest.unstable_mockModule('../../config/env.mjs', () => ({ config: {} }));
+jest.unstable_mockModule('../../utils/logger.mjs', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.unstable_mockModule('../../models/setlistModel.mjs', () => ({ SetlistModel }));
+jest.unstable_mockModule('../../models/groupModel.mjs', () => ({ GroupModel: { findMembership: jest.fn() } }));
+jest.unstable_mockModule('../../models/musicModel.mjs', () => ({ MusicModel: { findByIds: jest.fn(async () => []) } }));
+jest.unstable_mockModule('../../services/groupService.mjs', () => ({ GroupService: { assertMember: jest.fn() } }));
+
+const { SetlistService } = await import('../../services/setlistService.mjs');
+
+const SETLIST = { id: 's1', title: 'Culto', owner_user_id: 'u1', group_id: null };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  SetlistModel.findById.mockResolvedValue(SETLIST);
+  SetlistModel.findItems.mockResolvedValue([]);
+  SetlistModel.create.mockResolvedValue(SETLIST);
+  SetlistModel.duplicate.mockResolvedValue(SETLIST);
+});
+
+describe('título e descrição do repertório', () => {
+  test('cria com título sem espaços nas pontas e data em UTC', async () => {
+    await SetlistService.createSetlist('u1', {
+      title: '  Culto  ',
+      scheduledAt: '2026-10-20T19:00:00-03:00',
+    });
+
+    expect(SetlistModel.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Culto',
+      scheduledAt: '2026-10-20T22:00:00.000Z',
+    }), []);
+  });
+
+  test.each([
+    [{}, 'Setlist title is required'],
+    [{ title: '   ' }, 'Setlist title is required'],
+    [{ title: 5 }, 'Setlist title must be a string'],
+    [{ title: ['Culto'] }, 'Setlist title must be a string'],
+    [{ title: 'Culto', description: { text: 'x' } }, 'Setlist description must be a string'],
+  ])('criação rejeita %j', async (data, message) => {
+    await expect(SetlistService.createSetlist('u1', data)).rejects.toThrow(message);
+    expect(SetlistModel.create).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [{ title: 5 }, 'Setlist title must be a string'],
+    [{ title: '' }, 'Setlist title is required'],
+    [{ title: null }, 'Setlist title is required'],
+  ])('edição rejeita %j', async (data, message) => {
+    await expect(SetlistService.updateSetlist('u1', 's1', data)).rejects.toThrow(message);
+    expect(SetlistModel.update).not.toHaveBeenCalled();
+  });
+
+  test('edição sem título mantém o atual', async () => {
+    await SetlistService.updateSetlist('u1', 's1', { description: 'Domingo' });
+
+    expect(SetlistModel.update).toHaveBeenCalledWith('s1', expect.objectContaining({
+      title: undefined,
+      description: 'Domingo',
+    }), undefined);
+  });
+
+  test('duplicação aceita título vazio e rejeita título que não é texto', async () => {
+    await SetlistService.duplicateSetlist('u1', 's1', { title: '' });
+    expect(SetlistModel.duplicate).toHaveBeenCalledWith('s1', expect.objectContaining({ title: null }));
+
+    await expect(SetlistService.duplicateSetlist('u1', 's1', { title: 5 }))
+      .rejects.toThrow('Setlist title must be a string');
+  });
+});
@@ -0,0 +1,226 @@
+import { jest } from '@jest/globals';
+
+// Camada de dados simulada: os testes cobrem as regras do SyncService
+const MusicModel = {
+  findById: jest.fn(),
+  findByIds: jest.fn(),
+  moveToTrash: jest.fn(),
+};
+const MusicService = {
+  createMusic: jest.fn(),
+  updateMusic: jest.fn(),
+};
+const QuickAccessModel = {
+  upsert: jest.fn(),
+  delete: jest.fn(),
+  findByIds: jest.fn(),
+};
+const UserModel = { findById: jest.fn() };
+
+jest.unstable_mockModule('../../config/env.mjs', () => ({
+  config: { SYNC_PULL_LIMIT: 100 },
+}));
+jest.unstable_mockModule('../../utils/logger.mjs', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.unstable_mockModule('../../models/musicModel.mjs', () => ({ MusicModel }));
+jest.unstable_mockModule('../../services/musicService.mjs', () => ({ MusicService }));
+jest.unstable_mockModule('../../models/quickAccessModel.mjs', () => ({ QuickAccessModel }));
+jest.unstable_mockModule('../../models/userSettingsModel.mjs', () => ({ UserSettingsModel: {} }));
+jest.unstable_mockModule('../../models/searchHistoryModel.mjs', () => ({ SearchHistoryModel: {} }));
+jest.unstable_mockModule('../../models/syncModel.mjs', () => ({ SyncModel: {} }));
+jest.unstable_mockModule('../../models/userModel.mjs', () => ({ UserModel }));
+
+const { SyncService } = await import('../../services/syncService.mjs');
+
+const SONG = { id: 'm1', title: 'Santo', version: 3 };
+
+function operation(overrides = {}) {
+  return {
+    id: 'op1',
+    entity_type: 'music',
+    entity_id: 'm1',
+    operation: 'update',
+    payload: { title: 'Santo Santo', version: 3 },
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('SyncService.applyOperation', () => {
+  test('operação em música aplica e devolve o registro', async () => {
+    MusicService.updateMusic.mockResolvedValue({ ...SONG, title: 'Santo Santo', version: 4 });
+
+    const result = await SyncService.applyOperation('u1', operation(), 'editor');
+
+    expect(MusicService.updateMusic).toHaveBeenCalledWith(
+      'm1', expect.objectContaining({ title: 'Santo Santo' }), 3, { userId: 'u1' }
+    );
+    expect(result).toMatchObject({ success: true, has_conflict: false, server_data: { version: 4 } });
+  });
+
+  test('rejeita tipo de entidade, operação e entity_id inválidos', async () => {
+    await expect(SyncService.applyOperation('u1', operation({ entity_type: 'users' })))
+      .resolves.toMatchObject({ success: false, error: 'Unsupported entity type: users' });
+    await expect(SyncService.applyOperation('u1', operation({ operation: 'upsert' })))
+      .resolves.toMatchObject({ success: false, error: 'Unsupported operation: upsert' });
+    await expect(SyncService.applyOperation('u1', operation({ entity_id: '' })))
+      .resolves.toMatchObject({ success: false, error: 'entity_id is required' });
+  });
+
+  test('acesso rápido a música inexistente é erro de domínio', async () => {
+    MusicModel.findById.mockResolvedValue(undefined);
+
+    const result = await SyncService.applyOperation('u1', operation({
+      entity_type: 'quick_access',
+      entity_id: 'qa1',
+      operation: 'insert',
+      payload: { music_id: 'missing' },
+    }));
+
+    expect(result).toMatchObject({ success: false, error: 'Music not found' });
+    expect(QuickAccessModel.upsert).not.toHaveBeenCalled();
+  });
+
+  test('erros do SQLite não chegam ao cliente', async () => {
+    MusicModel.findById.mockResolvedValue(SONG);
+    const driverError = new Error('SQLITE_CONSTRAINT: FOREIGN KEY constraint failed');
+    driverError.code = 'SQLITE_CONSTRAINT';
+    QuickAccessModel.upsert.mockRejectedValue(driverError);
+
+    const result = await SyncService.applyOperation('u1', operation({
+      entity_type: 'quick_access',
+      entity_id: 'qa1',
+      operation: 'insert',
+      payload: { music_id: 'm1' },
+    }));
+
+    expect(result).toMatchObject({ success: false, error: 'Operation failed' });
+  });
+});
+
+describe('conflitos de versão no sync', () => {
+  function versionConflict(current) {
+    const error = new Error('Version conflict');
+    error.current = current;
+    return error;
+  }
+
+  test('update sem version responde conflito com a cópia do servidor', async () => {
+    MusicModel.findById.mockResolvedValue(SONG);
+
+    const result = await SyncService.applyOperation(
+      'u1', operation({ payload: { title: 'Santo Santo' } }), 'editor'
+    );
+
+    expect(MusicService.updateMusic).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      success: false,
+      has_conflict: true,
+      error: 'Version conflict',
+      server_data: { ...SONG, entity_type: 'music' },
+    });
+  });
+
+  test('update sem version de música inexistente não é conflito', async () => {
+    MusicModel.findById.mockResolvedValue(undefined);
+
+    const result = await SyncService.applyOperation(
+      'u1', operation({ payload: { title: 'Santo Santo' } }), 'editor'
+    );
+
+    expect(result).toMatchObject({ success: false, has_conflict: false, error: 'Music not found' });
+  });
+
+  test('version desatualizada responde conflito com a cópia do servidor', async () => {
+    MusicService.updateMusic.mockRejectedValue(versionConflict({ ...SONG, version: 5 }));
+
+    const result = await SyncService.applyOperation('u1', operation(), 'editor');
+
+    expect(result).toMatchObject({
+      success: false,
+      has_conflict: true,
+      server_data: { id: 'm1', version: 5, entity_type: 'music' },
+    });
+  });
+
+  test('insert reenviado vira update da versão que ele criou', async () => {
+    MusicModel.findById.mockResolvedValue(SONG);
+    MusicService.updateMusic.mockResolvedValue({ ...SONG, version: 2 });
+
+    const result = await SyncService.applyOperation(
+      'u1', operation({ operation: 'insert', payload: { title: 'Santo' } }), 'editor'
+    );
+
+    expect(MusicService.createMusic).not.toHaveBeenCalled();
+    expect(MusicService.updateMusic).toHaveBeenCalledWith('m1', expect.any(Object), 1, { userId: 'u1' });
+    expect(result.success).toBe(true);
+  });
+
+  test('insert novo usa o id do cliente', async () => {
+    MusicModel.findById.mockResolvedValue(undefined);
+    MusicService.createMusic.mockResolvedValue({ ...SONG, version: 1 });
+
+    await SyncService.applyOperation('u1', operation({ operation: 'create', payload: { title: 'Santo' } }), 'editor');
+
+    expect(MusicService.createMusic).toHaveBeenCalledWith(
+      expect.objectContaining({ title: 'Santo' }), { userId: 'u1', id: 'm1' }
+    );
+  });
+});
+
+describe('papéis no sync', () => {
+  async function push(role, operations) {
+    UserModel.findById.mockResolvedValue(role ? { id: 'u1', role } : undefined);
+    return await SyncService.pushOperations('u1', operations);
+  }
+
+  test('papel vem do banco, não do token', async () => {
+    await push('editor', [operation()]);
+
+    expect(UserModel.findById).toHaveBeenCalledWith('u1');
+  });
+
+  test.each([
+    ['member', 'insert', false],
+    ['member', 'update', false],
+    ['member', 'delete', false],
+    ['editor', 'insert', true],
+    ['editor', 'update', true],
+    ['editor', 'delete', false],
+    ['admin', 'delete', true],
+    [null, 'update', false],
+  ])('%s em %s de música: permitido = %s', async (role, op, allowed) => {
+    MusicModel.findById.mockResolvedValue(undefined);
+    MusicService.createMusic.mockResolvedValue(SONG);
+    MusicService.updateMusic.mockResolvedValue(SONG);
+
+    const [result] = await push(role, [operation({ operation: op })]);
+
+    if (allowed) {
+      expect(result.success).toBe(true);
+    } else {
+      expect(result).toMatchObject({ success: false, error: 'Insufficient permissions for this operation' });
+      expect(MusicService.createMusic).not.toHaveBeenCalled();
+      expect(MusicService.updateMusic).not.toHaveBeenCalled();
+      expect(MusicModel.moveToTrash).not.toHaveBeenCalled();
+    }
+  });
+
+  test('entidades do próprio usuário não exigem papel', async () => {
+    MusicModel.findById.mockResolvedValue(SONG);
+    QuickAccessModel.upsert.mockResolvedValue({ id: 'qa1' });
+
+    const [result] = await push('member', [operation({
+      entity_type: 'quick_access',
+      entity_id: 'qa1',
+      operation: 'insert',
+      payload: { music_id: 'm1' },
+    })]);
+
+    expect(result.success).toBe(true);
+  });
+});
@@ -0,0 +1,109 @@
+import { parseChordPro, toChordPro, chordsMatchLyrics } from '../../utils/chordProUtils.mjs';
+
+const FILE = `{title: Santo}
+{subtitle: Aline}
+{start_of_verse}
+[G]Santo, santo, [D]santo
+{end_of_verse}
+
+{start_of_chorus}
+[C]Digno és [D]tu
+{end_of_chorus}
+
+{chorus}`;
+
+describe('parseChordPro', () => {
+  test('separa metadados, letra e corpo', () => {
+    const parsed = parseChordPro(FILE);
+
+    expect(parsed).toMatchObject({ title: 'Santo', artist: 'Aline' });
+    expect(parsed.lyrics).toBe('Santo, santo, santo\n\nRefrão\nDigno és tu\n\nRefrão');
+    expect(parsed.chords).not.toContain('{title');
+  });
+});
+
+describe('chordsMatchLyrics', () => {
+  const parsed = parseChordPro(FILE);
+
+  test('corpo importado corresponde à letra importada', () => {
+    expect(chordsMatchLyrics(parsed.chords, parsed.lyrics)).toBe(true);
+  });
+
+  test('repetição do refrão equivale ao refrão escrito de novo', () => {
+    const lyrics = 'Santo, santo, santo\n\nRefrão\nDigno és tu\n\nRefrão\nDigno és tu';
+    expect(chordsMatchLyrics(parsed.chords, lyrics)).toBe(true);
+  });
+
+  test('letra alterada não corresponde', () => {
+    expect(chordsMatchLyrics(parsed.chords, parsed.lyrics.replace('Digno', 'Santo'))).toBe(false);
+  });
+
+  test('acordes sobre a letra correspondem pelas linhas de letra', () => {
+    const sheet = 'G        D\nSanto, santo\n\nC\nAleluia';
+    expect(chordsMatchLyrics(sheet, 'Santo, santo\n\nAleluia')).toBe(true);
+    expect(chordsMatchLyrics(sheet, 'Santo\n\nAleluia')).toBe(false);
+  });
+
+  test('linha só de acordes não corresponde a letra nenhuma', () => {
+    expect(chordsMatchLyrics('G  C  D  Am7(9) D/F#', 'Santo, santo')).toBe(false);
+  });
+});
+
+describe('toChordPro', () => {
+  test('sem cifra, monta o corpo pelas seções da letra', () => {
+    const content = toChordPro({
+      title: 'Santo',
+      artist: 'Aline',
+      key: 'G',
+      lyrics: 'Santo, santo\n\nRefrão\nDigno és tu\n\nPonte\nAleluia',
+    });
+
+    expect(content).toBe([
+      '{title: Santo}',
+      '{artist: Aline}',
+      '{key: G}',
+      '',
+      '{start_of_verse}\nSanto, santo\n{end_of_verse}',
+      '',
+      '{start_of_chorus: Refrão}\nDigno és tu\n{end_of_chorus}',
+      '',
+      '{start_of_bridge: Ponte}\nAleluia\n{end_of_bridge}',
+      '',
+    ].join('\n'));
+  });
+
+  test('usa seções salvas e ordem de execução', () => {
+    const content = toChordPro({
+      title: 'Santo',
+      lyrics: 'ignorada',
+      sections: [
+        { name: 'v1', type: 'verse', text: 'Santo' },
+        { name: 'c1', type: 'chorus', label: 'Coro', text: 'Aleluia' },
+      ],
+      verse_order: 'c1 v1',
+    });
+
+    expect(content).toContain('{start_of_chorus: Coro}\nAleluia\n{end_of_chorus}\n\n{start_of_verse}\nSanto');
+  });
+
+  test('cifra só de acordes não substitui a letra', () => {
+    const content = toChordPro({ title: 'X', lyrics: 'Linha um\nLinha dois', chords: 'G  C  D' });
+
+    expect(content).toContain('Linha um\nLinha dois');
+    expect(content).not.toContain('[G]');
+  });
+
+  test('acordes sobre a letra correspondente viram acordes inline', () => {
+    const content = toChordPro({ title: 'X', lyrics: 'Santo, santo', chords: 'G      D\nSanto, santo' });
+
+    expect(content).toContain('[G]Santo, [D]santo');
+  });
+
+  test('intérprete de {subtitle} não é repetido', () => {
+    const parsed = parseChordPro(FILE);
+    const content = toChordPro({ ...parsed, lyrics: parsed.lyrics });
+
+    expect(content).not.toContain('{artist:');
+    expect(content).toContain('{subtitle: Aline}');
+  });
+});
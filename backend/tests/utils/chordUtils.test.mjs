@@ -0,0 +1,86 @@
+import {
+  parseChord,
+  keyPrefersFlats,
+  transposeKey,
+  semitonesBetween,
+  transposeChord,
+  transposeText,
+} from '../../utils/chordUtils.mjs';
+
+describe('transposeChord', () => {
+  test.each([
+    ['C', 2, 'D'],
+    ['F#m', 1, 'Gm'],
+    ['Am7(9)', 3, 'Cm7(9)'],
+    ['C#m7(b5)', -1, 'Cm7(b5)'],
+    ['E/G#', 1, 'F/A'],
+    ['B', 1, 'C'],
+    ['C', -1, 'B'],
+    ['G', 12, 'G'],
+  ])('%s %+d → %s', (chord, semitones, expected) => {
+    expect(transposeChord(chord, semitones)).toBe(expected);
+  });
+
+  test('usa bemóis quando pedido', () => {
+    expect(transposeChord('A7M', 1, { preferFlats: true })).toBe('Bb7M');
+    expect(transposeChord('D/F#', 1, { preferFlats: true })).toBe('Eb/G');
+  });
+
+  test('texto que não é acorde volta inalterado', () => {
+    expect(transposeChord('Santo', 2)).toBe('Santo');
+    expect(transposeChord('Am7(9', 2)).toBe('Am7(9');
+    expect(parseChord('H7')).toBeNull();
+  });
+});
+
+describe('tonalidades', () => {
+  test('transposeKey mantém o modo', () => {
+    expect(transposeKey('Am', 2)).toBe('Bm');
+    expect(transposeKey('G', -2, true)).toBe('F');
+    expect(transposeKey('X', 2)).toBe('X');
+  });
+
+  test('keyPrefersFlats segue a grafia e a armadura', () => {
+    expect(keyPrefersFlats('Gb')).toBe(true);
+    expect(keyPrefersFlats('F#')).toBe(false);
+    expect(keyPrefersFlats('F')).toBe(true);
+    expect(keyPrefersFlats('Dm')).toBe(true);
+    expect(keyPrefersFlats('G')).toBe(false);
+  });
+
+  test('semitonesBetween usa o menor caminho', () => {
+    expect(semitonesBetween('C', 'D')).toBe(2);
+    expect(semitonesBetween('C', 'A')).toBe(-3);
+    expect(semitonesBetween('C', 'F#')).toBe(6);
+    expect(semitonesBetween('C', '?')).toBeNull();
+  });
+});
+
+describe('transposeText', () => {
+  test('transpõe linhas de acordes mantendo o alinhamento e preserva a letra', () => {
+    const text = [
+      'Intro: G  D/F#  Em',
+      'G       C',
+      'Santo, santo é o Senhor',
+    ].join('\n');
+
+    expect(transposeText(text, 2)).toBe([
+      'Intro: A  E/G#  F#m',
+      'A       D',
+      'Santo, santo é o Senhor',
+    ].join('\n'));
+  });
+
+  test('acordes que crescem empurram os seguintes sem colar', () => {
+    expect(transposeText('E F', 1)).toBe('F F#');
+  });
+
+  test('transpõe acordes inline e ignora colchetes que não são acordes', () => {
+    expect(transposeText('[G]Santo [refrão] [D/F#]é', 2)).toBe('[A]Santo [refrão] [E/G#]é');
+  });
+
+  test('texto vazio volta como veio', () => {
+    expect(transposeText('', 2)).toBe('');
+    expect(transposeText(null, 2)).toBeNull();
+  });
+});
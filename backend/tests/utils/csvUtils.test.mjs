@@ -0,0 +1,50 @@
+import { parseCsv } from '../../utils/csvUtils.mjs';
+
+describe('parseCsv', () => {
+  test('converte linhas em objetos pelo cabeçalho', () => {
+    const { rows, lines } = parseCsv('title,artist\nSanto,Aline\nGrandioso,Fernandinho\n');
+
+    expect(rows).toEqual([
+      { title: 'Santo', artist: 'Aline' },
+      { title: 'Grandioso', artist: 'Fernandinho' },
+    ]);
+    expect(lines).toEqual([2, 3]);
+  });
+
+  test('aceita aspas com separador, aspas duplicadas e quebra de linha', () => {
+    const { rows } = parseCsv('title,lyrics\n"Santo, Santo","Ele disse ""vem""\nsegunda linha"\n');
+
+    expect(rows).toEqual([
+      { title: 'Santo, Santo', lyrics: 'Ele disse "vem"\nsegunda linha' },
+    ]);
+  });
+
+  test('detecta ";" e remove BOM', () => {
+    const { rows } = parseCsv('﻿title;artist\nSanto;Aline');
+
+    expect(rows).toEqual([{ title: 'Santo', artist: 'Aline' }]);
+  });
+
+  test('colunas faltando viram texto vazio', () => {
+    const { rows } = parseCsv('title,artist,key\nSanto');
+
+    expect(rows).toEqual([{ title: 'Santo', artist: '', key: '' }]);
+  });
+
+  test('numera pela linha do arquivo, contando linhas em branco e quebras dentro de aspas', () => {
+    const csv = 'title,lyrics\r\n\r\nA,"x\r\ny"\r\n  \r\nB,z\r\n';
+    const { rows, lines } = parseCsv(csv);
+
+    expect(rows.map(row => row.title)).toEqual(['A', 'B']);
+    expect(lines).toEqual([3, 6]);
+  });
+
+  test('texto vazio não tem linhas', () => {
+    expect(parseCsv('')).toEqual({ rows: [], lines: [] });
+    expect(parseCsv(undefined)).toEqual({ rows: [], lines: [] });
+  });
+
+  test('aspas sem fechamento geram erro', () => {
+    expect(() => parseCsv('title\n"Santo')).toThrow('Unterminated quoted field in CSV');
+  });
+});
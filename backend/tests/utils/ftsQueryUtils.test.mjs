@@ -0,0 +1,88 @@
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { buildMatchQuery, buildPlainMatchQuery } from '../../utils/ftsQueryUtils.mjs';
+
+// Texto com sintaxe do FTS5 que não pode chegar crua ao MATCH
+const HOSTILE_QUERIES = [
+  'santo"',
+  '"santo',
+  'santo OR NEAR(a b)',
+  'title:* OR artist:*',
+  '-santo +aleluia',
+  '(((santo',
+  'santo) AND (',
+  '^santo',
+  'santo:"',
+  'foo:bar',
+  '"" "" ""',
+  '*',
+  "'; DROP TABLE music_fts; --",
+  'col:"a" OR lyrics:"b',
+];
+
+describe('buildMatchQuery', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    await db.exec(`
+      CREATE VIRTUAL TABLE music_fts USING fts5(title, artist, lyrics, search_stems);
+      INSERT INTO music_fts VALUES ('Santo', 'Aline Barros', 'santo santo santo', 'sant');
+      INSERT INTO music_fts VALUES ('Grandioso és tu', 'Fernandinho', 'grande é o senhor', 'grand');
+    `);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('palavras casam pela forma exata ou pelo radical', () => {
+    expect(buildMatchQuery('Louvar')).toBe('("louvar" OR search_stems:"louv")');
+  });
+
+  test('frases, prefixos e campos viram termos entre aspas', () => {
+    expect(buildMatchQuery('"Grande é o" grand* artista:aline'))
+      .toBe('"grande e o" AND "grand"* AND artist:"aline"');
+  });
+
+  test('campo desconhecido vira palavra comum', () => {
+    expect(buildMatchQuery('foo:bar')).toBe('("foo" OR search_stems:"foo") AND ("bar" OR search_stems:"bar")');
+  });
+
+  test('prefix trata a última palavra como prefixo', () => {
+    expect(buildMatchQuery('grandioso es', { prefix: true }))
+      .toBe('("grandioso" OR search_stems:"grandios") AND "es"*');
+  });
+
+  test('texto sem termos não gera expressão', () => {
+    expect(buildMatchQuery('')).toBeNull();
+    expect(buildMatchQuery('"" ***')).toBeNull();
+    expect(buildPlainMatchQuery('--')).toBeNull();
+  });
+
+  test.each(HOSTILE_QUERIES)('%j só gera termos normalizados', (query) => {
+    const expression = buildMatchQuery(query, { prefix: true });
+    if (expression === null) return;
+
+    // Fora das aspas sobram só operadores e nomes de campo conhecidos
+    const outsideQuotes = expression.replace(/"[a-z0-9 ]*"/g, '');
+    expect(outsideQuotes).toMatch(/^(?:[\s()*]|AND|OR|(?:title|artist|lyrics|search_stems):)*$/);
+  });
+
+  test.each(HOSTILE_QUERIES)('%j é aceito pelo FTS5', async (query) => {
+    for (const expression of [buildMatchQuery(query, { prefix: true }), buildPlainMatchQuery(query)]) {
+      if (expression === null) continue;
+      await expect(db.all('SELECT rowid FROM music_fts WHERE music_fts MATCH ?', expression))
+        .resolves.toBeDefined();
+    }
+  });
+
+  test('a expressão encontra as músicas', async () => {
+    const rows = await db.all(
+      'SELECT title FROM music_fts WHERE music_fts MATCH ?',
+      buildMatchQuery('artista:aline santo')
+    );
+
+    expect(rows).toEqual([{ title: 'Santo' }]);
+  });
+});
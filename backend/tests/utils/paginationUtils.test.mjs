@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+// Tamanhos de página fixos, independentes do .env
+jest.unstable_mockModule('../../config/env.mjs', () => ({
+  config: { DEFAULT_PAGE_SIZE: 50, MAX_PAGE_SIZE: 100 },
+}));
+
+const {
+  clampLimit,
+  encodeCursor,
+  decodeCursor,
+  keysetQuery,
+  pageResult,
+} = await import('../../utils/paginationUtils.mjs');
+
+const SCOPE = 'test';
+
+// score e rank têm NULL e empates; id desempata
+const ROWS = [
+  ['a', 3, 1], ['b', null, 2], ['c', 3, null], ['d', 1, 1], ['e', null, null],
+  ['f', 2, 2], ['g', 3, 1], ['h', null, 1], ['i', 1, null], ['j', 2, 1],
+];
+
+const ORDERS = {
+  'score DESC': [
+    { expr: 'score', field: 'score', desc: true },
+    { expr: 'id', field: 'id', desc: false },
+  ],
+  'score ASC, rank DESC': [
+    { expr: 'score', field: 'score', desc: false },
+    { expr: 'rank', field: 'rank', desc: true },
+    { expr: 'id', field: 'id', desc: true },
+  ],
+};
+
+describe('keysetQuery', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    await db.exec('CREATE TABLE items (id TEXT PRIMARY KEY, score INTEGER, rank INTEGER)');
+    for (const row of ROWS) {
+      await db.run('INSERT INTO items VALUES (?, ?, ?)', row);
+    }
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  async function fetchPage(keys, cursorValue, limit) {
+    const cursor = decodeCursor(cursorValue, keys, { scope: SCOPE });
+    const { sql, params, orderBy } = keysetQuery(keys, cursor);
+    const rows = await db.all(
+      `SELECT * FROM items WHERE 1 = 1${sql} ORDER BY ${orderBy} LIMIT ?`,
+      [...params, limit + 1]
+    );
+    return pageResult(rows, keys, { limit, cursor, scope: SCOPE });
+  }
+
+  describe.each(Object.entries(ORDERS))('ORDER BY %s', (order, keys) => {
+    let expected;
+
+    beforeAll(async () => {
+      const { orderBy } = keysetQuery(keys, null);
+      expected = (await db.all(`SELECT id FROM items ORDER BY ${orderBy}`)).map(row => row.id);
+    });
+
+    test.each([1, 3, 4])('avança e volta por todas as linhas (limit %i)', async (limit) => {
+      const forward = [];
+      let page = await fetchPage(keys, undefined, limit);
+      expect(page.prevCursor).toBeNull();
+      forward.push(...page.results.map(row => row.id));
+
+      while (page.nextCursor) {
+        page = await fetchPage(keys, page.nextCursor, limit);
+        forward.push(...page.results.map(row => row.id));
+      }
+      expect(forward).toEqual(expected);
+
+      // Da última página até a primeira, pelos cursores de volta
+      const backward = [...page.results.map(row => row.id)];
+      while (page.prevCursor) {
+        page = await fetchPage(keys, page.prevCursor, limit);
+        backward.unshift(...page.results.map(row => row.id));
+      }
+      expect(backward).toEqual(expected);
+      expect(page.nextCursor).not.toBeNull();
+    });
+  });
+
+  test('sem cursor não há condição', () => {
+    expect(keysetQuery(ORDERS['score DESC'], null)).toEqual({
+      sql: '',
+      params: [],
+      orderBy: 'score DESC, id ASC',
+    });
+  });
+
+  test('voltar inverte a ordenação', () => {
+    const keys = ORDERS['score DESC'];
+    const { orderBy } = keysetQuery(keys, { values: [3, 'a'], backward: true });
+
+    expect(orderBy).toBe('score ASC, id DESC');
+  });
+
+  test('NULL em ordem decrescente: nada vem depois, só desempata', () => {
+    const keys = ORDERS['score DESC'];
+
+    expect(keysetQuery(keys, { values: [null, 'b'], backward: false })).toMatchObject({
+      sql: ' AND ((score IS ? AND id > ?))',
+      params: [null, 'b'],
+    });
+  });
+
+  test('NULL voltando em ordem decrescente: qualquer valor vem antes', () => {
+    const keys = ORDERS['score DESC'];
+
+    expect(keysetQuery(keys, { values: [null, 'b'], backward: true })).toMatchObject({
+      sql: ' AND ((score IS NOT NULL) OR (score IS ? AND (id < ? OR id IS NULL)))',
+      params: [null, 'b'],
+    });
+  });
+
+  test('valor em ordem decrescente inclui os NULL depois dele', () => {
+    const keys = ORDERS['score DESC'];
+
+    expect(keysetQuery(keys, { values: [2, 'f'], backward: false })).toMatchObject({
+      sql: ' AND (((score < ? OR score IS NULL)) OR (score IS ? AND id > ?))',
+      params: [2, 2, 'f'],
+    });
+  });
+
+  test('sem linha possível depois do cursor, a condição é falsa', () => {
+    const keys = [{ expr: 'score', field: 'score', desc: true }];
+
+    expect(keysetQuery(keys, { values: [null], backward: false }).sql).toBe(' AND (0)');
+  });
+});
+
+describe('cursores', () => {
+  const keys = ORDERS['score DESC'];
+
+  test('encodeCursor e decodeCursor são inversos', () => {
+    const cursor = encodeCursor({ id: 'b', score: null }, keys, { scope: SCOPE, backward: true });
+
+    expect(decodeCursor(cursor, keys, { scope: SCOPE })).toEqual({ values: [null, 'b'], backward: true });
+  });
+
+  test('cursor vazio é ausência de cursor', () => {
+    expect(decodeCursor(undefined, keys, { scope: SCOPE })).toBeNull();
+    expect(decodeCursor('', keys, { scope: SCOPE })).toBeNull();
+  });
+
+  test.each([
+    ['lixo', 'não-base64!'],
+    ['outra listagem', encodeCursor({ id: 'a', score: 1 }, keys, { scope: 'other' })],
+    ['chaves a menos', Buffer.from(JSON.stringify({ s: SCOPE, v: ['a'] })).toString('base64url')],
+    ['valor objeto', Buffer.from(JSON.stringify({ s: SCOPE, v: [{}, 'a'] })).toString('base64url')],
+  ])('rejeita cursor inválido (%s)', (_, cursor) => {
+    expect(() => decodeCursor(cursor, keys, { scope: SCOPE })).toThrow('Invalid cursor');
+  });
+
+  test('clampLimit respeita padrão e máximo', () => {
+    expect(clampLimit(undefined, 20)).toBe(20);
+    expect(clampLimit(0, 20)).toBe(20);
+    expect(clampLimit(5, 20)).toBe(5);
+    expect(clampLimit(1e9, 20)).toBe(100);
+    expect(clampLimit(undefined)).toBe(50);
+  });
+});
@@ -0,0 +1,74 @@
+import { createZip, readZip } from '../../utils/zipUtils.mjs';
+
+const FILES = [
+  { name: 'santo.txt', content: 'Santo, santo, santo\n'.repeat(50) },
+  { name: 'músicas/grandioso.txt', content: Buffer.from('Grandioso és tu') },
+];
+
+function expectInvalid(buffer) {
+  expect(() => readZip(buffer)).toThrow(expect.objectContaining({ code: 'INVALID_ZIP' }));
+}
+
+describe('readZip', () => {
+  test('lê o que createZip gera', () => {
+    const files = readZip(createZip(FILES));
+
+    expect(files.map(file => file.name)).toEqual(['santo.txt', 'músicas/grandioso.txt']);
+    expect(files[0].content.toString('utf8')).toBe(FILES[0].content);
+    expect(files[1].content.equals(FILES[1].content)).toBe(true);
+  });
+
+  test('limita o tamanho descompactado', () => {
+    const zip = createZip(FILES);
+
+    expect(() => readZip(zip, { maxTotalBytes: 100 }))
+      .toThrow(expect.objectContaining({ code: 'PAYLOAD_TOO_LARGE' }));
+  });
+
+  test('rejeita o que não é zip', () => {
+    expectInvalid(Buffer.alloc(0));
+    expectInvalid(Buffer.from('não é um zip'));
+  });
+
+  test('rejeita arquivo truncado', () => {
+    const zip = createZip(FILES);
+    expectInvalid(zip.subarray(0, zip.length - 30));
+    expectInvalid(zip.subarray(20));
+  });
+
+  test('rejeita offsets e tamanhos fora do arquivo', () => {
+    const zip = createZip(FILES);
+    const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const centralOffset = zip.readUInt32LE(endOffset + 16);
+
+    const badCentral = Buffer.from(zip);
+    badCentral.writeUInt32LE(0xfffffff0, endOffset + 16);
+    expectInvalid(badCentral);
+
+    const badLocal = Buffer.from(zip);
+    badLocal.writeUInt32LE(0xfffffff0, centralOffset + 42);
+    expectInvalid(badLocal);
+
+    const badSize = Buffer.from(zip);
+    badSize.writeUInt32LE(0xfffffff0, centralOffset + 20);
+    expectInvalid(badSize);
+
+    const badName = Buffer.from(zip);
+    badName.writeUInt16LE(0xffff, centralOffset + 28);
+    expectInvalid(badName);
+  });
+
+  test('rejeita conteúdo corrompido', () => {
+    const zip = createZip([{ name: 'a.txt', content: 'Aleluia' }]);
+    const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const centralOffset = zip.readUInt32LE(endOffset + 16);
+
+    const badCrc = Buffer.from(zip);
+    badCrc.writeUInt32LE(0, centralOffset + 16);
+    expectInvalid(badCrc);
+
+    const badMethod = Buffer.from(zip);
+    badMethod.writeUInt16LE(99, centralOffset + 10);
+    expectInvalid(badMethod);
+  });
+});
@@ -0,0 +1,286 @@
+import { isChordLine } from './chordUtils.mjs';
+import { SECTION_TYPES, resolveVerseOrder, splitLyrics } from './lyricsUtils.mjs';
+
+/**
+ * Importação/exportação de cifras no formato ChordPro
+ *
+ * Metadados que têm coluna própria em music (title, artist, key,
+ * duration) são extraídos; o restante do arquivo — diretivas de seção,
+ * comentários e linhas com acordes inline — fica em `chords`, para a
+ * exportação devolver o arquivo original enquanto a letra não mudar.
+ */
+
+const DIRECTIVE_REGEX = /^\{\s*([a-z_]+)\s*(?::\s*(.*?))?\s*\}$/i;
+const INLINE_CHORD_REGEX = /\[[^\]]*\]/g;
+
+// Tipo de seção → diretiva ChordPro (demais tipos saem como verso com rótulo)
+const SECTION_DIRECTIVES = { chorus: 'chorus', bridge: 'bridge' };
+
+// Diretiva → campo de music
+const METADATA_DIRECTIVES = {
+  title: 'title',
+  t: 'title',
+  artist: 'artist',
+  key: 'key',
+  duration: 'duration',
+};
+
+// Abreviações de diretivas de seção
+const DIRECTIVE_ALIASES = {
+  soc: 'start_of_chorus',
+  eoc: 'end_of_chorus',
+  sov: 'start_of_verse',
+  eov: 'end_of_verse',
+  sob: 'start_of_bridge',
+  eob: 'end_of_bridge',
+  st: 'subtitle',
+  c: 'comment',
+};
+
+/**
+ * Converte tempo em BPM para a faixa usada em music.tempo
+ */
+export function bpmToTempo(value) {
+  if (['lento', 'moderado', 'rapido'].includes(value)) return value;
+
+  const bpm = parseInt(value, 10);
+  if (Number.isNaN(bpm)) return undefined;
+  if (bpm < 80) return 'lento';
+  if (bpm < 120) return 'moderado';
+  return 'rapido';
+}
+
+/**
+ * Remove acordes inline de uma linha ("[G]Santo [D]é" → "Santo é")
+ */
+function stripInlineChords(line) {
+  return line.replace(INLINE_CHORD_REGEX, '').replace(/ {2,}/g, ' ').trim();
+}
+
+/**
+ * Interpreta diretiva `{nome: valor}`; retorna null se a linha não for uma
+ */
+function parseDirective(line) {
+  const match = DIRECTIVE_REGEX.exec(line.trim());
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  return { name: DIRECTIVE_ALIASES[name] || name, value: match[2] ?? '' };
+}
+
+/**
+ * Converte arquivo ChordPro em campos de music
+ *
+ * Retorna { title, artist, key, tempo, duration, lyrics, chords }.
+ */
+export function parseChordPro(content) {
+  const metadata = {};
+  const body = [];
+  const lyrics = [];
+  let subtitle;
+
+  for (const rawLine of String(content ?? '').split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    const directive = parseDirective(line);
+
+    if (!directive) {
+      body.push(line);
+      // Comentários (#) não fazem parte da letra
+      if (!line.trimStart().startsWith('#')) {
+        lyrics.push(stripInlineChords(line));
+      }
+      continue;
+    }
+
+    const { name, value } = directive;
+
+    if (name === 'meta') {
+      // {meta: artist Fulano}
+      const [metaName, ...rest] = value.split(/\s+/);
+      const field = METADATA_DIRECTIVES[metaName?.toLowerCase()];
+      if (field && metadata[field] === undefined) {
+        metadata[field] = rest.join(' ');
+        continue;
+      }
+    } else if (METADATA_DIRECTIVES[name] && metadata[METADATA_DIRECTIVES[name]] === undefined) {
+      metadata[METADATA_DIRECTIVES[name]] = value;
+      continue;
+    }
+
+    body.push(line);
+
+    if (name === 'subtitle') {
+      subtitle ??= value;
+    } else if (name === 'tempo') {
+      metadata.tempo ??= bpmToTempo(value);
+    } else if (name === 'start_of_chorus') {
+      lyrics.push('', value || 'Refrão');
+    } else if (name === 'chorus') {
+      // Repetição do refrão
+      lyrics.push('', value || 'Refrão', '');
+    } else if (name.startsWith('start_of_')) {
+      lyrics.push('');
+      if (value) lyrics.push(value);
+    } else if (name.startsWith('end_of_')) {
+      lyrics.push('');
+    }
+  }
+
+  return {
+    title: metadata.title,
+    // {subtitle} costuma trazer o intérprete quando não há {artist}
+    artist: metadata.artist ?? subtitle,
+    key: metadata.key,
+    tempo: metadata.tempo,
+    duration: metadata.duration,
+    lyrics: lyrics.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    chords: body.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+  };
+}
+
+/**
+ * Cifra já está em ChordPro (acordes inline ou diretivas)?
+ */
+export function isChordProBody(text) {
+  return /\[[^\]]+\]/.test(text) || text.split(/\r?\n/).some(line => parseDirective(line));
+}
+
+/**
+ * Linhas de letra comparáveis: seções na ordem de execução, sem linhas
+ * em branco nem espaços repetidos (rótulos como "Refrão" contam)
+ */
+function lyricsLines(lyrics) {
+  const { sections, verseOrder } = splitLyrics(lyrics);
+  const byName = new Map(sections.map(section => [section.name, section]));
+
+  return resolveVerseOrder(sections, verseOrder)
+    .map(name => byName.get(name))
+    .flatMap((section) => {
+      const label = SECTION_TYPES[section.type].label;
+      return [...(label ? [label] : []), ...section.text.split('\n')];
+    })
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Cifra guardada em `chords` corresponde à letra atual?
+ *
+ * Vale para ChordPro (letra sem os acordes inline) e para "acordes sobre
+ * a letra" (linhas que não são de acordes). Cifra só de acordes, ou de
+ * uma versão anterior da letra, não corresponde.
+ */
+export function chordsMatchLyrics(chords, lyrics) {
+  if (!chords || !lyrics) return false;
+
+  const chordLyrics = isChordProBody(chords)
+    ? parseChordPro(chords).lyrics
+    : chords.split(/\r?\n/).filter(line => !isChordLine(line)).join('\n');
+
+  const expected = lyricsLines(lyrics);
+  const actual = lyricsLines(chordLyrics);
+  return expected.length > 0
+    && actual.length === expected.length
+    && actual.every((line, index) => line === expected[index]);
+}
+
+/**
+ * Junta linha de acordes com a linha de letra abaixo, inserindo cada
+ * acorde inline na coluna em que aparecia
+ */
+function mergeChordLine(chordLine, lyricLine = '') {
+  const chords = [...chordLine.matchAll(/\S+/g)];
+  let result = lyricLine;
+
+  // Da direita para a esquerda, para as colunas anteriores não mudarem
+  for (const match of chords.reverse()) {
+    result = result.padEnd(match.index);
+    result = result.slice(0, match.index) + `[${match[0]}]` + result.slice(match.index);
+  }
+
+  return result.trimEnd();
+}
+
+/**
+ * Converte cifra "acordes sobre a letra" em corpo ChordPro
+ */
+function chordSheetToChordPro(text) {
+  const lines = text.split(/\r?\n/);
+  const output = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const next = lines[i + 1];
+
+    if (isChordLine(line)) {
+      if (next !== undefined && next.trim() && !isChordLine(next)) {
+        output.push(mergeChordLine(line, next));
+        i++;
+      } else {
+        output.push(mergeChordLine(line));
+      }
+    } else {
+      output.push(line);
+    }
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Corpo ChordPro só com a letra: uma diretiva de seção por seção, na
+ * ordem de execução (sem seções salvas, a letra é dividida na hora)
+ */
+function lyricsToChordPro(music) {
+  const { sections, verseOrder } = Array.isArray(music.sections) && music.sections.length > 0
+    ? { sections: music.sections, verseOrder: music.verse_order ?? '' }
+    : splitLyrics(music.lyrics);
+  const byName = new Map(sections.map(section => [section.name, section]));
+
+  return resolveVerseOrder(sections, verseOrder)
+    .map(name => byName.get(name))
+    .filter(Boolean)
+    .map((section) => {
+      const directive = SECTION_DIRECTIVES[section.type] ?? 'verse';
+      const label = section.label || SECTION_TYPES[section.type]?.label;
+      return [
+        `{start_of_${directive}${label ? `: ${label}` : ''}}`,
+        section.text.trim(),
+        `{end_of_${directive}}`,
+      ].join('\n');
+    })
+    .join('\n\n');
+}
+
+/**
+ * Gera arquivo ChordPro a partir de uma música
+ *
+ * O corpo sai da letra atual; a cifra de `chords` só é usada se ainda
+ * corresponder a essa letra (ver chordsMatchLyrics).
+ */
+export function toChordPro(music) {
+  let body;
+  if (!chordsMatchLyrics(music.chords, music.lyrics)) {
+    body = lyricsToChordPro(music);
+  } else if (isChordProBody(music.chords)) {
+    body = music.chords;
+  } else {
+    body = chordSheetToChordPro(music.chords);
+  }
+
+  // Intérprete importado de {subtitle} já volta pelo corpo
+  const subtitles = body
+    .split(/\r?\n/)
+    .map(parseDirective)
+    .filter(directive => directive?.name === 'subtitle')
+    .map(directive => directive.value);
+
+  const header = [`{title: ${music.title}}`];
+  if (music.artist && !subtitles.includes(music.artist)) {
+    header.push(`{artist: ${music.artist}}`);
+  }
+  if (music.key) header.push(`{key: ${music.key}}`);
+  if (music.duration) header.push(`{duration: ${music.duration}}`);
+
+  return `${header.join('\n')}\n\n${body.trim()}\n`;
+}
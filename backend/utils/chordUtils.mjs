@@ -0,0 +1,198 @@
+/**
+ * Parsing e transposição de cifras
+ *
+ * Entende acordes como `C`, `F#m`, `Bb7M`, `Am7(9)`, `C#m7(b5)`, `D4`,
+ * `C6/9` e inversões (`E/G#`). Funciona tanto em cifras no formato
+ * "linha de acordes sobre a letra" quanto em acordes inline (`[Am7]`).
+ */
+
+const SHARP_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const NATURAL_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Tonalidades maiores escritas com bemóis (menores usam a relativa maior)
+const FLAT_MAJOR_KEYS = new Set([5, 10, 3, 8, 1, 6]); // F, Bb, Eb, Ab, Db, Gb
+
+const CHORD_REGEX = /^([A-G])([#b]?)((?:maj|min|dim|aug|sus|add|m|M|º|°|ø|\+|-|\d|\(|\)|#|b|\/(?![A-G]))*)(?:\/([A-G])([#b]?))?$/;
+const KEY_REGEX = /^([A-G])([#b]?)(m?)$/;
+
+// Tokens aceitos em linhas de acordes além dos próprios acordes
+const NEUTRAL_TOKEN_REGEX = /^(\||\|\||-+|\/|%|x\d+|\(x?\d+\)|\.+|:)$/i;
+
+const mod12 = (value) => ((value % 12) + 12) % 12;
+
+/**
+ * Semitom (0-11) de uma nota ("C#" → 1, "Bb" → 10, "Cb" → 11)
+ */
+function noteToSemitone(letter, accidental) {
+  const offset = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+  return mod12(NATURAL_SEMITONES[letter] + offset);
+}
+
+/**
+ * Nome da nota para um semitom, com sustenidos ou bemóis
+ */
+function semitoneToNote(semitone, preferFlats) {
+  return (preferFlats ? FLAT_NOTES : SHARP_NOTES)[mod12(semitone)];
+}
+
+/**
+ * Interpreta um acorde; retorna null se o texto não for um acorde
+ */
+export function parseChord(symbol) {
+  const match = CHORD_REGEX.exec(symbol);
+  if (!match) return null;
+
+  const [, letter, accidental, suffix, bassLetter, bassAccidental] = match;
+
+  // Parênteses desbalanceados indicam texto comum, não acorde
+  if ((suffix.match(/\(/g) || []).length !== (suffix.match(/\)/g) || []).length) {
+    return null;
+  }
+
+  return {
+    root: noteToSemitone(letter, accidental),
+    suffix,
+    bass: bassLetter ? noteToSemitone(bassLetter, bassAccidental) : null,
+  };
+}
+
+/**
+ * Interpreta uma tonalidade ("G", "Bb", "F#m"); retorna null se inválida
+ */
+export function parseKey(key) {
+  const match = KEY_REGEX.exec(String(key ?? '').trim());
+  if (!match) return null;
+
+  const [, letter, accidental, minor] = match;
+  return {
+    root: noteToSemitone(letter, accidental),
+    minor: minor === 'm',
+    accidental: accidental || null,
+  };
+}
+
+/**
+ * Tonalidade usa bemóis? Respeita a grafia informada ("Gb" vs "F#");
+ * para notas naturais, segue a armadura de clave.
+ */
+export function keyPrefersFlats(key) {
+  const parsed = typeof key === 'string' ? parseKey(key) : key;
+  if (!parsed) return false;
+
+  if (parsed.accidental) return parsed.accidental === 'b';
+
+  const majorRoot = parsed.minor ? mod12(parsed.root + 3) : parsed.root;
+  return FLAT_MAJOR_KEYS.has(majorRoot);
+}
+
+/**
+ * Nome da tonalidade transposta ("Am" + 2 → "Bm")
+ */
+export function transposeKey(key, semitones, preferFlats) {
+  const parsed = parseKey(key);
+  if (!parsed) return key;
+
+  return semitoneToNote(parsed.root + semitones, preferFlats) + (parsed.minor ? 'm' : '');
+}
+
+/**
+ * Distância em semitons entre duas tonalidades (menor caminho, -5..6)
+ */
+export function semitonesBetween(fromKey, toKey) {
+  const from = parseKey(fromKey);
+  const to = parseKey(toKey);
+  if (!from || !to) return null;
+
+  const diff = mod12(to.root - from.root);
+  return diff > 6 ? diff - 12 : diff;
+}
+
+/**
+ * Transpõe um acorde; texto que não é acorde volta inalterado
+ */
+export function transposeChord(symbol, semitones, { preferFlats = false } = {}) {
+  const chord = parseChord(symbol);
+  if (!chord) return symbol;
+
+  let result = semitoneToNote(chord.root + semitones, preferFlats) + chord.suffix;
+  if (chord.bass !== null) {
+    result += '/' + semitoneToNote(chord.bass + semitones, preferFlats);
+  }
+  return result;
+}
+
+/**
+ * Linha contém apenas acordes (e marcações como `|`, `x2` ou "Intro:")?
+ */
+export function isChordLine(line) {
+  const tokens = line.trim().split(/\s+/).filter(Boolean);
+  let chords = 0;
+  for (const [index, token] of tokens.entries()) {
+    if (parseChord(token)) {
+      chords++;
+    } else if (!NEUTRAL_TOKEN_REGEX.test(token) && !(index === 0 && token.endsWith(':'))) {
+      return false;
+    }
+  }
+  return chords > 0;
+}
+
+/**
+ * Transpõe uma linha de acordes mantendo as colunas sempre que possível,
+ * para os acordes continuarem alinhados às sílabas da linha de baixo
+ */
+function transposeChordLine(line, semitones, options) {
+  let output = '';
+
+  for (const match of line.matchAll(/\S+/g)) {
+    const token = transposeChord(match[0], semitones, options);
+    const column = output.length === 0
+      ? match.index
+      : Math.max(match.index, output.length + 1);
+    output = output.padEnd(column) + token;
+  }
+
+  return output;
+}
+
+/**
+ * Primeiro acorde do texto (útil para inferir a tonalidade)
+ */
+export function findFirstChord(text) {
+  for (const line of String(text ?? '').split(/\r?\n/)) {
+    const inline = /\[([^\]]+)\]/.exec(line);
+    if (inline && parseChord(inline[1])) return inline[1];
+
+    if (isChordLine(line)) {
+      return line.trim().split(/\s+/).find(token => parseChord(token));
+    }
+  }
+  return null;
+}
+
+/**
+ * Transpõe todos os acordes de uma cifra
+ *
+ * - Acordes inline entre colchetes (`[G]Santo`) são sempre transpostos
+ * - Linhas compostas só de acordes são transpostas preservando alinhamento
+ * - Demais linhas (letra, títulos de seção) ficam intactas
+ */
+export function transposeText(text, semitones, options = {}) {
+  if (!text) return text;
+
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      if (line.includes('[')) {
+        return line.replace(/\[([^\]]+)\]/g, (whole, symbol) =>
+          parseChord(symbol) ? `[${transposeChord(symbol, semitones, options)}]` : whole
+        );
+      }
+
+      return isChordLine(line)
+        ? transposeChordLine(line, semitones, options)
+        : line;
+    })
+    .join('\n');
+}
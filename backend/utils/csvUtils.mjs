@@ -0,0 +1,102 @@
+/**
+ * Leitura de CSV (RFC 4180)
+ *
+ * Aceita campos entre aspas com vírgulas, aspas duplicadas ("") e quebras
+ * de linha (letras inteiras cabem em uma célula). O separador é detectado
+ * na primeira linha: planilhas em português costumam exportar com ";".
+ */
+
+/**
+ * Separador mais frequente fora de aspas na linha de cabeçalho
+ */
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+
+  for (const char of String(text ?? '')) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char === '\n') break;
+    else if (!inQuotes && char in counts) counts[char]++;
+  }
+
+  const [delimiter, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? delimiter : ',';
+}
+
+/**
+ * Divide o CSV em registros ({ line, cells }), com a linha do arquivo em
+ * que cada registro começa (a partir de 1)
+ */
+function parseCsvRecords(text, delimiter = detectDelimiter(text)) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Quebra dentro da célula também avança a linha do arquivo
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  // Linhas em branco não são registros (mas contam na numeração)
+  return records.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Converte CSV com cabeçalho em lista de objetos ({ coluna: valor })
+ *
+ * Retorna { rows, lines }: `lines[i]` é a linha do arquivo onde começa
+ * `rows[i]` (o cabeçalho é a linha 1), para relatórios baterem com o CSV.
+ */
+export function parseCsv(text) {
+  const [header, ...records] = parseCsvRecords(text);
+  if (!header) return { rows: [], lines: [] };
+
+  const columns = header.cells.map(column => column.trim());
+
+  return {
+    rows: records.map(({ cells }) => Object.fromEntries(
+      columns.map((column, index) => [column, cells[index] ?? ''])
+    )),
+    lines: records.map(record => record.line),
+  };
+}
@@ -0,0 +1,77 @@
+// Limite da tabela LCS (linhas × colunas): 4M células = 16MB. Acima disso
+// o trecho alterado sai como um bloco removido + um bloco adicionado.
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Diff de texto linha a linha (LCS), usado no histórico de revisões
+ *
+ * Retorna [{ type: 'equal' | 'added' | 'removed', text, oldLine, newLine }],
+ * com números de linha a partir de 1 (null quando a linha não existe
+ * naquele lado).
+ */
+export function diffLines(before, after) {
+  const oldLines = before ? String(before).split(/\r?\n/) : [];
+  const newLines = after ? String(after).split(/\r?\n/) : [];
+
+  // Prefixo e sufixo comuns ficam fora da tabela LCS
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const rows = oldEnd - start;
+  const cols = newEnd - start;
+  const width = cols + 1;
+  const fitsTable = (rows + 1) * width <= MAX_LCS_CELLS;
+
+  // lcs[i][j] = tamanho da LCS de oldLines[start + i..] e newLines[start + j..]
+  const lcs = new Uint32Array(fitsTable ? (rows + 1) * width : 0);
+  for (let i = fitsTable ? rows - 1 : -1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i * width + j] = oldLines[start + i] === newLines[start + j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const result = [];
+  const equal = (oldIndex, newIndex) => result.push({
+    type: 'equal', text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1,
+  });
+  const removed = (oldIndex) => result.push({
+    type: 'removed', text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: null,
+  });
+  const added = (newIndex) => result.push({
+    type: 'added', text: newLines[newIndex], oldLine: null, newLine: newIndex + 1,
+  });
+
+  for (let k = 0; k < start; k++) equal(k, k);
+
+  let i = 0;
+  let j = 0;
+  while (fitsTable && i < rows && j < cols) {
+    if (oldLines[start + i] === newLines[start + j]) {
+      equal(start + i, start + j);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      removed(start + i);
+      i++;
+    } else {
+      added(start + j);
+      j++;
+    }
+  }
+  for (; i < rows; i++) removed(start + i);
+  for (; j < cols; j++) added(start + j);
+
+  for (let k = 0; k < oldLines.length - oldEnd; k++) equal(oldEnd + k, newEnd + k);
+
+  return result;
+}
@@ -0,0 +1,162 @@
+import { normalizeText } from './textUtils.mjs';
+import { stemWord } from './stemmerUtils.mjs';
+
+/**
+ * Monta expressões MATCH para music_fts a partir do texto digitado
+ *
+ * O texto do usuário nunca vai cru para o MATCH: aspas, hífens, "NEAR",
+ * "*" e parênteses são sintaxe do FTS5 e derrubavam a busca. Aqui cada
+ * termo é normalizado (só [a-z0-9]) e reescrito entre aspas.
+ *
+ * Sintaxe aceita:
+ *   grande senhor         palavras (todas precisam aparecer)
+ *   "grande é o senhor"   frase exata
+ *   grand*                prefixo
+ *   artista:aline         filtro por campo (title/titulo, artist/artista,
+ *   letra:"a ti"           lyrics/letra); campo desconhecido vira palavra
+ *
+ * Palavras sem campo casam pela forma exata ou pelo radical em
+ * search_stems, então "louvar" encontra "Louvemos ao Senhor".
+ */
+
+const FIELD_ALIASES = {
+  title: 'title',
+  titulo: 'title',
+  artist: 'artist',
+  artista: 'artist',
+  lyrics: 'lyrics',
+  letra: 'lyrics',
+};
+
+// campo:"frase" | campo:palavra | "frase" (aspas sem fechamento vão até o fim) | palavra
+const TOKEN_REGEX = /(?:([\p{L}]+):(?=\S))?(?:"([^"]*)(?:"|$)|([^\s"]+))/gu;
+
+/**
+ * Interpreta o texto em termos de busca
+ *
+ * Retorna [{ type: 'word'|'phrase', value, field, prefix }]. Com
+ * `prefix`, a última palavra vale como prefixo (autocomplete enquanto o
+ * usuário digita).
+ */
+export function parseSearchQuery(text, { prefix = false } = {}) {
+  const input = String(text ?? '');
+  const terms = [];
+
+  for (const [, rawField, phrase, bare] of input.matchAll(TOKEN_REGEX)) {
+    const field = rawField ? FIELD_ALIASES[normalizeText(rawField)] : null;
+
+    // Campo desconhecido ("foo:bar") entra como palavras comuns
+    if (rawField && !field) {
+      terms.push(...wordTerms(rawField, null, false));
+    }
+
+    if (phrase !== undefined) {
+      const value = normalizeText(phrase);
+      if (!value) continue;
+      terms.push(value.includes(' ')
+        ? { type: 'phrase', value, field, prefix: false }
+        : { type: 'word', value, field, prefix: false });
+    } else {
+      terms.push(...wordTerms(bare, field, bare.endsWith('*')));
+    }
+  }
+
+  if (prefix && /\S$/.test(input) && !input.trimEnd().endsWith('"')) {
+    const last = terms[terms.length - 1];
+    if (last?.type === 'word') last.prefix = true;
+  }
+
+  return terms;
+}
+
+/**
+ * Palavras de um trecho sem aspas ("hc-15" vira "hc" e "15")
+ */
+function wordTerms(text, field, prefix) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  return words.map((value, index) => ({
+    type: 'word',
+    value,
+    field,
+    prefix: prefix && index === words.length - 1,
+  }));
+}
+
+/**
+ * Expressão FTS5 de um termo (valores já normalizados, seguros entre aspas)
+ */
+function termExpression(term, { field: defaultField = null } = {}) {
+  const field = term.field || defaultField;
+  const quoted = `"${term.value}"${term.prefix ? '*' : ''}`;
+
+  if (field) return `${field}:${quoted}`;
+  if (term.type === 'phrase' || term.prefix) return quoted;
+
+  return `(${quoted} OR search_stems:"${stemWord(term.value)}")`;
+}
+
+/**
+ * Expressão MATCH para o texto digitado (null se não sobrar termo)
+ *
+ * - prefix: última palavra como prefixo (autocomplete)
+ * - field: campo padrão para termos sem filtro (ex: só títulos)
+ */
+export function buildMatchQuery(text, { prefix = false, field = null } = {}) {
+  const terms = parseSearchQuery(text, { prefix });
+  if (terms.length === 0) return null;
+
+  return terms.map(term => termExpression(term, { field })).join(' AND ');
+}
+
+/**
+ * Expressão só com palavras, ignorando frases, campos e prefixos
+ *
+ * Usada como alternativa quando a expressão completa é rejeitada.
+ */
+export function buildPlainMatchQuery(text) {
+  const terms = wordTerms(text, null, false);
+  if (terms.length === 0) return null;
+
+  return terms.map(term => termExpression(term)).join(' AND ');
+}
+
+/**
+ * Texto usado na busca aproximada: termos sem sintaxe e sem filtro de
+ * artista (o índice de trigramas cobre só título e primeira linha)
+ */
+export function fuzzySearchText(text) {
+  return parseSearchQuery(text)
+    .filter(term => term.field !== 'artist')
+    .map(term => term.value)
+    .join(' ');
+}
+
+/**
+ * Expressão MATCH para music_fuzzy (tokenizer trigram): qualquer trigrama
+ * das palavras digitadas, para buscar candidatas com erro de digitação
+ */
+export function buildTrigramQuery(text) {
+  const trigrams = new Set();
+
+  for (const word of normalizeText(text).split(' ')) {
+    for (let i = 0; i + 3 <= word.length; i++) {
+      trigrams.add(word.slice(i, i + 3));
+    }
+  }
+
+  if (trigrams.size === 0) return null;
+
+  return [...trigrams].map(trigram => `"${trigram}"`).join(' OR ');
+}
+
+/**
+ * Radicais das palavras soltas da consulta (as que também casam por
+ * search_stems) — usados para destacar resultados encontrados pelo radical
+ */
+export function queryStems(text) {
+  return new Set(
+    parseSearchQuery(text)
+      .filter(term => term.type === 'word' && !term.field && !term.prefix)
+      .map(term => stemWord(term.value))
+  );
+}
@@ -0,0 +1,68 @@
+import { normalizeText } from './textUtils.mjs';
+import { stemWord } from './stemmerUtils.mjs';
+
+/**
+ * Destaque de termos encontrados na busca
+ *
+ * O FTS5 (highlight/snippet) marca os termos com caracteres de controle,
+ * que não aparecem em letras; formatHighlight escapa o HTML do texto e só
+ * então troca as marcas por <mark>...</mark>, então o cliente pode
+ * renderizar o resultado como HTML sem risco.
+ */
+
+export const MARK_START = '\u0002';
+export const MARK_END = '\u0003';
+export const SNIPPET_ELLIPSIS = '…';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Texto contém algum termo marcado
+ */
+export function hasMark(text) {
+  return typeof text === 'string' && text.includes(MARK_START);
+}
+
+/**
+ * Converte marcas em <mark> (com o restante do texto escapado)
+ */
+export function formatHighlight(text) {
+  if (text === null || text === undefined) return null;
+
+  return String(text)
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_END, '</mark>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Marca palavras cujo radical está em `stems` — para resultados que
+ * casaram só por search_stems, que o highlight do FTS5 não cobre
+ *
+ * Com `words`, devolve só um trecho com essa quantidade de palavras em
+ * volta da primeira ocorrência (como snippet()). Retorna null se nenhuma
+ * palavra casar.
+ */
+export function markStems(text, stems, { words: size } = {}) {
+  const tokens = String(text ?? '').split(/\s+/).filter(Boolean);
+  let first = -1;
+
+  const marked = tokens.map((token, index) => {
+    const stemmed = normalizeText(token).split(' ').filter(Boolean).map(stemWord);
+    if (!stemmed.some(stem => stems.has(stem))) return token;
+    if (first === -1) first = index;
+    return `${MARK_START}${token}${MARK_END}`;
+  });
+
+  if (first === -1) return null;
+  if (!size || tokens.length <= size) return marked.join(' ');
+
+  const start = Math.max(0, Math.min(first - Math.floor(size / 4), tokens.length - size));
+  const end = start + size;
+
+  return (start > 0 ? SNIPPET_ELLIPSIS : '')
+    + marked.slice(start, end).join(' ')
+    + (end < tokens.length ? SNIPPET_ELLIPSIS : '');
+}
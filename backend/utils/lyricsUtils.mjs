@@ -0,0 +1,184 @@
+/**
+ * Letras estruturadas em seções (verso, refrão, ponte...) + ordem de execução
+ *
+ * Seção: { name: 'c1', type: 'chorus', label?: 'Refrão final', text: '...' }
+ * Ordem: nomes separados por espaço ("v1 c1 v2 c1"), como no OpenLyrics.
+ *
+ * A coluna `lyrics` continua existindo (busca FTS) e é derivada das
+ * seções: blocos separados por linha em branco, e seções que não são
+ * versos começam com um rótulo ("Refrão", "Ponte").
+ */
+
+// Tipo de seção → prefixo do nome e rótulo na letra plana
+export const SECTION_TYPES = {
+  verse: { prefix: 'v', label: null },
+  chorus: { prefix: 'c', label: 'Refrão' },
+  pre_chorus: { prefix: 'p', label: 'Pré-refrão' },
+  bridge: { prefix: 'b', label: 'Ponte' },
+  tag: { prefix: 't', label: 'Tag' },
+  intro: { prefix: 'i', label: 'Intro' },
+  ending: { prefix: 'e', label: 'Final' },
+};
+
+// Linha de rótulo na letra ("Refrão", "Coro:", "Ponte 2") → tipo
+const LABEL_PATTERNS = [
+  ['pre_chorus', /^pr[eé][\s-]?refr[aã]o(\s+\d+)?\s*:?$/i],
+  ['chorus', /^(refr[aã]o|coro)(\s+\d+)?\s*:?$/i],
+  ['bridge', /^ponte(\s+\d+)?\s*:?$/i],
+  ['tag', /^tag\s*:?$/i],
+  ['intro', /^intro\s*:?$/i],
+  ['ending', /^final\s*:?$/i],
+];
+
+const SECTION_NAME_REGEX = /^[a-z][a-z0-9_-]{0,15}$/;
+
+/**
+ * Tipo da seção a partir do nome ("c1" → chorus); desconhecido vira verso
+ */
+export function sectionTypeFromName(name) {
+  const prefix = String(name ?? '')[0];
+  const entry = Object.entries(SECTION_TYPES).find(([, type]) => type.prefix === prefix);
+  return entry ? entry[0] : 'verse';
+}
+
+/**
+ * Divide letra plana em seções (heurística)
+ *
+ * Blocos são separados por linhas em branco; um bloco que começa com
+ * "Refrão"/"Coro" (ou outro rótulo conhecido) recebe o tipo correspondente.
+ * Blocos repetidos viram uma única seção referenciada várias vezes na
+ * ordem, e um rótulo sozinho ("Refrão") repete a última seção do tipo.
+ */
+export function splitLyrics(lyrics) {
+  const sections = [];
+  const order = [];
+  const seen = new Map();
+  const counters = {};
+
+  const blocks = String(lyrics ?? '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(block => block.split(/\r?\n/).map(line => line.trim()).filter(Boolean))
+    .filter(lines => lines.length > 0);
+
+  for (const block of blocks) {
+    let type = 'verse';
+    let lines = block;
+
+    const label = LABEL_PATTERNS.find(([, pattern]) => pattern.test(block[0]));
+    if (label) {
+      type = label[0];
+      lines = block.slice(1);
+    }
+
+    if (lines.length === 0) {
+      const previous = [...sections].reverse().find(section => section.type === type);
+      if (previous) order.push(previous.name);
+      continue;
+    }
+
+    const text = lines.join('\n');
+    const signature = `${type}:${text}`;
+    if (seen.has(signature)) {
+      order.push(seen.get(signature));
+      continue;
+    }
+
+    counters[type] = (counters[type] || 0) + 1;
+    const name = `${SECTION_TYPES[type].prefix}${counters[type]}`;
+    seen.set(signature, name);
+    sections.push({ name, type, text });
+    order.push(name);
+  }
+
+  return { sections, verseOrder: order.join(' ') };
+}
+
+/**
+ * Nomes da ordem de execução (padrão: seções na ordem em que aparecem)
+ */
+export function resolveVerseOrder(sections, verseOrder) {
+  const names = String(verseOrder ?? '').trim().split(/\s+/).filter(Boolean);
+  return names.length > 0 ? names : sections.map(section => section.name);
+}
+
+/**
+ * Gera a letra plana a partir das seções, seguindo a ordem de execução
+ */
+export function joinSections(sections, verseOrder) {
+  const byName = new Map(sections.map(section => [section.name, section]));
+
+  return resolveVerseOrder(sections, verseOrder)
+    .map(name => byName.get(name))
+    .filter(Boolean)
+    .map((section) => {
+      const label = section.label || SECTION_TYPES[section.type]?.label;
+      return label ? `${label}\n${section.text.trim()}` : section.text.trim();
+    })
+    .join('\n\n');
+}
+
+/**
+ * Valida seções e ordem de execução; lança erro com mensagem descritiva
+ *
+ * Retorna as seções normalizadas (tipo inferido do nome quando ausente).
+ */
+export function validateSections(sections, verseOrder) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new Error('sections must be a non-empty array');
+  }
+
+  const names = new Set();
+  const normalized = sections.map((section) => {
+    if (!section || !SECTION_NAME_REGEX.test(section.name ?? '')) {
+      throw new Error('Invalid section name');
+    }
+    if (names.has(section.name)) {
+      throw new Error('Duplicate section name');
+    }
+    names.add(section.name);
+
+    const type = section.type ?? sectionTypeFromName(section.name);
+    if (!SECTION_TYPES[type]) {
+      throw new Error('Invalid section type');
+    }
+    if (typeof section.text !== 'string' || !section.text.trim()) {
+      throw new Error('Section text is required');
+    }
+    if (section.label !== undefined && section.label !== null && typeof section.label !== 'string') {
+      throw new Error('Invalid section label');
+    }
+
+    return {
+      name: section.name,
+      type,
+      ...(section.label ? { label: section.label } : {}),
+      text: section.text.replace(/\r\n/g, '\n').trim(),
+    };
+  });
+
+  if (verseOrder !== undefined && verseOrder !== null) {
+    if (typeof verseOrder !== 'string') {
+      throw new Error('Invalid verse order');
+    }
+    const unknown = resolveVerseOrder(normalized, verseOrder).filter(name => !names.has(name));
+    if (unknown.length > 0) {
+      const error = new Error('Verse order references unknown sections');
+      error.unknown = unknown;
+      throw error;
+    }
+  }
+
+  return normalized;
+}
+
+// Campos com a letra completa (pesados em listagens)
+const LYRICS_FIELDS = ['lyrics', 'sections', 'verse_order', 'chords'];
+
+/**
+ * Cópia da música sem letra, seções e acordes (listagens com includeLyrics=false)
+ */
+export function omitLyrics(music) {
+  const summary = { ...music };
+  for (const field of LYRICS_FIELDS) delete summary[field];
+  return summary;
+}
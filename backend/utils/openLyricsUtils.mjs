@@ -0,0 +1,235 @@
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { bpmToTempo } from './chordProUtils.mjs';
+import { joinSections, sectionTypeFromName, splitLyrics } from './lyricsUtils.mjs';
+
+/**
+ * Importação/exportação no formato OpenLyrics (OpenLP e outros
+ * programas de projeção) — https://docs.openlyrics.org
+ *
+ * Os <verse> do OpenLyrics correspondem às seções de music.sections
+ * (mesmos nomes: v1, c1, b1) e o verseOrder a music.verse_order.
+ */
+
+const OPENLYRICS_NAMESPACE = 'http://openlyrics.info/namespace/2009/song';
+
+// Diretiva de seção ChordPro usada no corpo de `chords`
+const CHORDPRO_SECTIONS = { c: 'chorus', b: 'bridge' };
+
+const parser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: false,
+});
+
+// Helpers para a árvore ordenada do fast-xml-parser ([{ tag: [...], ':@': {...} }])
+const tagOf = (node) => Object.keys(node).find(key => key !== ':@');
+const attrsOf = (node) => node[':@'] || {};
+const childrenNamed = (nodes = [], name) => nodes.filter(node => tagOf(node) === name);
+const childNamed = (nodes = [], name) => childrenNamed(nodes, name)[0];
+
+/**
+ * Texto de um elemento (sem marcação, espaços colapsados)
+ */
+function textOf(nodes = []) {
+  return nodes
+    .map((node) => {
+      const tag = tagOf(node);
+      if (tag === '#text') return String(node['#text']);
+      if (tag === 'comment') return '';
+      return textOf(node[tag]);
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Converte <lines> em linhas de texto; com `withChords`, acordes
+ * (<chord name="G"/>) entram inline no formato ChordPro ("[G]Santo")
+ */
+function linesOf(nodes = [], withChords) {
+  let text = '';
+
+  const walk = (children) => {
+    for (const node of children) {
+      const tag = tagOf(node);
+      if (tag === '#text') {
+        text += String(node['#text']).replace(/\s+/g, ' ');
+      } else if (tag === 'br') {
+        text += '\n';
+      } else if (tag === 'chord') {
+        if (withChords) text += `[${attrsOf(node).name}]`;
+        // OpenLyrics 0.8: <chord name="G">texto</chord>
+        walk(node[tag]);
+      } else if (tag !== 'comment') {
+        walk(node[tag]);
+      }
+    }
+  };
+
+  walk(nodes);
+  return text.split('\n').map(line => line.trim());
+}
+
+/**
+ * Lê um elemento <song>
+ */
+function parseSong(songNodes) {
+  const properties = childNamed(songNodes, 'properties')?.properties ?? [];
+  const lyricsNodes = childNamed(songNodes, 'lyrics')?.lyrics ?? [];
+
+  const titles = childrenNamed(childNamed(properties, 'titles')?.titles, 'title').map(node => textOf(node.title));
+  const authors = childrenNamed(childNamed(properties, 'authors')?.authors, 'author').map(node => textOf(node.author));
+  const themes = childrenNamed(childNamed(properties, 'themes')?.themes, 'theme').map(node => textOf(node.theme));
+  const keyNode = childNamed(properties, 'key');
+  const tempoNode = childNamed(properties, 'tempo');
+  const verseOrderNode = childNamed(properties, 'verseOrder');
+
+  const hasChords = JSON.stringify(lyricsNodes).includes('"chord"');
+
+  const verses = childrenNamed(lyricsNodes, 'verse').map((node, index) => {
+    const linesNodes = childrenNamed(node.verse, 'lines');
+    return {
+      name: (attrsOf(node).name || `v${index + 1}`).toLowerCase(),
+      lines: linesNodes.flatMap(lines => linesOf(lines.lines, false)),
+      chordLines: hasChords ? linesNodes.flatMap(lines => linesOf(lines.lines, true)) : null,
+    };
+  });
+
+  const byName = new Map(verses.map(verse => [verse.name, verse]));
+  const order = (verseOrderNode ? textOf(verseOrderNode.verseOrder) : '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(name => byName.has(name));
+
+  const sections = verses
+    .filter(verse => verse.lines.some(Boolean))
+    .map(verse => ({
+      name: verse.name,
+      type: sectionTypeFromName(verse.name),
+      text: verse.lines.filter(Boolean).join('\n'),
+    }));
+  const verseOrder = order.filter(name => sections.some(section => section.name === name)).join(' ');
+
+  let chords = null;
+  if (hasChords) {
+    chords = verses
+      .map((verse) => {
+        const section = CHORDPRO_SECTIONS[verse.name[0]] || 'verse';
+        return [
+          `{start_of_${section}: ${verse.name}}`,
+          ...verse.chordLines,
+          `{end_of_${section}}`,
+        ].join('\n');
+      })
+      .join('\n\n');
+  }
+
+  const tempo = tempoNode ? textOf(tempoNode.tempo) : undefined;
+
+  return {
+    title: titles[0],
+    artist: [...new Set(authors.filter(Boolean))].join(', ') || undefined,
+    key: keyNode ? textOf(keyNode.key) || undefined : undefined,
+    tempo: tempo ? bpmToTempo(tempo) : undefined,
+    tags: themes.filter(Boolean),
+    lyrics: joinSections(sections, verseOrder),
+    sections,
+    verseOrder: verseOrder || null,
+    chords,
+  };
+}
+
+/**
+ * Procura elementos <song> (raiz ou dentro de um elemento agrupador)
+ */
+function findSongs(nodes) {
+  const songs = [];
+  for (const node of nodes) {
+    const tag = tagOf(node);
+    if (tag === 'song') {
+      songs.push(node.song);
+    } else if (tag !== '#text' && Array.isArray(node[tag])) {
+      songs.push(...findSongs(node[tag]));
+    }
+  }
+  return songs;
+}
+
+/**
+ * Converte documento OpenLyrics em campos de music
+ *
+ * Retorna uma lista (um item por <song> encontrado no documento).
+ */
+export function parseOpenLyrics(xml) {
+  const validation = XMLValidator.validate(String(xml ?? ''));
+  if (validation !== true) {
+    const error = new Error('Invalid OpenLyrics XML');
+    error.details = validation.err;
+    throw error;
+  }
+
+  const songs = findSongs(parser.parse(xml));
+  if (songs.length === 0) {
+    throw new Error('Invalid OpenLyrics XML');
+  }
+
+  return songs.map(parseSong);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Gera documento OpenLyrics a partir de uma música
+ */
+export function toOpenLyrics(music) {
+  // Músicas sem seções salvas (ou importadas por outro caminho) são divididas na hora
+  const { sections, verseOrder } = Array.isArray(music.sections) && music.sections.length > 0
+    ? { sections: music.sections, verseOrder: music.verse_order ?? '' }
+    : splitLyrics(music.lyrics);
+  const tags = Array.isArray(music.tags) ? music.tags : [];
+
+  const properties = [
+    `    <titles>\n      <title>${escapeXml(music.title)}</title>\n    </titles>`,
+  ];
+  if (music.artist) {
+    const authors = music.artist
+      .split(/\s*,\s*/)
+      .filter(Boolean)
+      .map(author => `      <author>${escapeXml(author)}</author>`);
+    properties.push(`    <authors>\n${authors.join('\n')}\n    </authors>`);
+  }
+  if (music.key) properties.push(`    <key>${escapeXml(music.key)}</key>`);
+  if (verseOrder) properties.push(`    <verseOrder>${escapeXml(verseOrder)}</verseOrder>`);
+  if (tags.length > 0) {
+    const themes = tags.map(tag => `      <theme>${escapeXml(tag)}</theme>`);
+    properties.push(`    <themes>\n${themes.join('\n')}\n    </themes>`);
+  }
+
+  const lyrics = sections.map(section =>
+    `    <verse name="${section.name}">\n` +
+    `      <lines>${section.text.split('\n').map(escapeXml).join('<br/>')}</lines>\n` +
+    '    </verse>'
+  );
+
+  const modifiedDate = new Date(music.updated_at ? `${music.updated_at}Z` : Date.now());
+  const modified = Number.isNaN(modifiedDate.getTime()) ? new Date() : modifiedDate;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<song xmlns="${OPENLYRICS_NAMESPACE}" version="0.9" createdIn="Cântico Novo" ` +
+    `modifiedIn="Cântico Novo" modifiedDate="${modified.toISOString().slice(0, 19)}">\n` +
+    `  <properties>\n${properties.join('\n')}\n  </properties>\n` +
+    `  <lyrics>\n${lyrics.join('\n')}\n  </lyrics>\n` +
+    '</song>\n';
+}
@@ -0,0 +1,129 @@
+import { config } from '../config/env.mjs';
+
+/**
+ * Paginação por cursor (keyset)
+ *
+ * Em vez de OFFSET, que obriga o SQLite a percorrer todas as linhas
+ * puladas, cada página continua a partir dos valores de ordenação da
+ * última (ou da primeira) linha da página anterior. O cursor é opaco para
+ * o cliente: basta repassar `nextCursor` ou `prevCursor` em `?cursor=`.
+ *
+ * Chaves de ordenação: [{ expr, field, desc }] — `expr` vai no SQL,
+ * `field` é a coluna da linha de onde sai o valor do cursor. A última
+ * chave precisa ser única (id) para a ordem ser estável.
+ */
+
+/**
+ * Limite da página entre 1 e MAX_PAGE_SIZE
+ */
+export function clampLimit(limit, defaultLimit = config.DEFAULT_PAGE_SIZE) {
+  const value = Number.isInteger(limit) && limit > 0 ? limit : defaultLimit;
+  return Math.min(value, config.MAX_PAGE_SIZE);
+}
+
+/**
+ * Cursor de `row` numa listagem (`scope` identifica listagem e ordenação)
+ */
+export function encodeCursor(row, keys, { scope, backward = false }) {
+  const payload = { s: scope, v: keys.map(key => row[key.field] ?? null) };
+  if (backward) payload.b = 1;
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Lê cursor recebido do cliente; null se não houver cursor
+ *
+ * Cursor malformado ou de outra listagem/ordenação gera 'Invalid cursor'.
+ */
+export function decodeCursor(cursor, keys, { scope }) {
+  if (cursor === undefined || cursor === null || cursor === '') return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+
+  if (
+    !payload
+    || payload.s !== scope
+    || !Array.isArray(payload.v)
+    || payload.v.length !== keys.length
+    || payload.v.some(value => value !== null && !['string', 'number'].includes(typeof value))
+  ) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { values: payload.v, backward: payload.b === 1 };
+}
+
+/**
+ * Condição SQL das linhas depois do cursor (ou antes, se `backward`)
+ * e ORDER BY correspondente
+ *
+ * NULL é o menor valor no SQLite: vem primeiro em ASC e por último em DESC.
+ */
+export function keysetQuery(keys, cursor) {
+  const backward = cursor?.backward === true;
+  const orderBy = keys
+    .map(key => `${key.expr} ${key.desc !== backward ? 'DESC' : 'ASC'}`)
+    .join(', ');
+
+  if (!cursor) return { sql: '', params: [], orderBy };
+
+  const branches = [];
+  const params = [];
+
+  keys.forEach((key, index) => {
+    const value = cursor.values[index];
+    const greater = key.desc === backward;
+    let comparison;
+
+    if (value === null) {
+      if (!greater) return; // nada vem depois de NULL em ordem decrescente
+      comparison = { sql: `${key.expr} IS NOT NULL`, params: [] };
+    } else {
+      comparison = greater
+        ? { sql: `${key.expr} > ?`, params: [value] }
+        : { sql: `(${key.expr} < ? OR ${key.expr} IS NULL)`, params: [value] };
+    }
+
+    const equalities = keys.slice(0, index).map(previous => `${previous.expr} IS ?`);
+    branches.push(`(${[...equalities, comparison.sql].join(' AND ')})`);
+    params.push(...cursor.values.slice(0, index), ...comparison.params);
+  });
+
+  return {
+    sql: ` AND (${branches.length > 0 ? branches.join(' OR ') : '0'})`,
+    params,
+    orderBy,
+  };
+}
+
+/**
+ * Monta a página a partir de até `limit + 1` linhas buscadas com keysetQuery
+ *
+ * A linha extra só indica que há mais. Sem cursor, `offset` > 0 (paginação
+ * antiga por deslocamento) também conta como haver página anterior.
+ */
+export function pageResult(rows, keys, { limit, cursor, scope, offset = 0 }) {
+  const backward = cursor?.backward === true;
+  const hasMore = rows.length > limit;
+  const results = rows.slice(0, limit);
+  if (backward) results.reverse();
+
+  const hasNext = backward ? true : hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor) || offset > 0;
+
+  return {
+    results,
+    nextCursor: hasNext && results.length > 0
+      ? encodeCursor(results[results.length - 1], keys, { scope })
+      : null,
+    prevCursor: hasPrev && results.length > 0
+      ? encodeCursor(results[0], keys, { scope, backward: true })
+      : null,
+  };
+}
@@ -0,0 +1,54 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BASE64_REGEX = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Comprime valor JSON no formato do SyncEngine (gzip + base64)
+ */
+export async function compressPayload(value) {
+  const buffer = await gzip(Buffer.from(JSON.stringify(value), 'utf8'));
+  return buffer.toString('base64');
+}
+
+/**
+ * Descomprime payload gzip + base64 e faz parse do JSON
+ *
+ * Lança erro com `code` INVALID_ENCODING, PAYLOAD_TOO_LARGE ou INVALID_JSON.
+ * O limite de saída protege contra "zip bombs".
+ */
+export async function decompressPayload(encoded, maxOutputBytes) {
+  if (typeof encoded !== 'string' || !BASE64_REGEX.test(encoded)) {
+    throw payloadError('INVALID_ENCODING', 'Compressed payload must be a base64 string');
+  }
+
+  let buffer;
+  try {
+    buffer = await gunzip(Buffer.from(encoded, 'base64'), {
+      maxOutputLength: maxOutputBytes,
+    });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw payloadError(
+        'PAYLOAD_TOO_LARGE',
+        `Decompressed payload exceeds ${maxOutputBytes} bytes`
+      );
+    }
+    throw payloadError('INVALID_ENCODING', 'Payload is not valid gzip data');
+  }
+
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw payloadError('INVALID_JSON', 'Decompressed payload is not valid JSON');
+  }
+}
+
+function payloadError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
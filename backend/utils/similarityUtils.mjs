@@ -0,0 +1,99 @@
+import { normalizeText } from './textUtils.mjs';
+
+/**
+ * Medidas de similaridade entre textos (0 = nada em comum, 1 = iguais)
+ *
+ * Todas comparam o texto normalizado (sem acentos, pontuação e caixa),
+ * então "Grande é o Senhor!" e "grande e o senhor" são idênticos.
+ */
+
+/**
+ * Bigramas de caracteres de um texto normalizado (com repetição)
+ */
+function bigrams(text) {
+  const compact = ` ${text} `;
+  const result = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    result.set(gram, (result.get(gram) || 0) + 1);
+  }
+  return result;
+}
+
+/**
+ * Coeficiente de Dice sobre bigramas — bom para títulos curtos com
+ * pequenas diferenças de grafia ou pontuação
+ */
+export function bigramSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left && !right) return 1;
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let intersection = 0;
+  let total = 0;
+
+  for (const [gram, count] of leftGrams) {
+    intersection += Math.min(count, rightGrams.get(gram) || 0);
+    total += count;
+  }
+  for (const count of rightGrams.values()) total += count;
+
+  return (2 * intersection) / total;
+}
+
+/**
+ * Palavras distintas do texto normalizado
+ */
+export function wordSet(text) {
+  return new Set(normalizeText(text).split(' ').filter(Boolean));
+}
+
+/**
+ * Índice de Jaccard sobre palavras — bom para letras, onde a ordem dos
+ * versos e estrofes extras pesam pouco
+ */
+export function wordSimilarity(a, b) {
+  const left = a instanceof Set ? a : wordSet(a);
+  const right = b instanceof Set ? b : wordSet(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let intersection = 0;
+  for (const word of left) {
+    if (right.has(word)) intersection++;
+  }
+
+  return intersection / (left.size + right.size - intersection);
+}
+
+/**
+ * Similaridade de uma consulta curta com um texto (título, primeira linha)
+ *
+ * Maior valor entre o texto inteiro e a média, ponderada pelo tamanho, da
+ * melhor palavra do texto para cada palavra da consulta — "grandiozo" acha
+ * "Grandioso És Tu" mesmo sem as outras palavras. Palavras de até 2 letras
+ * ("é", "tu") só contam se a consulta não tiver outras.
+ */
+export function phraseSimilarity(query, text) {
+  const whole = bigramSimilarity(query, text);
+
+  const textWords = [...wordSet(text)];
+  const allQueryWords = [...wordSet(query)];
+  const longWords = allQueryWords.filter(word => word.length > 2);
+  const queryWords = longWords.length > 0 ? longWords : allQueryWords;
+  if (queryWords.length === 0 || textWords.length === 0) return whole;
+
+  let weighted = 0;
+  let totalLength = 0;
+  for (const word of queryWords) {
+    const best = Math.max(...textWords.map(textWord => bigramSimilarity(word, textWord)));
+    weighted += best * word.length;
+    totalLength += word.length;
+  }
+
+  return Math.max(whole, weighted / totalLength);
+}
@@ -0,0 +1,109 @@
+import { normalizeText } from './textUtils.mjs';
+
+/**
+ * Redução de palavras em português ao radical (stemming leve)
+ *
+ * Versão simplificada do RSLP: plural, sufixos nominais e verbais e vogal
+ * final. Não busca precisão linguística — basta que "louvemos", "louvar"
+ * e "louva" caiam no mesmo radical ("louv") na busca.
+ *
+ * Trabalha sobre texto normalizado (sem acentos, minúsculo).
+ */
+
+// Palavras que terminam em "s" mas não estão no plural
+const SINGULAR_EXCEPTIONS = new Set([
+  'deus', 'jesus', 'cristus', 'mais', 'menos', 'apos', 'atras', 'tres',
+  'pires', 'lapis', 'simples', 'oasis', 'onibus', 'virus', 'alias',
+]);
+
+// Verbos na 1ª/2ª pessoa do plural (removidos antes do plural)
+const VERB_PLURAL_SUFFIXES = [
+  'ariamos', 'eriamos', 'iriamos', 'assemos', 'essemos', 'issemos',
+  'aremos', 'eremos', 'iremos', 'avamos', 'ieis', 'amos', 'emos', 'imos',
+];
+
+// [terminação, substituição] — primeira que casar
+const PLURAL_RULES = [
+  ['oes', 'ao'],
+  ['aes', 'ao'],
+  ['ais', 'al'],
+  ['eis', 'el'],
+  ['ois', 'ol'],
+  ['ns', 'm'],
+  ['res', 'r'],
+  ['zes', 'z'],
+];
+
+// Sufixos nominais (radical mínimo maior para não colar palavras curtas)
+const NOUN_SUFFIXES = ['amento', 'imento', 'mente', 'idade', 'acao', 'ador', 'eiro'];
+const NOUN_MIN_STEM = 4;
+
+const VERB_SUFFIXES = [
+  'ariam', 'eriam', 'iriam', 'assem', 'essem', 'issem', 'arei', 'erei', 'irei',
+  'aram', 'eram', 'iram', 'avam', 'ando', 'endo', 'indo', 'ado', 'ido', 'ada',
+  'ida', 'ara', 'era', 'ira', 'ava', 'ou', 'ei', 'ai', 'am', 'em', 'ar', 'er', 'ir',
+];
+const VERB_MIN_STEM = 2;
+
+function stripSuffix(word, suffixes, minStem) {
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= minStem) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return null;
+}
+
+function reducePlural(word) {
+  if (!word.endsWith('s') || SINGULAR_EXCEPTIONS.has(word)) return word;
+
+  for (const [ending, replacement] of PLURAL_RULES) {
+    if (word.endsWith(ending) && word.length > ending.length + 1) {
+      return word.slice(0, -ending.length) + replacement;
+    }
+  }
+
+  // "us"/"ss"/"is" costumam ser singulares (meus, seus, pais)
+  if (/(us|ss|is)$/.test(word)) return word;
+
+  return word.slice(0, -1);
+}
+
+/**
+ * Radical de uma palavra já normalizada
+ */
+export function stemWord(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  const verbPlural = stripSuffix(word, VERB_PLURAL_SUFFIXES, VERB_MIN_STEM);
+  if (verbPlural) return verbPlural;
+
+  const singular = reducePlural(word);
+
+  const stripped = stripSuffix(singular, NOUN_SUFFIXES, NOUN_MIN_STEM)
+    ?? stripSuffix(singular, VERB_SUFFIXES, VERB_MIN_STEM);
+  if (stripped) return stripped;
+
+  // Vogal temática: "santo"/"santa" → "sant"
+  if (singular.length > 3 && /[aeo]$/.test(singular)) {
+    return singular.slice(0, -1);
+  }
+
+  return singular;
+}
+
+/**
+ * Radicais distintos de um texto, separados por espaço (na ordem em que
+ * aparecem) — formato gravado em music.search_stems
+ */
+export function stemText(...texts) {
+  const stems = new Set();
+
+  for (const text of texts) {
+    for (const word of normalizeText(text).split(' ')) {
+      if (word) stems.add(stemWord(word));
+    }
+  }
+
+  return [...stems].join(' ');
+}
@@ -0,0 +1,25 @@
+/**
+ * Remove acentos e diacríticos ("Coração" → "Coracao")
+ */
+export function removeDiacritics(text) {
+  return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Normaliza texto para comparação: sem acentos, minúsculo,
+ * sem pontuação e com espaços colapsados
+ */
+export function normalizeText(text) {
+  return removeDiacritics(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Gera slug para URLs ("Louvor & Adoração" → "louvor-adoracao")
+ */
+export function slugify(text) {
+  return normalizeText(text).replace(/\s/g, '-');
+}
@@ -32,6 +32,17 @@ export function isValidUUID(str) {
     return { limit: parsedLimit, offset: parsedOffset };
   }
   
+  /**
+   * Valida tom musical (ex: C, F#, Bb, Am, C#m)
+   */
+  export function isValidMusicKey(key) {
+    return /^[A-G][#b]?m?$/.test(key);
+  }
+  
+  // Valores aceitos pelos CHECK constraints de music.genre e music.tempo
+  export const MUSIC_GENRES = ['gospel', 'hino', 'contemporaneo', 'tradicional', 'louvor', 'adoracao'];
+  export const MUSIC_TEMPOS = ['lento', 'moderado', 'rapido'];
+  
   export function validateEmail(email) {
     const emailRegex = /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/;
     return emailRegex.test(email);
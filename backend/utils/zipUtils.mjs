@@ -0,0 +1,187 @@
+import zlib from 'zlib';
+
+/**
+ * Leitura e escrita de arquivos ZIP simples (sem criptografia, sem ZIP64)
+ *
+ * Suficiente para trocar coleções de músicas (um arquivo por música)
+ * com programas de projeção.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Data/hora no formato MS-DOS usado pelo ZIP
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Gera ZIP a partir de [{ name, content }] (content: string ou Buffer)
+ */
+export function createZip(files) {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(METHOD_DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(METHOD_DEFLATE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR_SIGNATURE, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Lê ZIP e retorna [{ name, content: Buffer }] (ignora diretórios)
+ *
+ * `maxTotalBytes` limita o tamanho descompactado (proteção contra zip bomb).
+ * Offsets e tamanhos vêm do próprio arquivo: todos são conferidos contra o
+ * buffer, e qualquer inconsistência (inclusive CRC) vira INVALID_ZIP.
+ */
+export function readZip(buffer, { maxTotalBytes = Infinity } = {}) {
+  const invalid = () => {
+    const error = new Error('Invalid zip archive');
+    error.code = 'INVALID_ZIP';
+    return error;
+  };
+  const fits = (start, length) => start >= 0 && start + length <= buffer.length;
+
+  // End of central directory fica nos últimos 22 bytes + comentário (até 64KB)
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) throw invalid();
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const files = [];
+  let totalBytes = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (!fits(pointer, 46) || buffer.readUInt32LE(pointer) !== CENTRAL_HEADER_SIGNATURE) {
+      throw invalid();
+    }
+
+    const method = buffer.readUInt16LE(pointer + 10);
+    const crc = buffer.readUInt32LE(pointer + 16);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const size = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    if (!fits(pointer, 46 + nameLength + extraLength + commentLength)) throw invalid();
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      const error = new Error('Zip archive too large');
+      error.code = 'PAYLOAD_TOO_LARGE';
+      throw error;
+    }
+
+    if (!fits(localOffset, 30) || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw invalid();
+    }
+    const dataStart = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    if (!fits(dataStart, compressedSize)) throw invalid();
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === METHOD_STORE) {
+      content = Buffer.from(data);
+    } else if (method === METHOD_DEFLATE) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch {
+        // Dados corrompidos ou maiores que o tamanho declarado
+        throw invalid();
+      }
+    } else {
+      throw invalid();
+    }
+
+    if (content.length !== size || crc32(content) !== crc) throw invalid();
+
+    files.push({ name, content });
+  }
+
+  return files;
+}